@@ -3,10 +3,10 @@ PRAGMA foreign_keys = ON;
 -- items = ingredients and supplements (distinguished by item_type)
 CREATE TABLE IF NOT EXISTS items (
   item_id INTEGER PRIMARY KEY,
-  name TEXT NOT NULL,
+  name TEXT NOT NULL, -- display name; the same name can exist for several brands
   item_type TEXT NOT NULL CHECK (item_type IN ('ingredient', 'supplement')),
-  brand TEXT,
-  serving_size_g REAL CHECK (serving_size_g IS NULL OR serving_size_g > 0)
+  brand TEXT, -- NULL for generic ingredients
+  serving_size_g REAL CHECK (serving_size_g IS NULL OR serving_size_g > 0) -- grams per serving (supplements)
 );
 
 CREATE UNIQUE INDEX IF NOT EXISTS idx_items_unique_name_brand_type
@@ -15,15 +15,15 @@ CREATE UNIQUE INDEX IF NOT EXISTS idx_items_unique_name_brand_type
 -- nutrients master list
 CREATE TABLE IF NOT EXISTS nutrients (
   nutrient_id INTEGER PRIMARY KEY,
-  name TEXT NOT NULL UNIQUE,
-  unit TEXT NOT NULL
+  name TEXT NOT NULL UNIQUE, -- snake_case with the unit as suffix, e.g. 'vitamin_c_mg'
+  unit TEXT NOT NULL -- unit of item_nutrients.amount_per_100g for this nutrient
 );
 
 -- nutrient amounts per item (standardized to per 100g)
 CREATE TABLE IF NOT EXISTS item_nutrients (
   item_id INTEGER NOT NULL,
   nutrient_id INTEGER NOT NULL,
-  amount_per_100g REAL NOT NULL,
+  amount_per_100g REAL NOT NULL, -- amount of the nutrient in 100 g of the item, in nutrients.unit
   PRIMARY KEY (item_id, nutrient_id),
   FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE CASCADE,
   FOREIGN KEY (nutrient_id) REFERENCES nutrients(nutrient_id) ON DELETE CASCADE
@@ -56,8 +56,36 @@ CREATE TABLE IF NOT EXISTS meal_logs (
   log_id INTEGER PRIMARY KEY,
   eaten_at TEXT NOT NULL, -- ISO 8601 datetime string
   recipe_id INTEGER NOT NULL,
-  servings_eaten REAL NOT NULL CHECK (servings_eaten > 0),
+  servings_eaten REAL NOT NULL CHECK (servings_eaten > 0), -- recipe servings eaten
+  user_id INTEGER NOT NULL DEFAULT 1, -- account that logged it (set by the server)
   FOREIGN KEY (recipe_id) REFERENCES recipes(recipe_id) ON DELETE RESTRICT
 );
 
 CREATE INDEX IF NOT EXISTS idx_meal_logs_eaten_at ON meal_logs(eaten_at);
+CREATE INDEX IF NOT EXISTS idx_meal_logs_user_id ON meal_logs(user_id);
+
+-- supplement intake logs (servings of a supplement item taken)
+CREATE TABLE IF NOT EXISTS supplement_logs (
+  log_id INTEGER PRIMARY KEY,
+  taken_at TEXT NOT NULL, -- ISO 8601 datetime string
+  item_id INTEGER NOT NULL, -- must reference an item with item_type = 'supplement'
+  servings_taken REAL NOT NULL DEFAULT 1 CHECK (servings_taken > 0),
+  user_id INTEGER NOT NULL DEFAULT 1, -- account that logged it (set by the server)
+  FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE RESTRICT
+);
+
+CREATE INDEX IF NOT EXISTS idx_supplement_logs_taken_at ON supplement_logs(taken_at);
+CREATE INDEX IF NOT EXISTS idx_supplement_logs_user_id ON supplement_logs(user_id);
+
+-- daily nutrition goals: eat at least ('min') or at most ('max') daily_target of a nutrient each day
+CREATE TABLE IF NOT EXISTS nutrient_goals (
+  goal_id INTEGER PRIMARY KEY,
+  nutrient_id INTEGER NOT NULL,
+  goal_type TEXT NOT NULL CHECK (goal_type IN ('min', 'max')), -- 'min' = at least, 'max' = at most
+  daily_target REAL NOT NULL CHECK (daily_target > 0), -- amount per day, in nutrients.unit
+  user_id INTEGER NOT NULL DEFAULT 1, -- account the goal belongs to (set by the server)
+  FOREIGN KEY (nutrient_id) REFERENCES nutrients(nutrient_id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_nutrient_goals_user_nutrient_type
+  ON nutrient_goals(user_id, nutrient_id, goal_type);
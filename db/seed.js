@@ -583,11 +583,52 @@ async function main() {
     insertLogStmt.run([eaten_at, recipeId, servings_eaten]);
   }
 
+  // supplement logs (last 21 days): a few regular supplements, most days
+  const insertSupplementLogStmt = db.prepare(
+    "INSERT INTO supplement_logs (taken_at, item_id, servings_taken) VALUES (?, ?, ?)"
+  );
+  const regularSupplements = [
+    "Vitamin D3 2000 IU Softgel",
+    "Multivitamin (Once Daily)",
+    "Magnesium Glycinate 120mg",
+    "Omega-3 Fish Oil 1000mg",
+    "Protein Powder (Whey)"
+  ];
+  for (let daysAgo = 20; daysAgo >= 0; daysAgo--) {
+    for (const name of regularSupplements) {
+      if (rand() < 0.35) continue; // skipped that day
+      const itemId = itemIdByNameType.get(`supplement:${name}`);
+      const dt = new Date(now);
+      dt.setDate(now.getDate() - daysAgo);
+      dt.setHours(Math.floor(rand() * 4) + 7, Math.floor(rand() * 60), 0, 0); // 07-10
+      const servings = name.startsWith("Protein") ? pick(rand, [1, 1, 2]) : 1;
+      insertSupplementLogStmt.run([toIsoLocal(dt), itemId, servings]);
+    }
+  }
+
+  // daily nutrition goals
+  const insertGoalStmt = db.prepare(
+    "INSERT INTO nutrient_goals (nutrient_id, goal_type, daily_target) VALUES (?, ?, ?)"
+  );
+  const goals = [
+    ["calories_kcal", "max", 2500],
+    ["protein_g", "min", 120],
+    ["fiber_g", "min", 30],
+    ["sugar_g", "max", 50],
+    ["sodium_mg", "max", 2300],
+    ["vitamin_c_mg", "min", 90]
+  ];
+  for (const [nutrientName, goalType, target] of goals) {
+    insertGoalStmt.run([nutrientIdByName.get(nutrientName), goalType, target]);
+  }
+
   insertItemStmt.free();
   insertItemNutrStmt.free();
   insertRecipeStmt.free();
   insertRecipeItemStmt.free();
   insertLogStmt.free();
+  insertSupplementLogStmt.free();
+  insertGoalStmt.free();
 
   db.run("COMMIT;");
 
@@ -598,8 +639,13 @@ async function main() {
   const itemsCount = db.exec("SELECT COUNT(*) AS c FROM items")[0].values[0][0];
   const recipesCount = db.exec("SELECT COUNT(*) AS c FROM recipes")[0].values[0][0];
   const logsCount = db.exec("SELECT COUNT(*) AS c FROM meal_logs")[0].values[0][0];
+  const supplementLogsCount = db.exec("SELECT COUNT(*) AS c FROM supplement_logs")[0].values[0][0];
+  const goalsCount = db.exec("SELECT COUNT(*) AS c FROM nutrient_goals")[0].values[0][0];
   console.log(`Seeded db/aidb.sqlite`);
-  console.log(`items=${itemsCount} recipes=${recipesCount} meal_logs=${logsCount}`);
+  console.log(
+    `items=${itemsCount} recipes=${recipesCount} meal_logs=${logsCount} supplement_logs=${supplementLogsCount} ` +
+      `nutrient_goals=${goalsCount}`
+  );
 }
 
 main().catch((err) => {
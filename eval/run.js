@@ -0,0 +1,244 @@
+import "dotenv/config";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadDatasourceConfigs, openDatasource } from "../lib/datasources.js";
+import { execToRows } from "../lib/db.js";
+import { createLlmProvider } from "../lib/llm.js";
+import { STRATEGIES, createAskPipeline } from "../lib/pipeline.js";
+import { ALL_USERS } from "../lib/sqlGuard.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, "..");
+
+// Usage: npm run eval -- [--benchmark eval/benchmark.v1.json] [--strategies zero,few,retrieval] [--out eval/reports]
+//                        [--datasource <id>]
+// The data source comes from the registry (DATASOURCES_PATH, default db/datasources.json); without
+// --datasource the registry's default is used.
+function parseArgs(argv) {
+  const args = {
+    benchmark: path.resolve(__dirname, "benchmark.v1.json"),
+    strategies: STRATEGIES,
+    out: path.resolve(__dirname, "reports"),
+    datasource: null
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const key = argv[i];
+    const value = argv[i + 1];
+    if (key === "--benchmark") args.benchmark = path.resolve(value);
+    else if (key === "--strategies") args.strategies = value.split(",").map((s) => s.trim().toLowerCase());
+    else if (key === "--out") args.out = path.resolve(value);
+    else if (key === "--datasource") args.datasource = value;
+    else throw new Error(`Unknown argument: ${key}`);
+    i += 1;
+  }
+  for (const s of args.strategies) {
+    if (!STRATEGIES.includes(s)) throw new Error(`Unknown strategy "${s}". Use: ${STRATEGIES.join(", ")}`);
+  }
+  return args;
+}
+
+function normalizeValue(v) {
+  if (typeof v === "number") return Number.isInteger(v) ? v : Number(v.toFixed(4));
+  if (v === undefined) return null;
+  return v;
+}
+
+function columnValues(rows, col) {
+  return rows.map((r) => JSON.stringify(normalizeValue(r[col])));
+}
+
+function sameMultiset(a, b) {
+  if (a.length !== b.length) return false;
+  const sa = [...a].sort();
+  const sb = [...b].sort();
+  return sa.every((v, i) => v === sb[i]);
+}
+
+// Execution accuracy: the prediction matches when every gold column can be paired with a
+// distinct predicted column and the projected rows are equal (as a sequence when the gold
+// query is ordered, otherwise as a multiset). Extra predicted columns (e.g. a brand the
+// question didn't ask for) and column names/order don't matter.
+function resultSetsMatch(gold, pred, { ordered }) {
+  if (gold.rows.length !== pred.rows.length) return false;
+  if (gold.rows.length === 0) return true;
+
+  const compare = ordered ? (a, b) => a.every((v, i) => v === b[i]) : sameMultiset;
+  const used = new Set();
+  const mapping = [];
+  for (const g of gold.columns) {
+    const gVals = columnValues(gold.rows, g);
+    const p = pred.columns.find((c) => !used.has(c) && compare(gVals, columnValues(pred.rows, c)));
+    if (!p) return false;
+    used.add(p);
+    mapping.push([g, p]);
+  }
+
+  const goldTuples = gold.rows.map((r) => JSON.stringify(mapping.map(([g]) => normalizeValue(r[g]))));
+  const predTuples = pred.rows.map((r) => JSON.stringify(mapping.map(([, p]) => normalizeValue(r[p]))));
+  return ordered ? compare(goldTuples, predTuples) : sameMultiset(goldTuples, predTuples);
+}
+
+function normalizeSqlText(sql) {
+  return String(sql || "")
+    .replace(/;\s*$/, "")
+    .replace(/\s+/g, " ")
+    .replace(/\s*([(),=<>])\s*/g, "$1")
+    .trim()
+    .toLowerCase();
+}
+
+function pct(n, d) {
+  return d === 0 ? "n/a" : `${((100 * n) / d).toFixed(1)}%`;
+}
+
+function summarize(cases) {
+  const n = cases.length;
+  const sum = (f) => cases.reduce((acc, c) => acc + f(c), 0);
+  return {
+    questions: n,
+    execution_accuracy: n ? sum((c) => (c.execution_match ? 1 : 0)) / n : 0,
+    exact_match: n ? sum((c) => (c.exact_match ? 1 : 0)) / n : 0,
+    errors: sum((c) => (c.error ? 1 : 0)),
+    avg_attempts: n ? sum((c) => c.attempts) / n : 0,
+    avg_latency_ms: n ? Math.round(sum((c) => c.latency_ms) / n) : 0
+  };
+}
+
+function renderMarkdown(report) {
+  const lines = [
+    `# Text-to-SQL evaluation (${report.benchmark.version})`,
+    "",
+    `- Run at: ${report.run_at}`,
+    `- Provider: ${report.provider} (model: ${report.model})`,
+    `- Data source: ${report.datasource}`,
+    `- Benchmark: \`${report.benchmark.path}\` (${report.benchmark.questions} questions)`,
+    "",
+    "## Summary",
+    "",
+    "| Strategy | Execution accuracy | Exact match | Errors | Avg attempts | Avg latency (ms) |",
+    "| --- | --- | --- | --- | --- | --- |"
+  ];
+  for (const [strategy, s] of Object.entries(report.summary)) {
+    lines.push(
+      `| ${strategy} | ${pct(s.execution_accuracy * s.questions, s.questions)} | ` +
+        `${pct(s.exact_match * s.questions, s.questions)} | ${s.errors} | ` +
+        `${s.avg_attempts.toFixed(2)} | ${s.avg_latency_ms} |`
+    );
+  }
+  lines.push("", "## Per question", "");
+  lines.push("| Strategy | ID | Exec | Exact | Attempts | Latency (ms) | Rows (pred/gold) | Error |");
+  lines.push("| --- | --- | --- | --- | --- | --- | --- | --- |");
+  for (const c of report.cases) {
+    const err = c.error ? String(c.error).replace(/\|/g, "\\|").replace(/\n/g, " ") : "";
+    lines.push(
+      `| ${c.strategy} | ${c.id} | ${c.execution_match ? "✓" : "✗"} | ${c.exact_match ? "✓" : "✗"} | ` +
+        `${c.attempts} | ${c.latency_ms} | ${c.pred_row_count ?? "-"}/${c.gold_row_count} | ${err} |`
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+function timestamp(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}` +
+    `-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`
+  );
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const benchmark = JSON.parse(await fs.readFile(args.benchmark, "utf-8"));
+
+  const { provider: llm, error: llmError } = await createLlmProvider(process.env, {
+    defaultFixturesPath: path.resolve(rootDir, "fixtures/mock_llm.json"),
+    timeoutMs: Number(process.env.OPENAI_TIMEOUT_MS || 45000),
+    maxRetries: Number(process.env.OPENAI_MAX_RETRIES || 1)
+  });
+  if (!llm) throw new Error(llmError);
+
+  const { defaultId, configs } = await loadDatasourceConfigs(
+    path.resolve(rootDir, process.env.DATASOURCES_PATH || "db/datasources.json")
+  );
+  const config = configs.find((c) => c.id === (args.datasource || defaultId));
+  if (!config) throw new Error(`Unknown datasource "${args.datasource}". Use: ${configs.map((c) => c.id).join(", ")}`);
+  // Predicted SQL runs sandboxed like in the server (ds.executor); gold SQL is trusted and runs
+  // directly.
+  const ds = await openDatasource(config, { rootDir });
+  const pipeline = createAskPipeline({ llm, datasource: ds, log: () => {} });
+
+  const cases = [];
+  for (const strategy of args.strategies) {
+    for (const item of benchmark.questions) {
+      const gold = execToRows(ds.db, item.gold_sql);
+      const t0 = Date.now();
+      // Gold SQL reads every user's logs, so predictions do too.
+      const { body, result } = await pipeline.ask({
+        question: item.question,
+        strategy,
+        answer: false,
+        userId: ALL_USERS
+      });
+      const latencyMs = Date.now() - t0;
+
+      const c = {
+        strategy,
+        id: item.id,
+        question: item.question,
+        gold_sql: item.gold_sql,
+        pred_sql: body.sql || null,
+        attempts: body.attempts || 0,
+        latency_ms: latencyMs,
+        gold_row_count: gold.rows.length,
+        pred_row_count: result ? result.rows.length : null,
+        execution_match: result ? resultSetsMatch(gold, result, { ordered: Boolean(item.ordered) }) : false,
+        exact_match: normalizeSqlText(body.sql) === normalizeSqlText(item.gold_sql),
+        error: body.error ? [body.error, body.guard_reason || body.exec_error].filter(Boolean).join(": ") : null
+      };
+      cases.push(c);
+      console.log(
+        `[eval] ${strategy} ${item.id} exec=${c.execution_match ? "ok" : "FAIL"} ` +
+          `exact=${c.exact_match ? "ok" : "no"} attempts=${c.attempts} (${latencyMs}ms)`
+      );
+    }
+  }
+
+  await ds.executor.close();
+
+  const runAt = new Date();
+  const report = {
+    run_at: runAt.toISOString(),
+    provider: llm.name,
+    model: llm.model,
+    datasource: ds.id,
+    benchmark: {
+      path: path.relative(rootDir, args.benchmark),
+      version: benchmark.version,
+      questions: benchmark.questions.length
+    },
+    summary: Object.fromEntries(
+      args.strategies.map((s) => [s, summarize(cases.filter((c) => c.strategy === s))])
+    ),
+    cases
+  };
+
+  await fs.mkdir(args.out, { recursive: true });
+  const base = path.join(args.out, `${benchmark.version}-${llm.name}-${timestamp(runAt)}`);
+  await fs.writeFile(`${base}.json`, JSON.stringify(report, null, 2));
+  await fs.writeFile(`${base}.md`, renderMarkdown(report));
+
+  for (const [strategy, s] of Object.entries(report.summary)) {
+    console.log(
+      `[eval] ${strategy}: execution_accuracy=${pct(s.execution_accuracy * s.questions, s.questions)} ` +
+        `exact_match=${pct(s.exact_match * s.questions, s.questions)} avg_attempts=${s.avg_attempts.toFixed(2)}`
+    );
+  }
+  console.log(`Wrote ${path.relative(rootDir, base)}.json and .md`);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
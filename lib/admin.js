@@ -0,0 +1,69 @@
+import express from "express";
+import { FEEDBACK_STATUSES, FeedbackError } from "./feedback.js";
+import { ValidationError, parseId, sendError } from "./logs.js";
+import { PersistenceError } from "./persistence.js";
+
+// /api/admin/* routes. Requests need "Authorization: Bearer <ADMIN_TOKEN>"; without ADMIN_TOKEN the
+// routes are disabled (a loopback check can't tell a local reverse proxy from a local user).
+export function createAdminRouter({ persistence, feedback, adminToken }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!adminToken) return res.status(503).json({ error: "Admin endpoints are disabled until ADMIN_TOKEN is set." });
+    if (req.get("authorization") === `Bearer ${adminToken}`) return next();
+    return res.status(401).json({ error: "Admin token required." });
+  });
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      return await fn(req, res);
+    } catch (err) {
+      if (err instanceof ValidationError) return sendError(res, err);
+      const status = err instanceof PersistenceError || err instanceof FeedbackError ? err.status : 500;
+      return res.status(status).json({ error: err?.message || String(err) });
+    }
+  };
+
+  router.get(
+    "/backups",
+    handle(async (_req, res) => res.json({ ...persistence.status(), backups: await persistence.listBackups() }))
+  );
+
+  router.post(
+    "/backup",
+    handle(async (_req, res) => res.status(201).json({ backup: await persistence.backup("manual") }))
+  );
+
+  router.post(
+    "/restore",
+    handle(async (req, res) => {
+      const name = String(req.body?.name || "").trim();
+      if (!name) return res.status(400).json({ error: "Missing backup name.", field: "name" });
+      return res.json(await persistence.restore(name));
+    })
+  );
+
+  router.get(
+    "/feedback",
+    handle(async (req, res) => {
+      const status = req.query.status ? String(req.query.status) : null;
+      if (status && !FEEDBACK_STATUSES.includes(status)) {
+        throw new ValidationError("status", `status must be one of: ${FEEDBACK_STATUSES.join(", ")}.`);
+      }
+      const limit = req.query.limit ? parseId(req.query.limit, "limit") : undefined;
+      return res.json({ feedback: feedback.list({ status, limit }) });
+    })
+  );
+
+  router.post(
+    "/feedback/:id/approve",
+    handle(async (req, res) => res.json(await feedback.approve(parseId(req.params.id, "id"), { sql: req.body?.sql })))
+  );
+
+  router.post(
+    "/feedback/:id/reject",
+    handle(async (req, res) => res.json(feedback.reject(parseId(req.params.id, "id"))))
+  );
+
+  return router;
+}
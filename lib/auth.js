@@ -0,0 +1,242 @@
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+import express from "express";
+import { ensureColumn, queryOne, runStatement } from "./db.js";
+import { ValidationError, sendError } from "./logs.js";
+
+// Local user accounts (username + password) with cookie sessions:
+//   POST /api/auth/register  { username, password } -> 201, signed in
+//   POST /api/auth/login     { username, password } -> 200, signed in
+//   POST /api/auth/logout                           -> 204
+//   GET  /api/auth/me                               -> { user_id, username } or 401
+// Passwords are stored as scrypt hashes with a per-user salt; the session cookie holds a random
+// token of which only the SHA-256 hash is stored. Like query_history, the tables are kept out of
+// db/schema.sql, so generated SQL can never read them.
+// Per-user tables (ownedTables) get a user_id column; rows from before accounts existed (the seed
+// data, older databases) belong to user 1. That id is reserved for the owner account created from
+// config by ensureOwner(), so registering never hands those rows to whoever signs up first.
+
+export const LEGACY_OWNER_ID = 1;
+const SESSION_COOKIE = "session";
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const USERNAME_RE = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const KEY_LENGTH = 64;
+
+const AUTH_SCHEMA = `
+CREATE TABLE IF NOT EXISTS users (
+  user_id       INTEGER PRIMARY KEY,
+  username      TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash TEXT NOT NULL,          -- scrypt$<salt hex>$<hash hex>
+  created_at    TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS user_sessions (
+  token_hash TEXT PRIMARY KEY,          -- SHA-256 of the cookie token
+  user_id    INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+`;
+
+const scrypt = promisify(crypto.scrypt);
+const sha256 = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split("$");
+  if (scheme !== "scrypt") return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, Buffer.from(salt, "hex"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Unknown usernames still check a password, so the response time doesn't tell them apart.
+const DUMMY_HASH = `scrypt$${"00".repeat(16)}$${"00".repeat(KEY_LENGTH)}`;
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq === -1) continue;
+    const name = part.slice(0, eq).trim();
+    if (name && !(name in cookies)) cookies[name] = part.slice(eq + 1).trim();
+  }
+  return cookies;
+}
+
+function parseCredentials(input) {
+  const username = typeof input.username === "string" ? input.username.trim().toLowerCase() : "";
+  if (!USERNAME_RE.test(username)) {
+    throw new ValidationError("username", "username must be 3-32 characters: letters, digits, \"_\", \".\" or \"-\".");
+  }
+  const password = typeof input.password === "string" ? input.password : "";
+  if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    throw new ValidationError("password", `password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters.`);
+  }
+  return { username, password };
+}
+
+// onChange() is called after every change to the tables.
+export function createAuth({ db, ownedTables = [], onChange = () => {} }) {
+  db.run(AUTH_SCHEMA);
+  for (const table of ownedTables) ensureColumn(db, table, "user_id", `INTEGER NOT NULL DEFAULT ${LEGACY_OWNER_ID}`);
+
+  const publicUser = (row) => (row ? { user_id: row.user_id, username: row.username } : null);
+
+  function startSession(req, res, userId) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const now = Date.now();
+    runStatement(db, "DELETE FROM user_sessions WHERE expires_at < ?", [new Date(now).toISOString()]);
+    runStatement(db, "INSERT INTO user_sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)", [
+      sha256(token),
+      userId,
+      new Date(now).toISOString(),
+      new Date(now + SESSION_TTL_MS).toISOString()
+    ]);
+    onChange();
+    res.setHeader(
+      "Set-Cookie",
+      `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_MS / 1000}` +
+        (req.secure ? "; Secure" : "")
+    );
+  }
+
+  function sessionToken(req) {
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || "";
+  }
+
+  // The signed-in user for a request, or null.
+  function currentUser(req) {
+    const token = sessionToken(req);
+    if (!token) return null;
+    return publicUser(
+      queryOne(
+        db,
+        `SELECT users.user_id, users.username
+         FROM user_sessions
+         JOIN users ON users.user_id = user_sessions.user_id
+         WHERE user_sessions.token_hash = ? AND user_sessions.expires_at > ?`,
+        [sha256(token), new Date().toISOString()]
+      )
+    );
+  }
+
+  async function register(input) {
+    const { username, password } = parseCredentials(input);
+    const passwordHash = await hashPassword(password);
+    // Checked after the (async) hashing, so two requests for one name can't both get past it.
+    if (queryOne(db, "SELECT 1 AS ok FROM users WHERE username = ?", [username])) return null;
+    const { lastInsertId } = runStatement(
+      db,
+      `INSERT INTO users (user_id, username, password_hash, created_at)
+       SELECT MAX(COALESCE(MAX(user_id), 0), ?) + 1, ?, ?, ? FROM users`,
+      [LEGACY_OWNER_ID, username, passwordHash, new Date().toISOString()]
+    );
+    onChange();
+    return { user_id: lastInsertId, username };
+  }
+
+  // Creates the owner account (LEGACY_OWNER_ID) from config unless it exists. Without credentials
+  // the legacy rows stay unowned. Throws when the credentials are invalid or the name is taken.
+  async function ensureOwner({ username: rawUsername, password: rawPassword } = {}) {
+    const existing = queryOne(db, "SELECT * FROM users WHERE user_id = ?", [LEGACY_OWNER_ID]);
+    if (existing || (!rawUsername && !rawPassword)) return publicUser(existing);
+    let credentials;
+    try {
+      credentials = parseCredentials({ username: rawUsername, password: rawPassword });
+    } catch (err) {
+      if (err instanceof ValidationError) throw new Error(`OWNER_${err.field.toUpperCase()}: ${err.message}`);
+      throw err;
+    }
+    const { username, password } = credentials;
+    if (queryOne(db, "SELECT 1 AS ok FROM users WHERE username = ?", [username])) {
+      throw new Error(`OWNER_USERNAME: "${username}" is already used by another account.`);
+    }
+    runStatement(db, "INSERT INTO users (user_id, username, password_hash, created_at) VALUES (?, ?, ?, ?)", [
+      LEGACY_OWNER_ID,
+      username,
+      await hashPassword(password),
+      new Date().toISOString()
+    ]);
+    onChange();
+    return { user_id: LEGACY_OWNER_ID, username };
+  }
+
+  async function login(input) {
+    const username = typeof input.username === "string" ? input.username.trim().toLowerCase() : "";
+    const password = typeof input.password === "string" ? input.password : "";
+    const row = queryOne(db, "SELECT * FROM users WHERE username = ?", [username]);
+    const ok = await verifyPassword(password, row ? row.password_hash : DUMMY_HASH);
+    return ok && row ? publicUser(row) : null;
+  }
+
+  function logout(req) {
+    const token = sessionToken(req);
+    if (!token) return;
+    const { changes } = runStatement(db, "DELETE FROM user_sessions WHERE token_hash = ?", [sha256(token)]);
+    if (changes) onChange();
+  }
+
+  // Express middleware: 401 unless signed in, else req.user = { user_id, username }.
+  function requireUser(req, res, next) {
+    const user = currentUser(req);
+    if (!user) return res.status(401).json({ error: "Sign in first." });
+    req.user = user;
+    return next();
+  }
+
+  return { currentUser, register, login, logout, requireUser, startSession, ensureOwner };
+}
+
+export function createAuthRouter({ auth }) {
+  const router = express.Router();
+  const clearCookie = (res) =>
+    res.setHeader("Set-Cookie", `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+
+  router.post("/register", async (req, res) => {
+    try {
+      const user = await auth.register(req.body || {});
+      if (!user) return res.status(409).json({ error: "That username is taken.", field: "username" });
+      auth.startSession(req, res, user.user_id);
+      return res.status(201).json(user);
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.post("/login", async (req, res) => {
+    try {
+      const user = await auth.login(req.body || {});
+      if (!user) return res.status(401).json({ error: "Wrong username or password." });
+      auth.startSession(req, res, user.user_id);
+      return res.json(user);
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.post("/logout", (req, res) => {
+    try {
+      auth.logout(req);
+      clearCookie(res);
+      return res.status(204).end();
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.get("/me", (req, res) => {
+    const user = auth.currentUser(req);
+    if (!user) return res.status(401).json({ error: "Not signed in." });
+    return res.json(user);
+  });
+
+  return router;
+}
@@ -0,0 +1,82 @@
+// Chart suggestions for query results. The answer model may propose a chart; otherwise (or when
+// its proposal doesn't fit the result) one is inferred from the column types:
+//   date/time column + numeric columns      -> line   (e.g. calories per day)
+//   one label column + numeric column       -> bar, or pie for a few positive counts/shares
+//   two numeric columns, no labels          -> scatter
+// A spec is { type, x, y: [columns], source: "model" | "inferred", data: [{ x, ...y }] }.
+
+export const CHART_TYPES = ["bar", "line", "pie", "scatter"];
+const MAX_POINTS = 200;
+const MAX_SERIES = 4;
+const MAX_PIE_SLICES = 8;
+const DATE_RE = /^\d{4}-\d{2}(-\d{2})?([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z?)?$/;
+const PIE_HINT_RE = /count|total|share|percent|pct|times|servings/i;
+
+function columnKind(rows, column) {
+  let seen = 0;
+  let numeric = 0;
+  let dates = 0;
+  for (const row of rows) {
+    const v = row[column];
+    if (v === null || v === undefined) continue;
+    seen += 1;
+    if (typeof v === "number" && Number.isFinite(v)) numeric += 1;
+    else if (typeof v === "string" && DATE_RE.test(v)) dates += 1;
+  }
+  if (seen === 0) return "empty";
+  if (numeric === seen) return "number";
+  if (dates === seen) return "date";
+  return "label";
+}
+
+function chartData(rows, x, y) {
+  return rows.slice(0, MAX_POINTS).map((r) => Object.fromEntries([x, ...y].map((c) => [c, r[c] ?? null])));
+}
+
+function isIdColumn(column) {
+  return /(^|_)id$/i.test(column);
+}
+
+export function inferChart(columns, rows) {
+  if (!rows || rows.length < 2) return null;
+  const kinds = Object.fromEntries(columns.map((c) => [c, columnKind(rows, c)]));
+  const numbers = columns.filter((c) => kinds[c] === "number" && !isIdColumn(c));
+  const dates = columns.filter((c) => kinds[c] === "date");
+  const labels = columns.filter((c) => kinds[c] === "label");
+
+  if (dates.length > 0 && numbers.length > 0) {
+    const y = numbers.slice(0, MAX_SERIES);
+    return { type: "line", x: dates[0], y, source: "inferred", data: chartData(rows, dates[0], y) };
+  }
+  if (labels.length > 0 && numbers.length > 0) {
+    const x = labels[0];
+    const positive = rows.every((r) => typeof r[numbers[0]] === "number" && r[numbers[0]] > 0);
+    if (numbers.length === 1 && rows.length <= MAX_PIE_SLICES && positive && PIE_HINT_RE.test(numbers[0])) {
+      return { type: "pie", x, y: numbers, source: "inferred", data: chartData(rows, x, numbers) };
+    }
+    const y = numbers.slice(0, MAX_SERIES);
+    return { type: "bar", x, y, source: "inferred", data: chartData(rows, x, y) };
+  }
+  if (labels.length === 0 && numbers.length >= 2 && rows.length >= 3) {
+    const [x, y] = numbers;
+    return { type: "scatter", x, y: [y], source: "inferred", data: chartData(rows, x, [y]) };
+  }
+  return null;
+}
+
+// Accept the model's proposal only if it refers to real columns with the right types.
+export function validateChart(proposal, columns, rows) {
+  if (!proposal || !CHART_TYPES.includes(proposal.type) || !rows || rows.length < 2) return null;
+  const x = String(proposal.x || "");
+  const y = (Array.isArray(proposal.y) ? proposal.y : [proposal.y]).map(String).filter(Boolean);
+  if (!columns.includes(x) || y.length === 0 || y.length > MAX_SERIES) return null;
+  if (y.some((c) => !columns.includes(c) || columnKind(rows, c) !== "number")) return null;
+
+  const xKind = columnKind(rows, x);
+  if (proposal.type === "line" && xKind === "label") return null;
+  if (proposal.type === "scatter" && (xKind !== "number" || y.length !== 1)) return null;
+  if (proposal.type === "pie") {
+    if (y.length !== 1 || rows.length > MAX_PIE_SLICES || rows.some((r) => !(r[y[0]] > 0))) return null;
+  }
+  return { type: proposal.type, x, y, source: "model", data: chartData(rows, x, y) };
+}
@@ -0,0 +1,201 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { openDatabase, queryAll } from "./db.js";
+import { createEntityLinker } from "./entities.js";
+import { loadExampleStore } from "./examples.js";
+import { createQueryExecutor } from "./executor.js";
+import { buildingBlockViews } from "./nutrition.js";
+import { createPersistence } from "./persistence.js";
+import { createSchemaContext } from "./schemaContext.js";
+import { parseSchemaCatalog } from "./sqlGuard.js";
+
+// Named data sources the NL interface can query, listed in db/datasources.json:
+//   { "default": "<id>",
+//     "datasources": [{ id, name, description?, db_path, schema_path?, notes?, examples_path?,
+//                       few_shot?, entity_linking?, feedback_benchmark_path?, imports?,
+//                       building_blocks?, user_tables? }] }
+// Each has its own SQLite file, DDL, domain notes for the SQL prompt and example library, and gets
+// its own schema catalog, query executor and persistence. Without schema_path the CREATE TABLE
+// statements stored in the database file are used, and re-read on refresh() so new tables show
+// up. imports marks a data source CSV/JSON uploads can add tables to (lib/imports.js); it needs
+// the stored schema, and its file is created on the first import. few_shot lists the example ids
+// the "few" strategy uses (default: the first two); entity linking (lib/entities.js) only knows the
+// nutrition tables, so it's opt-in, and so are building_blocks: the names of lib/nutrition.js views
+// generated SQL may read like tables. user_tables lists the tables that hold every user account's
+// rows in a user_id column; generated SQL only sees the signed-in user's (see sqlGuard.js).
+// Paths are relative to the project root.
+// The default data source also holds the app's own tables (history, feedback) and is the one
+// intake logging, write mode and the admin backups work on.
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const DEFAULT_FEW_SHOT = 2;
+
+function parseRegistry(raw, filePath) {
+  const fail = (msg) => {
+    throw new Error(`Invalid data source registry "${filePath}": ${msg}`);
+  };
+  if (!Array.isArray(raw?.datasources) || raw.datasources.length === 0) fail("datasources must be a non-empty array.");
+  const ids = new Set();
+  for (const ds of raw.datasources) {
+    if (!ID_RE.test(String(ds?.id || ""))) fail(`id "${ds?.id}" must be lowercase letters, digits, "-" or "_".`);
+    if (ids.has(ds.id)) fail(`duplicate id "${ds.id}".`);
+    ids.add(ds.id);
+    if (typeof ds.name !== "string" || !ds.name.trim()) fail(`${ds.id}: name is required.`);
+    if (typeof ds.db_path !== "string" || !ds.db_path.trim()) fail(`${ds.id}: db_path is required.`);
+    if (ds.notes !== undefined && !(Array.isArray(ds.notes) && ds.notes.every((n) => typeof n === "string"))) {
+      fail(`${ds.id}: notes must be an array of strings.`);
+    }
+    if (ds.few_shot !== undefined && !Array.isArray(ds.few_shot)) fail(`${ds.id}: few_shot must be an array of ids.`);
+    if (ds.building_blocks !== undefined && !Array.isArray(ds.building_blocks)) {
+      fail(`${ds.id}: building_blocks must be an array of names.`);
+    }
+    if (ds.user_tables !== undefined && !Array.isArray(ds.user_tables)) {
+      fail(`${ds.id}: user_tables must be an array of table names.`);
+    }
+    if (ds.imports && ds.schema_path) fail(`${ds.id}: imports needs the stored schema (drop schema_path).`);
+  }
+  const defaultId = raw.default ?? raw.datasources[0].id;
+  if (!ids.has(defaultId)) fail(`default "${defaultId}" is not one of the data sources.`);
+  return { defaultId, configs: raw.datasources };
+}
+
+function storedSchema(db) {
+  return queryAll(db, "SELECT sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+    .map((r) => `${r.sql};`)
+    .join("\n\n");
+}
+
+// persistence: createPersistence() options, or null to only read the file (e.g. for the eval).
+export async function openDatasource(
+  config,
+  { rootDir, dbPath = null, executorOptions = {}, persistence: persistenceOptions = null }
+) {
+  const resolve = (p) => path.resolve(rootDir, p);
+  const file = dbPath || resolve(config.db_path);
+  const db = await openDatabase(file, { create: Boolean(config.imports) });
+  const schemaSql = config.schema_path ? await fs.readFile(resolve(config.schema_path), "utf-8") : storedSchema(db);
+  const schemaCatalog = parseSchemaCatalog(schemaSql);
+  try {
+    schemaCatalog.views = buildingBlockViews(config.building_blocks);
+    schemaCatalog.userTables = new Set(config.user_tables);
+    for (const table of schemaCatalog.userTables) {
+      if (!schemaCatalog.tables.get(table)?.has("user_id")) {
+        throw new Error(`user_tables: "${table}" has no user_id column.`);
+      }
+    }
+  } catch (err) {
+    throw new Error(`Data source "${config.id}": ${err.message}`);
+  }
+  const executor = createQueryExecutor({ db, ...executorOptions });
+  const schemaContext = createSchemaContext({ db, schemaSql, schemaCatalog });
+  const entityLinker = config.entity_linking ? createEntityLinker({ db }) : null;
+  const exampleStore = await loadExampleStore(
+    resolve(config.examples_path || path.join(path.dirname(config.db_path), `${config.id}.examples.json`))
+  );
+  const fewShot = config.few_shot
+    ? config.few_shot.map((id) => {
+        const example = exampleStore.all().find((ex) => ex.id === id);
+        if (!example) throw new Error(`Data source "${config.id}": unknown few_shot example "${id}".`);
+        return example;
+      })
+    : exampleStore.all().slice(0, DEFAULT_FEW_SHOT);
+
+  // Data edits (and restores) can change the value hints in the SQL prompt, the names entity
+  // linking knows and the executor's snapshot; imports (and restores) can change the stored schema.
+  // The catalog object is shared with the pipeline's guard, so its tables are swapped in place.
+  const refresh = () => {
+    if (config.schema_path) {
+      schemaContext.refresh();
+    } else {
+      ds.schemaSql = storedSchema(db);
+      schemaCatalog.tables = parseSchemaCatalog(ds.schemaSql).tables;
+      schemaContext.refresh({ schemaSql: ds.schemaSql });
+    }
+    entityLinker?.refresh();
+    executor.invalidate();
+  };
+  const persistence = persistenceOptions
+    ? createPersistence({ db, dbPath: file, ...persistenceOptions, onRestore: refresh })
+    : null;
+
+  const ds = {
+    id: config.id,
+    name: config.name,
+    description: config.description || "",
+    notes: config.notes || [],
+    schemaPath: config.schema_path || null,
+    db,
+    schemaSql,
+    schemaCatalog,
+    schemaContext,
+    entityLinker,
+    exampleStore,
+    fewShotExamples: fewShot.map((ex) => ({ q: ex.question, sql: ex.sql })),
+    executor,
+    persistence,
+    benchmarkPath: resolve(config.feedback_benchmark_path || `eval/benchmark.${config.id}.feedback.json`),
+    imports: Boolean(config.imports),
+    refresh,
+    onDataChange() {
+      persistence?.markDirty();
+      refresh();
+    }
+  };
+  return ds;
+}
+
+export async function loadDatasourceConfigs(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(filePath, "utf-8"));
+  } catch (err) {
+    throw new Error(`Failed to load data source registry "${filePath}": ${err.message}`);
+  }
+  return parseRegistry(raw, filePath);
+}
+
+// dbPath overrides the default data source's file (DB_PATH).
+export async function createDatasourceRegistry({ filePath, rootDir, dbPath = null, executorOptions, persistence }) {
+  const { defaultId, configs } = await loadDatasourceConfigs(filePath);
+  const sources = new Map();
+  for (const config of configs) {
+    const ds = await openDatasource(config, {
+      rootDir,
+      dbPath: config.id === defaultId ? dbPath : null,
+      executorOptions,
+      persistence
+    });
+    sources.set(ds.id, ds);
+  }
+  const defaultSource = sources.get(defaultId);
+
+  return {
+    default: defaultSource,
+    all: () => [...sources.values()],
+
+    // No id means the default; an unknown id is null.
+    get(id) {
+      if (id === undefined || id === null || id === "") return defaultSource;
+      return sources.get(String(id)) || null;
+    },
+
+    flush() {
+      return Promise.all([...sources.values()].map((ds) => ds.persistence?.flush()));
+    }
+  };
+}
+
+export function publicDatasource(ds, { isDefault = false } = {}) {
+  return {
+    id: ds.id,
+    name: ds.name,
+    description: ds.description,
+    default: isDefault,
+    tables: ds.schemaContext.catalog().tables.map((t) => ({ name: t.name, row_count: t.row_count })),
+    example_questions: ds.fewShotExamples.map((ex) => ex.q),
+    entity_linking: Boolean(ds.entityLinker),
+    imports: ds.imports,
+    building_blocks: [...ds.schemaCatalog.views.keys()],
+    user_tables: [...ds.schemaCatalog.userTables]
+  };
+}
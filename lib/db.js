@@ -0,0 +1,81 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import initSqlJs from "sql.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let sqlJsPromise = null;
+
+export function loadSqlJs() {
+  if (!sqlJsPromise) {
+    const sqlJsDist = path.resolve(__dirname, "../node_modules/sql.js/dist");
+    sqlJsPromise = initSqlJs({ locateFile: (file) => path.join(sqlJsDist, file) });
+  }
+  return sqlJsPromise;
+}
+
+// create: start an empty database when the file doesn't exist yet (it's written on the first save).
+export async function openDatabase(dbPath, { create = false } = {}) {
+  let dbBytes = null;
+  try {
+    dbBytes = await fs.readFile(dbPath);
+  } catch (err) {
+    if (!create || err.code !== "ENOENT") {
+      throw new Error(`Missing "${path.relative(process.cwd(), dbPath)}". Run: npm run db:seed`);
+    }
+  }
+  const SQL = await loadSqlJs();
+  const db = dbBytes ? new SQL.Database(new Uint8Array(dbBytes)) : new SQL.Database();
+  db.run("PRAGMA foreign_keys = ON;");
+  return db;
+}
+
+// sql.js closes and reopens the connection inside export(), which drops per-connection
+// settings, so re-apply them here.
+export function exportDatabase(db) {
+  const bytes = db.export();
+  db.run("PRAGMA foreign_keys = ON;");
+  return bytes;
+}
+
+export function execToRows(db, sql) {
+  const resultSets = db.exec(sql);
+  if (!resultSets || resultSets.length === 0) return { columns: [], rows: [] };
+  const { columns, values } = resultSets[0];
+  const rows = values.map((row) => Object.fromEntries(columns.map((c, i) => [c, row[i]])));
+  return { columns, rows };
+}
+
+// Parameterized helpers for the REST endpoints (model-generated SQL goes through execToRows).
+export function queryAll(db, sql, params = []) {
+  const stmt = db.prepare(sql);
+  try {
+    stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) rows.push(stmt.getAsObject());
+    return rows;
+  } finally {
+    stmt.free();
+  }
+}
+
+export function queryOne(db, sql, params = []) {
+  return queryAll(db, sql, params)[0] || null;
+}
+
+export function runStatement(db, sql, params = []) {
+  db.run(sql, params);
+  const changes = db.getRowsModified();
+  const lastInsertId = db.exec("SELECT last_insert_rowid()")[0].values[0][0];
+  return { changes, lastInsertId };
+}
+
+// CREATE TABLE IF NOT EXISTS leaves tables from an earlier version as they were; add a column
+// that version didn't have. Returns true when the column was added.
+export function ensureColumn(db, table, column, definition) {
+  if (queryAll(db, `PRAGMA table_info(${table})`).some((c) => c.name === column)) return false;
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
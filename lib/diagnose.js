@@ -0,0 +1,296 @@
+import { isKeyword, isName, sqlGuard, tokenize } from "./sqlGuard.js";
+
+// Diagnosis of a query that ran but returned no rows. The top-level SELECT is split into its
+// FROM sources (with their join conditions), WHERE conjuncts and HAVING clause, and each part is
+// counted against the data on its own:
+//   - an empty table, or a join that matches nothing;
+//   - a WHERE condition that matches no rows of its table ("item_type = 'vitamins'"), or whose
+//     rows have no match in a joined table ("no supplements appear in recipe_items");
+//   - otherwise the first condition that empties the result once combined with the ones before it.
+// When the culprit can be dropped (a condition) or loosened (an inner join made LEFT JOIN) and
+// that returns rows, the rewritten query is proposed as relaxed_sql. Every count runs through the
+// SQL guard and the query executor with a short timeout; parts that can't be counted on their own
+// (e.g. a WHERE on a SELECT alias, or a count that times out) are skipped.
+
+const CLAUSE_KEYWORDS = ["WHERE", "GROUP", "HAVING", "WINDOW", "ORDER", "LIMIT"];
+const COMPOUND_KEYWORDS = ["UNION", "INTERSECT", "EXCEPT"];
+const JOIN_WORDS = new Set(["NATURAL", "LEFT", "RIGHT", "FULL", "OUTER", "INNER", "CROSS", "JOIN"]);
+const CHECK_TIMEOUT_MS = 2000;
+
+function depthAnnotated(sql) {
+  let depth = 0;
+  return tokenize(sql)
+    .filter((t) => t.type !== "comment")
+    .map((t) => {
+      if (t.type === "punct" && t.value === ")") depth -= 1;
+      const annotated = { ...t, depth };
+      if (t.type === "punct" && t.value === "(") depth += 1;
+      return annotated;
+    });
+}
+
+// Split tokens at top-level ANDs (not the AND of BETWEEN x AND y, nor inside CASE ... END).
+function splitConjuncts(sql, tokens) {
+  const parts = [];
+  let start = 0;
+  let between = false;
+  let caseDepth = 0;
+  tokens.forEach((t, i) => {
+    if (t.depth !== 0) return;
+    if (isKeyword(t, "CASE")) caseDepth += 1;
+    else if (isKeyword(t, "END") && caseDepth > 0) caseDepth -= 1;
+    else if (isKeyword(t, "BETWEEN")) between = true;
+    else if (isKeyword(t, "AND") && caseDepth === 0) {
+      if (between) between = false;
+      else {
+        parts.push(tokens.slice(start, i));
+        start = i + 1;
+      }
+    }
+  });
+  parts.push(tokens.slice(start));
+  return parts
+    .filter((p) => p.length)
+    .map((p) => ({ text: sql.slice(p[0].start, p[p.length - 1].end), tokens: p }));
+}
+
+// The aliases (or table names) a piece of SQL qualifies columns with: "i.item_type" -> "i".
+function qualifiers(tokens) {
+  const names = new Set();
+  tokens.forEach((t, i) => {
+    const dot = tokens[i + 1];
+    if (isName(t) && dot?.type === "punct" && dot.value === ".") names.add(t.value.toLowerCase());
+  });
+  return names;
+}
+
+// operator is the join operator before the source ("FROM" for the first, "," or e.g. "LEFT JOIN"),
+// with its offsets in the SQL.
+function parseSource(sql, tokens, operator) {
+  const conditionAt = tokens.findIndex((t) => t.depth === 0 && (isKeyword(t, "ON") || isKeyword(t, "USING")));
+  const head = conditionAt === -1 ? tokens : tokens.slice(0, conditionAt);
+  const condition = conditionAt === -1 ? [] : tokens.slice(conditionAt);
+  const named = head.length >= 1 && isName(head[0]) && !(head[1]?.type === "punct" && head[1].value === "(");
+  const aliasTok = head.find(
+    (t, i) => i > 0 && t.depth === 0 && isName(t) && !(head[i - 1].type === "punct" && head[i - 1].value === ".")
+  );
+  const table = named ? (head[1]?.value === "." ? head[2].value : head[0].value).toLowerCase() : null;
+  return {
+    operator,
+    text: sql.slice(tokens[0].start, tokens[tokens.length - 1].end),
+    head: sql.slice(head[0].start, head[head.length - 1].end),
+    condition: condition.length ? sql.slice(condition[0].start, condition[condition.length - 1].end) : "",
+    conditionTokens: condition,
+    table,
+    alias: aliasTok ? aliasTok.value.toLowerCase() : table
+  };
+}
+
+// The parts of the top-level SELECT, or null for shapes this doesn't handle (compound selects,
+// VALUES, no FROM).
+export function splitSelect(sql) {
+  const tokens = depthAnnotated(sql);
+  const top = tokens.filter((t) => t.depth === 0);
+  if (top.some((t) => COMPOUND_KEYWORDS.some((kw) => isKeyword(t, kw)))) return null;
+  const select = top.find((t) => isKeyword(t, "SELECT"));
+  const from = top.find((t) => isKeyword(t, "FROM"));
+  if (!select || !from) return null;
+
+  const indexOf = (tok) => tokens.indexOf(tok);
+  const clauseStarts = top.filter((t) => t.start > from.start && CLAUSE_KEYWORDS.some((kw) => isKeyword(t, kw)));
+  const clauseEnd = (after) => clauseStarts.find((t) => t.start > after.start);
+  const slice = (startTok) => {
+    const end = clauseEnd(startTok);
+    return tokens.slice(indexOf(startTok) + 1, end ? indexOf(end) : tokens.length);
+  };
+
+  // FROM: split at top-level join operators and commas.
+  const sources = [];
+  let operator = { text: "FROM", start: from.start, end: from.end };
+  let current = [];
+  const fromTokens = slice(from);
+  for (let i = 0; i < fromTokens.length; i += 1) {
+    const t = fromTokens[i];
+    const isJoinWord = t.depth === 0 && t.type === "word" && JOIN_WORDS.has(t.upper);
+    const isComma = t.depth === 0 && t.type === "punct" && t.value === ",";
+    if (!isJoinWord && !isComma) {
+      current.push(t);
+      continue;
+    }
+    if (current.length) sources.push(parseSource(sql, current, operator));
+    current = [];
+    if (isComma) {
+      operator = { text: ",", start: t.start, end: t.end };
+      continue;
+    }
+    let j = i;
+    while (fromTokens[j].upper !== "JOIN" && JOIN_WORDS.has(fromTokens[j + 1]?.upper)) j += 1;
+    const words = fromTokens.slice(i, j + 1);
+    operator = { text: words.map((w) => w.upper).join(" "), start: t.start, end: words[words.length - 1].end };
+    i = j;
+  }
+  if (current.length) sources.push(parseSource(sql, current, operator));
+  if (!sources.length) return null;
+
+  const where = top.find((t) => isKeyword(t, "WHERE") && t.start > from.start);
+  const group = top.find((t) => isKeyword(t, "GROUP") && t.start > from.start);
+  const having = top.find((t) => isKeyword(t, "HAVING") && t.start > from.start);
+  const textOf = (toks) => (toks.length ? sql.slice(toks[0].start, toks[toks.length - 1].end) : "");
+  // Offsets of a whole clause, keyword included, for rewriting the query without it.
+  const span = (tok) => ({ start: tok.start, end: clauseEnd(tok)?.start ?? sql.length });
+
+  return {
+    prefix: sql.slice(0, select.start),
+    sources,
+    where: where ? span(where) : null,
+    conjuncts: where ? splitConjuncts(sql, slice(where)) : [],
+    groupBy: group ? textOf(slice(group).slice(1)) : "",
+    having: having ? { text: textOf(slice(having)), ...span(having) } : null
+  };
+}
+
+// executor is the query executor (lib/executor.js); signal cancels the remaining checks. userId is
+// the sqlGuard() option the query ran with.
+export async function diagnoseEmptyResult({ executor, sql, schemaCatalog, userId = null, signal = null }) {
+  const parts = splitSelect(sql);
+  if (!parts) return null;
+  const { prefix, sources, conjuncts } = parts;
+  const checks = [];
+
+  // Number of rows (or groups, with grouping) for a FROM list and conditions; null if it can't run.
+  async function countRows(countSql) {
+    try {
+      const { rows } = await executor.run(countSql, { timeoutMs: CHECK_TIMEOUT_MS, signal });
+      return rows[0].n;
+    } catch (err) {
+      if (err.code === "cancelled") throw err;
+      return null;
+    }
+  }
+
+  async function count({ from, conditions = [], grouped = false, kind, label }) {
+    const fromSql = from.map((s, i) => {
+      if (i === 0) return s.text;
+      return `${s.operator.text === "," ? "," : ` ${s.operator.text}`} ${s.text}`;
+    });
+    const whereSql = conditions.length ? ` WHERE ${conditions.map((c) => `(${c})`).join(" AND ")}` : "";
+    let query = `SELECT 1 FROM ${fromSql.join("")}${whereSql}`;
+    if (grouped) query += ` GROUP BY ${parts.groupBy}${parts.having ? ` HAVING ${parts.having.text}` : ""}`;
+    const guarded = sqlGuard(`${prefix}SELECT COUNT(*) AS n FROM (${query})`, schemaCatalog, { userId });
+    if (!guarded.ok) return null;
+    const n = await countRows(guarded.sql);
+    if (kind && n !== null) checks.push({ kind, condition: label, row_count: n });
+    return n;
+  }
+
+  // Re-assemble the query without conjunct `drop` (or without HAVING).
+  function withoutConjunct(drop) {
+    const kept = conjuncts.filter((_, i) => i !== drop).map((c) => c.text);
+    const where = kept.length ? `WHERE ${kept.join(" AND ")} ` : "";
+    return `${sql.slice(0, parts.where.start)}${where}${sql.slice(parts.where.end)}`.trim();
+  }
+  async function relaxed(candidateSql) {
+    const guarded = sqlGuard(candidateSql, schemaCatalog, { userId });
+    if (!guarded.ok) return {};
+    const n = await countRows(`SELECT COUNT(*) AS n FROM (${guarded.sql})`);
+    return n > 0 ? { relaxed_sql: candidateSql, relaxed_row_count: n } : {};
+  }
+  const result = (culprit, message, relax = {}) => ({ culprit, message, checks, ...relax });
+
+  // 1. Tables and joins, without any WHERE.
+  for (let k = 0; k < sources.length; k += 1) {
+    const kind = k === 0 ? "table" : "join";
+    const n = await count({ from: sources.slice(0, k + 1), kind, label: sources[k].text });
+    if (n !== 0) continue;
+    const source = sources[k];
+    if (k === 0 || (await count({ from: [{ ...source, text: source.head }] })) === 0) {
+      return result({ kind: "table", condition: source.head }, `${source.table || source.head} has no rows.`);
+    }
+    const joined = sources.slice(0, k).map((s) => s.table || s.head).join(", ");
+    const message = `No rows of ${joined} have a match in ${source.table || source.head} (${source.condition}).`;
+    const { operator } = source;
+    const loosened = /^(INNER )?JOIN$/.test(operator.text)
+      ? await relaxed(`${sql.slice(0, operator.start)}LEFT JOIN${sql.slice(operator.end)}`)
+      : {};
+    return result({ kind: "join", condition: source.condition }, message, loosened);
+  }
+
+  // 2. Each WHERE condition on its own.
+  const byAlias = new Map(sources.map((s) => [s.alias, s]));
+  for (let i = 0; i < conjuncts.length; i += 1) {
+    const c = conjuncts[i];
+    const n = await count({ from: sources, conditions: [c.text], kind: "where", label: c.text });
+    if (n !== 0) continue;
+    const relax = await relaxed(withoutConjunct(i));
+    const used = [...qualifiers(c.tokens)].map((q) => byAlias.get(q)).filter(Boolean);
+    const own = used.length === 1 ? used[0] : sources.length === 1 ? sources[0] : null;
+    if (!own) return result({ kind: "where", condition: c.text }, `No rows match ${c.text}.`, relax);
+
+    const alone = await count({ from: [{ ...own, text: own.head }], conditions: [c.text] });
+    const name = own.table || own.head;
+    if (alone === 0 || alone === null) {
+      return result({ kind: "where", condition: c.text }, `No ${name} rows match ${c.text}.`, relax);
+    }
+    // The condition matches rows of its own table: find the join they have no match in.
+    for (const other of sources) {
+      if (other === own) continue;
+      // The join condition (on either side) that relates just these two sources.
+      const link = [own, other].find((s) => {
+        const refs = [...qualifiers(s.conditionTokens)];
+        return refs.includes(own.alias) && refs.includes(other.alias) && refs.length === 2;
+      });
+      if (!link) continue;
+      const [first, second] = sources.indexOf(own) < sources.indexOf(other) ? [own, other] : [other, own];
+      const pair = [
+        { ...first, text: first.head },
+        { ...second, operator: { text: "JOIN" }, text: `${second.head} ${link.condition}` }
+      ];
+      if ((await count({ from: pair, conditions: [c.text] })) === 0) {
+        const otherName = other.table || other.head;
+        return result(
+          { kind: "where", condition: c.text },
+          `${alone} ${name} row(s) match ${c.text}, but none of them appear in ${otherName} (${link.condition}).`,
+          relax
+        );
+      }
+    }
+    return result(
+      { kind: "where", condition: c.text },
+      `${alone} ${name} row(s) match ${c.text}, but none of them are left after the joins.`,
+      relax
+    );
+  }
+
+  // 3. Conditions that each match rows but not together.
+  for (let i = 1; i < conjuncts.length; i += 1) {
+    const n = await count({
+      from: sources,
+      conditions: conjuncts.slice(0, i + 1).map((c) => c.text),
+      kind: "combined",
+      label: conjuncts.slice(0, i + 1).map((c) => c.text).join(" AND ")
+    });
+    if (n !== 0) continue;
+    const before = conjuncts.slice(0, i).map((c) => c.text).join(" AND ");
+    return result(
+      { kind: "where", condition: conjuncts[i].text },
+      `${conjuncts[i].text} matches rows on its own, but none once combined with ${before}.`,
+      await relaxed(withoutConjunct(i))
+    );
+  }
+
+  // 4. HAVING removes every group.
+  if (parts.having && parts.groupBy) {
+    const conditions = conjuncts.map((c) => c.text);
+    const n = await count({ from: sources, conditions, grouped: true, kind: "having", label: parts.having.text });
+    if (n === 0) {
+      const withoutHaving = `${sql.slice(0, parts.having.start)}${sql.slice(parts.having.end)}`.trim();
+      return result(
+        { kind: "having", condition: parts.having.text },
+        `No group satisfies HAVING ${parts.having.text}.`,
+        await relaxed(withoutHaving)
+      );
+    }
+  }
+
+  return checks.length ? result(null, "Could not single out the part of the query that removes every row.") : null;
+}
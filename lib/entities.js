@@ -0,0 +1,190 @@
+import { queryAll } from "./db.js";
+
+// Entity linking for /api/ask: before SQL generation, mentions in the question are fuzzy-matched
+// against the values the model tends to misspell or paraphrase:
+//   items.name, recipes.name, items.brand, nutrients.name
+// using edit distance (typos such as "spinnach") and synonyms ("vit D" -> vitamin_d_mcg). The
+// resolved canonical values are given to the model (entityLinksPrompt) and returned to the client as
+//   entities: [{ mention, start, end, kind, column, value, item_type?, match, score }]
+// where match is "exact" | "synonym" | "fuzzy". The lexicon is read from the live database and
+// rebuilt after refresh().
+
+const MAX_NGRAM = 5;
+const MIN_MENTION_LENGTH = 3;
+const MAX_ALTERNATIVES = 3;
+
+const STOPWORDS = new Set(
+  (
+    "a all an and any are as at be by can did do does each eat eaten for from had have how i in is it " +
+    "last list me most my of on or per show than that the their them these this to took top was week what " +
+    "when which who with without you your day days many much more less"
+  ).split(" ")
+);
+
+// Extra names for nutrients, keyed by nutrients.name. Plain names are derived automatically
+// ("vitamin_c_mg" -> "vitamin c", "vit c"); these cover the rest.
+const NUTRIENT_SYNONYMS = {
+  calories_kcal: ["calorie", "kcal", "energy"],
+  carbs_g: ["carb", "carbohydrate", "carbohydrates"],
+  fat_g: ["fats"],
+  fiber_g: ["fibre", "dietary fiber"],
+  sugar_g: ["sugars"],
+  sodium_mg: ["salt"],
+  omega3_g: ["omega 3", "omega three", "fish oil fatty acids"],
+  protein_g: ["proteins"],
+  vitamin_d_mcg: ["vit d3", "vitamin d3"]
+};
+
+export function normalizeMention(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions).
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      row.push(d);
+      best = Math.min(best, d);
+    }
+    if (best > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed for a name of this length: none for short words, where one edit turns
+// "iron" into "icon" and "oats" into "eats".
+function allowedEdits(length) {
+  if (length <= 4) return 0;
+  if (length <= 8) return 1;
+  return 2;
+}
+
+function nutrientAliases(name, unit) {
+  const base = normalizeMention(name.replace(new RegExp(`_${unit}$`, "i"), ""));
+  const aliases = new Set([base, ...(NUTRIENT_SYNONYMS[name] || []).map(normalizeMention)]);
+  const vitamin = /^vitamin ([a-z]\d?)$/.exec(base);
+  if (vitamin) {
+    aliases.add(`vit ${vitamin[1]}`);
+    aliases.add(`vitamin${vitamin[1]}`);
+  }
+  if (base.includes(" ")) aliases.add(base.replace(/ /g, ""));
+  return [...aliases].filter(Boolean);
+}
+
+function buildLexicon(db) {
+  const entries = [];
+  const add = (text, entity, match) => {
+    const norm = normalizeMention(text);
+    if (norm.length >= MIN_MENTION_LENGTH) entries.push({ norm, words: norm.split(" ").length, entity, match });
+  };
+
+  for (const item of queryAll(db, "SELECT DISTINCT name, item_type FROM items")) {
+    const entity = { kind: "item", column: "items.name", value: item.name, item_type: item.item_type };
+    add(item.name, entity, "exact");
+    // "Vitamin C 500mg (SunHealth)" is also "Vitamin C 500mg".
+    const plain = item.name.replace(/\s*\([^)]*\)\s*/g, " ").trim();
+    if (plain !== item.name) add(plain, entity, "synonym");
+  }
+  for (const recipe of queryAll(db, "SELECT name FROM recipes")) {
+    add(recipe.name, { kind: "recipe", column: "recipes.name", value: recipe.name }, "exact");
+  }
+  for (const { brand } of queryAll(db, "SELECT DISTINCT brand FROM items WHERE brand IS NOT NULL")) {
+    add(brand, { kind: "brand", column: "items.brand", value: brand }, "exact");
+  }
+  for (const nutrient of queryAll(db, "SELECT name, unit FROM nutrients")) {
+    const entity = { kind: "nutrient", column: "nutrients.name", value: nutrient.name };
+    add(nutrient.name, entity, "exact");
+    for (const alias of nutrientAliases(nutrient.name, nutrient.unit)) add(alias, entity, "synonym");
+  }
+  return entries;
+}
+
+function questionTokens(question) {
+  const tokens = [];
+  const re = /[A-Za-z0-9]+/g;
+  let m;
+  while ((m = re.exec(question))) tokens.push({ text: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length });
+  return tokens;
+}
+
+export function linkEntities(question, lexicon) {
+  const tokens = questionTokens(String(question || ""));
+  const candidates = [];
+  for (let i = 0; i < tokens.length; i += 1) {
+    for (let n = 1; n <= MAX_NGRAM && i + n <= tokens.length; n += 1) {
+      const span = tokens.slice(i, i + n);
+      if (span.every((t) => STOPWORDS.has(t.text))) continue;
+      if (STOPWORDS.has(span[0].text) || STOPWORDS.has(span[n - 1].text)) continue;
+      const mention = span.map((t) => t.text).join(" ");
+      if (mention.length < MIN_MENTION_LENGTH) continue;
+
+      for (const entry of lexicon) {
+        if (Math.abs(entry.words - n) > 1) continue;
+        const max = allowedEdits(entry.norm.length);
+        const distance = mention === entry.norm ? 0 : editDistance(mention, entry.norm, max);
+        if (distance > max) continue;
+        candidates.push({
+          start: span[0].start,
+          end: span[n - 1].end,
+          entity: entry.entity,
+          match: distance === 0 ? entry.match : "fuzzy",
+          score: 1 - distance / Math.max(entry.norm.length, mention.length)
+        });
+      }
+    }
+  }
+
+  // Best spans first (closest match, then longest), skipping any that overlap a chosen span.
+  candidates.sort((a, b) => b.score - a.score || b.end - b.start - (a.end - a.start) || a.start - b.start);
+  const chosen = [];
+  for (const c of candidates) {
+    const overlapping = chosen.find((s) => c.start < s.end && s.start < c.end);
+    if (overlapping) {
+      // Same span, same score: an alternative reading (e.g. "Salmon" as an item and a brand).
+      const same = overlapping.start === c.start && overlapping.end === c.end && overlapping.score === c.score;
+      const dup = overlapping.alternatives.some((e) => e.column === c.entity.column && e.value === c.entity.value);
+      if (same && !dup && overlapping.alternatives.length < MAX_ALTERNATIVES) overlapping.alternatives.push(c.entity);
+      continue;
+    }
+    chosen.push({ ...c, alternatives: [c.entity] });
+  }
+
+  return chosen
+    .sort((a, b) => a.start - b.start)
+    .flatMap((c) =>
+      c.alternatives.map((entity) => ({
+        mention: question.slice(c.start, c.end),
+        start: c.start,
+        end: c.end,
+        ...entity,
+        match: c.match,
+        score: Number(c.score.toFixed(3))
+      }))
+    );
+}
+
+export function createEntityLinker({ db }) {
+  let lexicon = null;
+  return {
+    link(question) {
+      if (!lexicon) lexicon = buildLexicon(db);
+      return linkEntities(question, lexicon);
+    },
+    refresh() {
+      lexicon = null;
+    }
+  };
+}
@@ -0,0 +1,101 @@
+import fs from "node:fs/promises";
+import { writeFileAtomic } from "./persistence.js";
+
+// Local lexical retrieval over a data source's question/SQL example library (e.g. db/examples.json).
+// Okapi BM25 over question tokens; no embedding service involved.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be by did do does for from how i in is it me my of on or show the their " +
+    "them there these this to was what when which who with you your"
+  ).split(" ")
+);
+
+// Lowercase, split on non-alphanumerics, drop stopwords, and apply a tiny plural stemmer so
+// "recipes"/"recipe" and "supplements"/"supplement" match.
+export function tokenizeQuestion(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !STOPWORDS.has(t))
+    .map((t) => (t.length > 3 && t.endsWith("s") && !t.endsWith("ss") ? t.slice(0, -1) : t));
+}
+
+function buildIndex(examples) {
+  const docs = examples.map((ex) => tokenizeQuestion(ex.question));
+  const df = new Map();
+  for (const tokens of docs) {
+    for (const t of new Set(tokens)) df.set(t, (df.get(t) || 0) + 1);
+  }
+  const avgLen = docs.length ? docs.reduce((acc, d) => acc + d.length, 0) / docs.length : 0;
+  return { docs, df, avgLen };
+}
+
+function bm25Scores(index, queryTokens) {
+  const n = index.docs.length;
+  return index.docs.map((doc) => {
+    const tf = new Map();
+    for (const t of doc) tf.set(t, (tf.get(t) || 0) + 1);
+    let score = 0;
+    for (const q of new Set(queryTokens)) {
+      const f = tf.get(q);
+      if (!f) continue;
+      const df = index.df.get(q) || 0;
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      score += (idf * f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / (index.avgLen || 1)));
+    }
+    return score;
+  });
+}
+
+// A missing file is an empty library; it's created by the first add().
+export async function loadExampleStore(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await fs.readFile(filePath, "utf-8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw new Error(`Failed to load example library "${filePath}": ${err.message}`);
+    parsed = { version: 1, examples: [] };
+  }
+  parsed.examples = parsed.examples || [];
+  const examples = parsed.examples.filter((ex) => ex.question && ex.sql);
+  let index = buildIndex(examples);
+  let saving = Promise.resolve();
+
+  function nextId() {
+    const max = parsed.examples.reduce((n, ex) => Math.max(n, Number(/^ex-(\d+)$/.exec(ex.id || "")?.[1] || 0)), 0);
+    return `ex-${String(max + 1).padStart(3, "0")}`;
+  }
+
+  return {
+    all() {
+      return examples;
+    },
+
+    // The k most similar examples (highest BM25 score first). Examples that share no terms
+    // with the question are never returned.
+    search(question, k = 3) {
+      const scores = bm25Scores(index, tokenizeQuestion(question));
+      return examples
+        .map((ex, i) => ({ ...ex, score: scores[i] }))
+        .filter((ex) => ex.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+    },
+
+    // Add an example (e.g. an approved feedback correction) and write the library back to
+    // filePath. Saves are serialized so concurrent adds can't lose each other's examples.
+    add({ question, sql, source, ...extra }) {
+      const example = { id: nextId(), question, sql, source, ...extra };
+      parsed.examples.push(example);
+      examples.push(example);
+      index = buildIndex(examples);
+      const save = saving.then(() => writeFileAtomic(filePath, `${JSON.stringify(parsed, null, 2)}\n`));
+      saving = save.catch(() => {});
+      return save.then(() => example);
+    }
+  };
+}
@@ -0,0 +1,169 @@
+import { Worker } from "node:worker_threads";
+import { exportDatabase } from "./db.js";
+
+// Sandboxed execution of model-generated (and user-supplied) SQL. Queries run in a small pool of
+// worker threads (lib/queryWorker.js), each holding a read-only snapshot of the database, so a
+// runaway recursive CTE or cartesian join can't block the Express process. Per query:
+//   - a wall-clock timeout: the worker is terminated and replaced;
+//   - row and output-size caps, checked while rows are read;
+//   - cancellation through an AbortSignal (e.g. the client disconnected).
+// Hitting a limit rejects with a QueryExecutionError whose code is "timeout", "row_limit",
+// "output_limit" or "cancelled" ("sqlite" for ordinary SQL errors). Call invalidate() after the
+// data changes; workers reload the snapshot before their next query.
+
+const DEFAULT_WORKERS = 2;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_ROWS = 10000;
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+
+export class QueryExecutionError extends Error {
+  constructor(message, code = "sqlite") {
+    super(message);
+    this.code = code;
+  }
+}
+
+// "timeout", "row_limit", "output_limit" or "cancelled" when the executor stopped the query (or
+// "too_expensive" when the query plan check refused it), else null for ordinary SQL errors.
+export function limitCode(err) {
+  return err instanceof QueryExecutionError && err.code !== "sqlite" ? err.code : null;
+}
+
+export function createQueryExecutor({
+  db,
+  size = DEFAULT_WORKERS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRows = DEFAULT_MAX_ROWS,
+  maxBytes = DEFAULT_MAX_BYTES
+}) {
+  const slots = []; // { worker, version, job }
+  const queue = [];
+  let version = 0;
+  let snapshot = null;
+  let nextId = 1;
+
+  function currentSnapshot() {
+    if (!snapshot) snapshot = { version, bytes: exportDatabase(db) };
+    return snapshot;
+  }
+
+  function spawn() {
+    const slot = { worker: new Worker(new URL("./queryWorker.js", import.meta.url)), version: -1, job: null };
+    slot.worker.on("message", (msg) => {
+      if (!slot.job || msg.id !== slot.job.id) return;
+      const { job } = slot;
+      release(slot);
+      if (msg.ok) job.resolve({ columns: msg.columns, values: msg.values });
+      else job.reject(new QueryExecutionError(msg.error, msg.code));
+    });
+    slot.worker.on("error", (err) => discard(slot, new QueryExecutionError(`Query worker crashed: ${err.message}`)));
+    slot.worker.on("exit", () => discard(slot, new QueryExecutionError("Query worker exited unexpectedly.")));
+    slot.worker.unref();
+    slots.push(slot);
+    return slot;
+  }
+
+  function release(slot) {
+    const { job } = slot;
+    clearTimeout(job.timer);
+    job.signal?.removeEventListener("abort", job.onAbort);
+    slot.job = null;
+    slot.worker.unref();
+    pump();
+  }
+
+  // Drop a worker (timed out, cancelled or crashed), failing its query; a new one is spawned on demand.
+  function discard(slot, err) {
+    const index = slots.indexOf(slot);
+    if (index === -1) return;
+    slots.splice(index, 1);
+    const { job } = slot;
+    if (job) {
+      clearTimeout(job.timer);
+      job.signal?.removeEventListener("abort", job.onAbort);
+      job.reject(err);
+    }
+    slot.job = null;
+    slot.worker.removeAllListeners("exit");
+    slot.worker.terminate().catch(() => {});
+    pump();
+  }
+
+  function start(slot, job) {
+    slot.job = job;
+    const snap = currentSnapshot();
+    if (slot.version !== snap.version) {
+      slot.worker.postMessage({ type: "load", bytes: snap.bytes });
+      slot.version = snap.version;
+    }
+    slot.worker.postMessage({ type: "run", id: job.id, sql: job.sql, maxRows: job.maxRows, maxBytes: job.maxBytes });
+    slot.worker.ref();
+    job.timer = setTimeout(
+      () => discard(slot, new QueryExecutionError(`Query timed out after ${job.timeoutMs} ms.`, "timeout")),
+      job.timeoutMs
+    );
+    job.onAbort = () => discard(slot, new QueryExecutionError("Query cancelled.", "cancelled"));
+  }
+
+  function pump() {
+    while (queue.length) {
+      const slot = slots.find((s) => !s.job) || (slots.length < size ? spawn() : null);
+      if (!slot) return;
+      const job = queue.shift();
+      job.signal?.removeEventListener("abort", job.onAbort);
+      start(slot, job);
+      job.signal?.addEventListener("abort", job.onAbort, { once: true });
+    }
+  }
+
+  // Resolves to { columns, values } (rows as arrays).
+  function exec(sql, { signal = null, ...limits } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(new QueryExecutionError("Query cancelled.", "cancelled"));
+      const job = {
+        id: nextId++,
+        sql,
+        signal,
+        timeoutMs: limits.timeoutMs ?? timeoutMs,
+        maxRows: limits.maxRows ?? maxRows,
+        maxBytes: limits.maxBytes ?? maxBytes,
+        resolve,
+        reject
+      };
+      // While queued, cancelling just drops the job.
+      job.onAbort = () => {
+        queue.splice(queue.indexOf(job), 1);
+        reject(new QueryExecutionError("Query cancelled.", "cancelled"));
+      };
+      signal?.addEventListener("abort", job.onAbort, { once: true });
+      queue.push(job);
+      pump();
+    });
+  }
+
+  return {
+    exec,
+
+    // Same shape as execToRows(): { columns, rows } with rows as objects.
+    async run(sql, options) {
+      const { columns, values } = await exec(sql, options);
+      return { columns, rows: values.map((row) => Object.fromEntries(columns.map((c, i) => [c, row[i]]))) };
+    },
+
+    invalidate() {
+      version += 1;
+      snapshot = null;
+    },
+
+    async close() {
+      for (const job of queue.splice(0)) job.reject(new QueryExecutionError("Query executor closed.", "cancelled"));
+      const all = slots.splice(0);
+      await Promise.all(
+        all.map((slot) => {
+          slot.worker.removeAllListeners("exit");
+          return slot.worker.terminate();
+        })
+      );
+    }
+  };
+}
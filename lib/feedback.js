@@ -0,0 +1,215 @@
+import fs from "node:fs/promises";
+import express from "express";
+import { ensureColumn, queryAll, queryOne, runStatement } from "./db.js";
+import { ValidationError, parseId, sendError } from "./logs.js";
+import { writeFileAtomic } from "./persistence.js";
+import { ALL_USERS, sqlGuard } from "./sqlGuard.js";
+
+// Thumbs up/down on answers, optionally with a corrected SQL query. Feedback refers to a
+// query_history entry, so the question and generated SQL come from the server's own record.
+// An admin reviews pending feedback (lib/admin.js); approving it, for the data source the question
+// was asked against (lib/datasources.js),
+//   - adds { question, sql } to its retrieval example library (e.g. db/examples.json), which feeds
+//     sqlFewShotExamples() for the "retrieval" strategy, and
+//   - appends a gold question to its feedback benchmark (e.g. eval/benchmark.feedback.json).
+// The SQL used is the admin's edit, else the user's correction, else the original SQL of a
+// thumbs-up. Like query_history, the table is kept out of db/schema.sql.
+
+const MAX_COMMENT_LENGTH = 1000;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+export const FEEDBACK_STATUSES = ["pending", "approved", "rejected"];
+
+const FEEDBACK_SCHEMA = `
+CREATE TABLE IF NOT EXISTS query_feedback (
+  feedback_id   INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at    TEXT NOT NULL,
+  history_id    INTEGER,
+  datasource    TEXT,
+  question      TEXT NOT NULL,
+  sql           TEXT,
+  rating        TEXT NOT NULL CHECK (rating IN ('up', 'down')),
+  corrected_sql TEXT,
+  comment       TEXT,
+  status        TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  reviewed_at   TEXT,
+  approved_sql  TEXT,
+  example_id    TEXT,
+  benchmark_id  TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_query_feedback_status ON query_feedback(status);
+`;
+
+export class FeedbackError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// db holds the feedback table (the app database); datasources is the registry from lib/datasources.js.
+export function createFeedback({ db, datasources, history, onChange = () => {} }) {
+  db.run(FEEDBACK_SCHEMA);
+  if (ensureColumn(db, "query_feedback", "datasource", "TEXT")) {
+    runStatement(db, "UPDATE query_feedback SET datasource = ?", [datasources.default.id]);
+  }
+
+  const get = (id) => queryOne(db, "SELECT * FROM query_feedback WHERE feedback_id = ?", [id]);
+  let reviewing = Promise.resolve();
+
+  function datasourceOf(row) {
+    const ds = datasources.get(row.datasource);
+    if (!ds) throw new FeedbackError(`Data source "${row.datasource}" is no longer configured.`, 409);
+    return ds;
+  }
+
+  // Must pass the guard and run against the data source (in its query executor, like generated
+  // SQL, on userId's rows of per-user tables); returns the SQL as given (without the guard's LIMIT).
+  async function checkSql(ds, sql, field, userId) {
+    const guarded = sqlGuard(sql, ds.schemaCatalog, { userId });
+    if (!guarded.ok) throw new ValidationError(field, `Rejected by the SQL guard: ${guarded.reason}`);
+    try {
+      await ds.executor.run(guarded.sql);
+    } catch (err) {
+      throw new ValidationError(field, `SQL failed to run: ${err?.message || err}`);
+    }
+    return sql.trim().replace(/;\s*$/, "");
+  }
+
+  async function appendBenchmarkQuestion(benchmarkPath, question, sql) {
+    let benchmark;
+    try {
+      benchmark = JSON.parse(await fs.readFile(benchmarkPath, "utf-8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      benchmark = {
+        version: "feedback",
+        description: "Gold question/SQL pairs from approved user feedback (see lib/feedback.js).",
+        questions: []
+      };
+    }
+    const id = `fb${String(benchmark.questions.length + 1).padStart(3, "0")}`;
+    benchmark.questions.push({ id, question, gold_sql: sql, ordered: /\border\s+by\b/i.test(sql) });
+    await writeFileAtomic(benchmarkPath, `${JSON.stringify(benchmark, null, 2)}\n`);
+    return id;
+  }
+
+  async function approveNow(id, editedSql) {
+    const fb = get(id);
+    if (!fb) throw new FeedbackError("Feedback not found.", 404);
+    if (fb.status !== "pending") throw new FeedbackError(`Feedback is already ${fb.status}.`, 409);
+
+    const candidate = editedSql || fb.corrected_sql || (fb.rating === "up" ? fb.sql : null);
+    if (!candidate) {
+      throw new FeedbackError("Nothing to approve: no corrected SQL. Pass sql, or reject it.", 409);
+    }
+    const ds = datasourceOf(fb);
+    const sql = await checkSql(ds, candidate, "sql", ALL_USERS);
+
+    const example = await ds.exampleStore.add({ question: fb.question, sql, source: "feedback", feedback_id: id });
+    const benchmarkId = await appendBenchmarkQuestion(ds.benchmarkPath, fb.question, sql);
+    runStatement(
+      db,
+      `UPDATE query_feedback
+       SET status = 'approved', reviewed_at = ?, approved_sql = ?, example_id = ?, benchmark_id = ?
+       WHERE feedback_id = ?`,
+      [new Date().toISOString(), sql, example.id, benchmarkId, id]
+    );
+    onChange();
+    return get(id);
+  }
+
+  return {
+    get,
+
+    // One pending feedback per history entry: sending again replaces it. userId is the user
+    // giving it, who must have asked the question.
+    async submit(userId, { history_id: historyId, rating, corrected_sql: correctedSql, comment }) {
+      const entry = history.get(parseId(historyId, "history_id"), userId);
+      if (!entry) throw new ValidationError("history_id", "Unknown history_id.");
+      if (rating !== "up" && rating !== "down") throw new ValidationError("rating", 'rating must be "up" or "down".');
+      if (correctedSql !== undefined && correctedSql !== null && typeof correctedSql !== "string") {
+        throw new ValidationError("corrected_sql", "corrected_sql must be a string.");
+      }
+      if (comment !== undefined && comment !== null && typeof comment !== "string") {
+        throw new ValidationError("comment", "comment must be a string.");
+      }
+      const note = String(comment || "").trim();
+      if (note.length > MAX_COMMENT_LENGTH) {
+        throw new ValidationError("comment", `comment must be at most ${MAX_COMMENT_LENGTH} characters.`);
+      }
+      const ds = datasources.get(entry.datasource);
+      if (!ds) throw new ValidationError("history_id", `Data source "${entry.datasource}" is no longer configured.`);
+      const corrected = String(correctedSql || "").trim()
+        ? await checkSql(ds, correctedSql, "corrected_sql", userId)
+        : null;
+
+      const values = [rating, corrected, note || null];
+      const pending = queryOne(
+        db,
+        "SELECT feedback_id FROM query_feedback WHERE history_id = ? AND status = 'pending'",
+        [entry.history_id]
+      );
+      let id;
+      if (pending) {
+        id = pending.feedback_id;
+        runStatement(db, "UPDATE query_feedback SET rating = ?, corrected_sql = ?, comment = ? WHERE feedback_id = ?", [
+          ...values,
+          id
+        ]);
+      } else {
+        id = runStatement(
+          db,
+          `INSERT INTO query_feedback
+             (created_at, history_id, datasource, question, sql, rating, corrected_sql, comment)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [new Date().toISOString(), entry.history_id, entry.datasource, entry.question, entry.sql, ...values]
+        ).lastInsertId;
+      }
+      onChange();
+      return get(id);
+    },
+
+    list({ status = null, limit = DEFAULT_LIST_LIMIT } = {}) {
+      const where = status ? " WHERE status = ?" : "";
+      return queryAll(db, `SELECT * FROM query_feedback${where} ORDER BY feedback_id DESC LIMIT ?`, [
+        ...(status ? [status] : []),
+        Math.min(limit, MAX_LIST_LIMIT)
+      ]);
+    },
+
+    // Approvals write files, so they run one at a time.
+    approve(id, { sql } = {}) {
+      const run = reviewing.then(() => approveNow(id, String(sql || "").trim() || null));
+      reviewing = run.catch(() => {});
+      return run;
+    },
+
+    reject(id) {
+      const fb = get(id);
+      if (!fb) throw new FeedbackError("Feedback not found.", 404);
+      if (fb.status !== "pending") throw new FeedbackError(`Feedback is already ${fb.status}.`, 409);
+      runStatement(db, "UPDATE query_feedback SET status = 'rejected', reviewed_at = ? WHERE feedback_id = ?", [
+        new Date().toISOString(),
+        id
+      ]);
+      onChange();
+      return get(id);
+    }
+  };
+}
+
+// POST /api/feedback. Review happens through the admin routes.
+export function createFeedbackRouter({ feedback }) {
+  const router = express.Router();
+
+  router.post("/", async (req, res) => {
+    try {
+      return res.status(201).json(await feedback.submit(req.user.user_id, req.body || {}));
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  return router;
+}
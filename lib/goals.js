@@ -0,0 +1,184 @@
+import express from "express";
+import { queryAll, queryOne, runStatement } from "./db.js";
+import { ValidationError, parseId, parseLocalDatetime, parsePositiveNumber, sendError } from "./logs.js";
+import { withBlock } from "./nutrition.js";
+
+// Daily nutrition goals (nutrient_goals: at least / at most daily_target of a nutrient a day):
+//   /api/goals             -> CRUD, plus the /api/nutrients lookup the goal form needs
+//   /api/goals/adherence   -> per day, whether each goal was met (the goal_adherence building block)
+// A day counts once a meal was logged on it; days without meals weren't tracked. Goals belong to the
+// signed-in user, like their logs.
+
+const GOAL_TYPES = ["min", "max"];
+const DEFAULT_ADHERENCE_DAYS = 7;
+
+const pad = (n) => String(n).padStart(2, "0");
+const localDay = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+function parseDay(value, field) {
+  const s = String(value ?? "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) throw new ValidationError(field, `${field} must be a date like 2026-02-19.`);
+  return parseLocalDatetime(`${s}T00:00`, field).slice(0, 10);
+}
+
+export function listGoals(db, userId) {
+  return queryAll(
+    db,
+    `SELECT nutrient_goals.goal_id, nutrient_goals.nutrient_id, nutrients.name AS nutrient, nutrients.unit,
+       nutrient_goals.goal_type, nutrient_goals.daily_target
+     FROM nutrient_goals
+     JOIN nutrients ON nutrients.nutrient_id = nutrient_goals.nutrient_id
+     WHERE nutrient_goals.user_id = ?
+     ORDER BY nutrient_goals.nutrient_id, nutrient_goals.goal_type`,
+    [userId]
+  );
+}
+
+// from/to are "YYYY-MM-DD" days. Returns one entry per tracked day with every goal's amount, plus
+// per-goal counts of the days met, for userId's goals and logs (userTables are the per-user tables).
+export function goalAdherence(db, { userTables, userId, from, to }) {
+  const rows = queryAll(
+    db,
+    withBlock(
+      "goal_adherence",
+      `SELECT day, goal_id, nutrient, unit, goal_type, daily_target, amount, met
+       FROM goal_adherence
+       WHERE day >= ? AND day <= ?
+       ORDER BY day, nutrient_id, goal_type`,
+      { userTables, userId }
+    ),
+    [from, to]
+  );
+  const goals = new Map(listGoals(db, userId).map((g) => [g.goal_id, { ...g, days_met: 0, days_tracked: 0 }]));
+  const days = new Map();
+  for (const { day, met, ...goal } of rows) {
+    if (!days.has(day)) days.set(day, { day, met: 0, missed: 0, goals: [] });
+    const entry = days.get(day);
+    entry[met ? "met" : "missed"] += 1;
+    entry.goals.push({ ...goal, met: Boolean(met) });
+    const total = goals.get(goal.goal_id);
+    total.days_tracked += 1;
+    if (met) total.days_met += 1;
+  }
+  return { from, to, days: [...days.values()], goals: [...goals.values()] };
+}
+
+function validateGoal(db, input, userId, goalId = null) {
+  const values = {
+    nutrient_id: parseId(input.nutrient_id, "nutrient_id"),
+    goal_type: String(input.goal_type ?? ""),
+    daily_target: parsePositiveNumber(input.daily_target, "daily_target")
+  };
+  if (!queryOne(db, "SELECT 1 AS ok FROM nutrients WHERE nutrient_id = ?", [values.nutrient_id])) {
+    throw new ValidationError("nutrient_id", "Unknown nutrient_id.");
+  }
+  if (!GOAL_TYPES.includes(values.goal_type)) {
+    throw new ValidationError("goal_type", `goal_type must be one of ${GOAL_TYPES.join(", ")}.`);
+  }
+  const clash = queryOne(
+    db,
+    "SELECT goal_id FROM nutrient_goals WHERE user_id = ? AND nutrient_id = ? AND goal_type = ? AND goal_id IS NOT ?",
+    [userId, values.nutrient_id, values.goal_type, goalId]
+  );
+  if (clash) {
+    throw new ValidationError("goal_type", `There is already a ${values.goal_type} goal for this nutrient.`);
+  }
+  return values;
+}
+
+// onChange() is called after every successful mutation.
+export function createGoalsRouter({ db, userTables, onChange = () => {} }) {
+  const router = express.Router();
+  const getById = (id, userId) => listGoals(db, userId).find((g) => g.goal_id === id) || null;
+  const cols = ["nutrient_id", "goal_type", "daily_target"];
+
+  // Databases from before accounts have the unique index without user_id.
+  db.run("DROP INDEX IF EXISTS idx_nutrient_goals_nutrient_type");
+  db.run(
+    "CREATE UNIQUE INDEX IF NOT EXISTS idx_nutrient_goals_user_nutrient_type " +
+      "ON nutrient_goals(user_id, nutrient_id, goal_type)"
+  );
+
+  router.get("/nutrients", (_req, res) => {
+    res.json({ nutrients: queryAll(db, "SELECT nutrient_id, name, unit FROM nutrients ORDER BY nutrient_id") });
+  });
+
+  router.get("/goals", (req, res) => {
+    res.json({ goals: listGoals(db, req.user.user_id) });
+  });
+
+  // Defaults to the last DEFAULT_ADHERENCE_DAYS days, today included.
+  router.get("/goals/adherence", (req, res) => {
+    try {
+      const today = new Date();
+      const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (DEFAULT_ADHERENCE_DAYS - 1));
+      const from = req.query.from ? parseDay(req.query.from, "from") : localDay(start);
+      const to = req.query.to ? parseDay(req.query.to, "to") : localDay(today);
+      if (from > to) throw new ValidationError("to", "to must not be before from.");
+      return res.json(goalAdherence(db, { userTables, userId: req.user.user_id, from, to }));
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.get("/goals/:id", (req, res) => {
+    try {
+      const goal = getById(parseId(req.params.id, "id"), req.user.user_id);
+      if (!goal) return res.status(404).json({ error: "Goal not found." });
+      return res.json(goal);
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.post("/goals", (req, res) => {
+    try {
+      const values = validateGoal(db, req.body || {}, req.user.user_id);
+      const { lastInsertId } = runStatement(
+        db,
+        `INSERT INTO nutrient_goals (${cols.join(", ")}, user_id) VALUES (?, ?, ?, ?)`,
+        [...cols.map((c) => values[c]), req.user.user_id]
+      );
+      onChange();
+      return res.status(201).json(getById(lastInsertId, req.user.user_id));
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.patch("/goals/:id", (req, res) => {
+    try {
+      const id = parseId(req.params.id, "id");
+      const existing = queryOne(db, "SELECT * FROM nutrient_goals WHERE goal_id = ? AND user_id = ?", [
+        id,
+        req.user.user_id
+      ]);
+      if (!existing) return res.status(404).json({ error: "Goal not found." });
+      const values = validateGoal(db, { ...existing, ...(req.body || {}) }, req.user.user_id, id);
+      runStatement(db, `UPDATE nutrient_goals SET ${cols.map((c) => `${c} = ?`).join(", ")} WHERE goal_id = ?`, [
+        ...cols.map((c) => values[c]),
+        id
+      ]);
+      onChange();
+      return res.json(getById(id, req.user.user_id));
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.delete("/goals/:id", (req, res) => {
+    try {
+      const { changes } = runStatement(db, "DELETE FROM nutrient_goals WHERE goal_id = ? AND user_id = ?", [
+        parseId(req.params.id, "id"),
+        req.user.user_id
+      ]);
+      if (!changes) return res.status(404).json({ error: "Goal not found." });
+      onChange();
+      return res.status(204).end();
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,231 @@
+import express from "express";
+import { ensureColumn, queryAll, queryOne, runStatement } from "./db.js";
+import { ValidationError, parseId, sendError } from "./logs.js";
+
+// Local history of /api/ask runs plus the saved-questions library (starred entries, optionally
+// named). The table lives in the app database but is created here rather than in db/schema.sql,
+// so it's never part of the schema the model sees or the SQL guard allows.
+// Each user's unstarred entries beyond MAX_UNSTARRED are pruned oldest first; starred ones are kept.
+// Entries belong to the user who asked (lib/auth.js); every read and change takes their userId.
+
+const MAX_UNSTARRED = 2000;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+const MAX_NAME_LENGTH = 120;
+
+const HISTORY_SCHEMA = `
+CREATE TABLE IF NOT EXISTS query_history (
+  history_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+  asked_at        TEXT NOT NULL,
+  question        TEXT NOT NULL,
+  datasource      TEXT,                 -- id in db/datasources.json
+  user_id         INTEGER NOT NULL DEFAULT 1,
+  strategy        TEXT,
+  conversation_id TEXT,
+  sql             TEXT,
+  assumptions     TEXT,                 -- JSON array
+  attempts        INTEGER,
+  row_count       INTEGER,
+  answer          TEXT,
+  duration_ms     INTEGER,
+  error           TEXT,
+  starred         INTEGER NOT NULL DEFAULT 0 CHECK (starred IN (0, 1)),
+  name            TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_query_history_asked_at ON query_history(asked_at);
+`;
+// After the user_id column exists in databases from before accounts.
+const HISTORY_INDEXES = "CREATE INDEX IF NOT EXISTS idx_query_history_user_id ON query_history(user_id);";
+
+function publicEntry(row) {
+  if (!row) return null;
+  return { ...row, assumptions: row.assumptions ? JSON.parse(row.assumptions) : [], starred: row.starred === 1 };
+}
+
+// onChange() is called after every change to the table. Entries from before data sources existed
+// are assigned to defaultDatasource, and entries from before accounts to user 1.
+export function createHistory({ db, defaultDatasource = null, onChange = () => {} }) {
+  db.run(HISTORY_SCHEMA);
+  if (ensureColumn(db, "query_history", "datasource", "TEXT")) {
+    runStatement(db, "UPDATE query_history SET datasource = ?", [defaultDatasource]);
+  }
+  ensureColumn(db, "query_history", "user_id", "INTEGER NOT NULL DEFAULT 1");
+  db.run(HISTORY_INDEXES);
+
+  const get = (id, userId) =>
+    publicEntry(queryOne(db, "SELECT * FROM query_history WHERE history_id = ? AND user_id = ?", [id, userId]));
+
+  return {
+    get,
+
+    // body is the /api/ask response body (success or error) for the run.
+    record({ userId, question, datasource, strategy, conversationId, status, body, durationMs }) {
+      const error = status >= 400 ? [body.error, body.exec_error, body.answer_error].filter(Boolean).join(" ") : null;
+      const { lastInsertId } = runStatement(
+        db,
+        `INSERT INTO query_history
+          (asked_at, question, datasource, user_id, strategy, conversation_id, sql, assumptions, attempts,
+           row_count, answer, duration_ms, error)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          new Date().toISOString(),
+          question,
+          datasource || null,
+          userId,
+          body.strategy || strategy || null,
+          conversationId || null,
+          body.sql || null,
+          JSON.stringify(body.assumptions || []),
+          body.attempts ?? null,
+          body.row_count ?? null,
+          body.answer ?? null,
+          durationMs,
+          error
+        ]
+      );
+      runStatement(
+        db,
+        `DELETE FROM query_history WHERE starred = 0 AND user_id = ? AND history_id NOT IN
+           (SELECT history_id FROM query_history WHERE starred = 0 AND user_id = ? ORDER BY history_id DESC LIMIT ?)`,
+        [userId, userId, MAX_UNSTARRED]
+      );
+      onChange();
+      return lastInsertId;
+    },
+
+    // q matches the question, name or SQL (case-insensitive substring).
+    list({ userId, q = "", starred = false, datasource = "", limit = DEFAULT_LIST_LIMIT, offset = 0 }) {
+      const where = ["user_id = ?"];
+      const params = [userId];
+      if (datasource) {
+        where.push("datasource = ?");
+        params.push(datasource);
+      }
+      if (q) {
+        const like = `%${q.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+        where.push("(question LIKE ? ESCAPE '\\' OR name LIKE ? ESCAPE '\\' OR sql LIKE ? ESCAPE '\\')");
+        params.push(like, like, like);
+      }
+      if (starred) where.push("starred = 1");
+      const whereSql = ` WHERE ${where.join(" AND ")}`;
+      const { total } = queryOne(db, `SELECT COUNT(*) AS total FROM query_history${whereSql}`, params);
+      const entries = queryAll(
+        db,
+        `SELECT * FROM query_history${whereSql} ORDER BY history_id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      ).map(publicEntry);
+      return { total, entries };
+    },
+
+    // patch has starred (boolean) and/or name (string or null).
+    update(id, userId, { starred, name }) {
+      const sets = [];
+      const params = [];
+      if (starred !== undefined) {
+        sets.push("starred = ?");
+        params.push(starred ? 1 : 0);
+      }
+      if (name !== undefined) {
+        sets.push("name = ?");
+        params.push(name);
+      }
+      const { changes } = runStatement(
+        db,
+        `UPDATE query_history SET ${sets.join(", ")} WHERE history_id = ? AND user_id = ?`,
+        [...params, id, userId]
+      );
+      if (!changes) return null;
+      onChange();
+      return get(id, userId);
+    },
+
+    remove(id, userId) {
+      const { changes } = runStatement(db, "DELETE FROM query_history WHERE history_id = ? AND user_id = ?", [
+        id,
+        userId
+      ]);
+      if (changes) onChange();
+      return changes > 0;
+    }
+  };
+}
+
+function parseHistoryPatch(input) {
+  const patch = {};
+  if (input.starred !== undefined) {
+    if (typeof input.starred !== "boolean") throw new ValidationError("starred", "starred must be true or false.");
+    patch.starred = input.starred;
+  }
+  if (input.name !== undefined) {
+    if (input.name !== null && typeof input.name !== "string") {
+      throw new ValidationError("name", "name must be a string or null.");
+    }
+    const name = input.name === null ? "" : input.name.trim();
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new ValidationError("name", `name must be at most ${MAX_NAME_LENGTH} characters.`);
+    }
+    patch.name = name || null;
+  }
+  if (Object.keys(patch).length === 0) throw new ValidationError(undefined, "Nothing to update (starred, name).");
+  return patch;
+}
+
+// /api/history routes: list/search, fetch, star/name and delete entries.
+export function createHistoryRouter({ history }) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    try {
+      const limit = req.query.limit ? Math.min(parseId(req.query.limit, "limit"), MAX_LIST_LIMIT) : DEFAULT_LIST_LIMIT;
+      const offset = Number(req.query.offset || 0);
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new ValidationError("offset", "offset must be a non-negative integer.");
+      }
+      return res.json(
+        history.list({
+          userId: req.user.user_id,
+          q: String(req.query.q || "").trim(),
+          starred: req.query.starred === "1" || req.query.starred === "true",
+          datasource: String(req.query.datasource || "").trim(),
+          limit,
+          offset
+        })
+      );
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.get("/:id", (req, res) => {
+    try {
+      const entry = history.get(parseId(req.params.id, "id"), req.user.user_id);
+      if (!entry) return res.status(404).json({ error: "History entry not found." });
+      return res.json(entry);
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.patch("/:id", (req, res) => {
+    try {
+      const entry = history.update(parseId(req.params.id, "id"), req.user.user_id, parseHistoryPatch(req.body || {}));
+      if (!entry) return res.status(404).json({ error: "History entry not found." });
+      return res.json(entry);
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.delete("/:id", (req, res) => {
+    try {
+      if (!history.remove(parseId(req.params.id, "id"), req.user.user_id)) {
+        return res.status(404).json({ error: "History entry not found." });
+      }
+      return res.status(204).end();
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  return router;
+}
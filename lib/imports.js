@@ -0,0 +1,560 @@
+import crypto from "node:crypto";
+import path from "node:path";
+import { queryOne, runStatement } from "./db.js";
+import { ValidationError } from "./logs.js";
+import { renderSchemaContext } from "./schemaContext.js";
+import { isName, tokenize } from "./sqlGuard.js";
+
+// CSV/JSON dataset imports. A file becomes a new table in a data source that accepts imports
+// ("imports": true in db/datasources.json) and can be asked about through /api/ask right after:
+//   preview({ datasource, filename, format, table, content, userId })  parse the file, normalize the
+//       headers into column names, infer column types and a primary key -> { import_id, columns,
+//       primary_key, sample_rows, warnings }; nothing is written yet
+//   confirm(importId, { table, columns, primary_key, replace }, userId)  create the table (optionally
+//       renaming, retyping or leaving out columns, or picking another key), insert the rows and
+//       reload the data source's schema catalog
+//   cancel(importId, userId)
+// Each returns { status, body } like the write pipeline. Parsed rows stay in memory until the
+// import is confirmed, cancelled or expires, and only the user who uploaded them can use them.
+// Imported tables are shared, but imported_tables (in the primary database `db`, so it never shows
+// up in the uploads schema) records who created each one: only that user can replace it.
+
+const FORMATS = ["csv", "tsv", "json", "jsonl"];
+const TYPES = ["INTEGER", "REAL", "TEXT"];
+const DELIMITERS = [",", ";", "\t", "|"];
+const OWNERS_SCHEMA = `
+CREATE TABLE IF NOT EXISTS imported_tables (
+  datasource  TEXT NOT NULL,
+  table_name  TEXT NOT NULL,
+  user_id     INTEGER NOT NULL,         -- account that imported the table
+  imported_at TEXT NOT NULL,
+  PRIMARY KEY (datasource, table_name)
+);
+`;
+
+const PENDING_TTL_MS = 10 * 60 * 1000;
+const MAX_PENDING = 10; // per user
+const DEFAULT_MAX_ROWS = 100000;
+const MAX_COLUMNS = 200;
+const MAX_NAME_LENGTH = 60;
+const SAMPLE_ROWS = 5;
+const EXAMPLE_VALUES = 3;
+const KEY_NAME_RE = /(^|_)(id|code|key|sku)$/;
+// No leading zeros, so zip codes and other identifiers like "00123" stay text.
+const INTEGER_RE = /^[+-]?(0|[1-9]\d*)$/;
+const REAL_RE = /^[+-]?((0|[1-9]\d*)(\.\d+)?|\.\d+)([eE][+-]?\d+)?$/;
+
+// Lowercase snake_case that the SQL guard reads as a plain name: "Order Date" -> order_date,
+// "2024 sales" -> col_2024_sales, "order" -> order_col.
+function normalizeName(raw, { prefix, fallback }) {
+  let name = String(raw ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, MAX_NAME_LENGTH);
+  if (!name) name = fallback;
+  if (/^\d/.test(name)) name = `${prefix}_${name}`;
+  if (!isName(tokenize(name)[0]) || name.startsWith("sqlite_")) name = `${name}_${prefix}`;
+  return name;
+}
+
+function uniqueNames(names) {
+  const used = new Set();
+  return names.map((name) => {
+    let unique = name;
+    for (let n = 2; used.has(unique); n += 1) unique = `${name}_${n}`;
+    used.add(unique);
+    return unique;
+  });
+}
+
+function detectFormat(filename, format, text) {
+  if (format) {
+    if (!FORMATS.includes(format)) throw new ValidationError("format", `format must be one of: ${FORMATS.join(", ")}.`);
+    return format;
+  }
+  const ext = path.extname(String(filename || "")).slice(1).toLowerCase();
+  if (ext === "ndjson") return "jsonl";
+  if (FORMATS.includes(ext)) return ext;
+  if (/^\s*\[/.test(text)) return "json";
+  if (/^\s*\{/.test(text)) return /^\s*\{[^\n]*\}\s*\n\s*\{/.test(text) ? "jsonl" : "json";
+  return "csv";
+}
+
+// The candidate delimiter that splits the header line into the most fields.
+function sniffDelimiter(text) {
+  const counts = new Map(DELIMITERS.map((d) => [d, 0]));
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === "\n" || ch === "\r")) break;
+    else if (!quoted && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+  return DELIMITERS.reduce((best, d) => (counts.get(d) > counts.get(best) ? d : best), ",");
+}
+
+// RFC 4180: quoted fields may hold delimiters, newlines and doubled quotes. Blank lines are skipped.
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let quoteLine = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === "\n") line += 1;
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else quoted = false;
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+      quoteLine = line;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      else if (ch === "\r") line += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new ValidationError("content", `Unterminated quoted field starting on line ${quoteLine}.`);
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+function tableFromCsv(text, delimiter, warnings) {
+  const [headers, ...rows] = parseCsv(text, delimiter);
+  if (!headers) return { headers: [], rows: [] };
+  let long = 0;
+  for (const row of rows) {
+    if (row.length > headers.length) {
+      long += 1;
+      row.length = headers.length;
+    }
+  }
+  if (long) warnings.push(`${long} row(s) had more fields than the header; the extra fields were dropped.`);
+  return { headers, rows };
+}
+
+// An array of objects, an object holding one such array ({ "data": [...] }), or one object per
+// line (JSON Lines). Columns are the keys in the order they first appear.
+function tableFromJson(text, format) {
+  let records;
+  if (format === "jsonl") {
+    records = text
+      .split(/\r?\n/)
+      .map((line, i) => [line, i + 1])
+      .filter(([line]) => line.trim())
+      .map(([line, lineNo]) => {
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          throw new ValidationError("content", `Invalid JSON on line ${lineNo}: ${err.message}`);
+        }
+      });
+  } else {
+    try {
+      records = JSON.parse(text);
+    } catch (err) {
+      throw new ValidationError("content", `Invalid JSON: ${err.message}`);
+    }
+    if (records && typeof records === "object" && !Array.isArray(records)) {
+      const arrays = Object.values(records).filter(Array.isArray);
+      if (arrays.length === 1) [records] = arrays;
+    }
+    if (!Array.isArray(records)) {
+      throw new ValidationError("content", "JSON must be an array of objects, or an object holding one.");
+    }
+  }
+  if (!records.every((r) => r && typeof r === "object" && !Array.isArray(r))) {
+    throw new ValidationError("content", "Every JSON record must be an object.");
+  }
+  const headers = [];
+  const seen = new Set();
+  for (const record of records) {
+    for (const key of Object.keys(record)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    }
+  }
+  return { headers, rows: records.map((r) => headers.map((h) => (r[h] === undefined ? null : r[h]))) };
+}
+
+// A raw cell -> null (empty) or { kind, value, text } where kind is "integer", "real", "boolean"
+// or "text". Strings are typed from their text, in CSV and JSON alike; nested JSON is kept as text.
+function readCell(raw) {
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw === "number") {
+    return { kind: Number.isInteger(raw) ? "integer" : "real", value: raw, text: String(raw) };
+  }
+  if (typeof raw === "boolean") return { kind: "boolean", value: raw ? 1 : 0, text: String(raw) };
+  if (typeof raw === "object") return { kind: "text", value: JSON.stringify(raw), text: JSON.stringify(raw) };
+  const text = String(raw).trim();
+  if (text === "") return null;
+  if (INTEGER_RE.test(text) && Number.isSafeInteger(Number(text))) {
+    return { kind: "integer", value: Number(text), text };
+  }
+  if (REAL_RE.test(text)) return { kind: "real", value: Number(text), text };
+  if (/^(true|false)$/i.test(text)) return { kind: "boolean", value: /^true$/i.test(text) ? 1 : 0, text };
+  return { kind: "text", value: text, text };
+}
+
+const FITS = {
+  INTEGER: new Set(["integer", "boolean"]),
+  REAL: new Set(["integer", "real"]),
+  TEXT: new Set(["integer", "real", "boolean", "text"])
+};
+
+function convertCell(cell, type) {
+  if (!cell) return null;
+  return type === "TEXT" ? cell.text : cell.value;
+}
+
+function inferType(kinds) {
+  if (kinds.size === 0 || kinds.has("text")) return "TEXT";
+  if (kinds.has("boolean")) return kinds.size === 1 ? "INTEGER" : "TEXT";
+  return kinds.has("real") ? "REAL" : "INTEGER";
+}
+
+// Per source column: its type and what a primary key needs to know (nulls, distinct values).
+function profileColumn(rows, index, type = null) {
+  const kinds = new Set();
+  for (const row of rows) {
+    const cell = readCell(row[index]);
+    if (cell) kinds.add(cell.kind);
+  }
+  const columnType = type || inferType(kinds);
+  const values = new Set();
+  let nulls = 0;
+  for (const row of rows) {
+    const value = convertCell(readCell(row[index]), columnType);
+    if (value === null) nulls += 1;
+    else values.add(value);
+  }
+  return {
+    type: columnType,
+    boolean: columnType === "INTEGER" && kinds.size === 1 && kinds.has("boolean"),
+    kinds,
+    nulls,
+    distinct: values.size,
+    unique: nulls === 0 && values.size === rows.length,
+    examples: [...values].slice(0, EXAMPLE_VALUES)
+  };
+}
+
+function keyRank(column, table) {
+  if (column.name === "id") return 0;
+  if (column.name === `${table}_id` || column.name === `${table.replace(/s$/, "")}_id`) return 1;
+  return KEY_NAME_RE.test(column.name) ? 2 : null;
+}
+
+// An id-like column (id, <table>_id, *_code, ...) with a distinct value in every row; integers
+// win ties. Without one the table just keeps SQLite's rowid.
+function detectPrimaryKey(columns, table) {
+  const candidates = columns.filter(
+    (c) => c.unique && !c.boolean && c.type !== "REAL" && keyRank(c, table) !== null
+  );
+  const textLast = (c) => (c.type === "INTEGER" ? 0 : 1);
+  candidates.sort((a, b) => keyRank(a, table) - keyRank(b, table) || textLast(a) - textLast(b));
+  return candidates[0]?.name || null;
+}
+
+const commentText = (s) => String(s).replace(/\s+/g, " ").trim();
+// Worth recording the original header when it's more than a change of case.
+const renamed = (c) => commentText(c.source).toLowerCase() !== c.name;
+
+// The stored DDL is the stored schema the data source's catalog is built from, so the comments
+// become the table and column descriptions the model sees.
+function createTableSql(table, columns, primaryKey, filename) {
+  const date = new Date().toISOString().slice(0, 10);
+  const lines = columns.map((c, i) => {
+    let def = `  ${c.name} ${c.type}`;
+    if (c.name === primaryKey) def += c.type === "INTEGER" ? " PRIMARY KEY" : " PRIMARY KEY NOT NULL";
+    if (i < columns.length - 1) def += ",";
+    const notes = [];
+    if (renamed(c)) notes.push(`"${commentText(c.source)}" in the file`);
+    if (c.boolean) notes.push("1 = true, 0 = false");
+    return notes.length ? `${def} -- ${notes.join("; ")}` : def;
+  });
+  return `CREATE TABLE ${table} ( -- Imported from ${commentText(filename)} on ${date}\n${lines.join("\n")}\n)`;
+}
+
+function tableExists(db, table) {
+  return Boolean(queryOne(db, "SELECT 1 AS found FROM sqlite_master WHERE type = 'table' AND name = ?", [table]));
+}
+
+// onChange() is called after every change to imported_tables.
+export function createImporter({
+  datasources,
+  db,
+  onChange = () => {},
+  maxRows = DEFAULT_MAX_ROWS,
+  log = console.log
+}) {
+  db.run(OWNERS_SCHEMA);
+  const pending = new Map(); // id -> { ds, userId, filename, table, rows, columns, expires }
+
+  // Tables imported before owners were recorded (or created by other means) have no owner.
+  function ownerOf(ds, table) {
+    const row = queryOne(db, "SELECT user_id FROM imported_tables WHERE datasource = ? AND table_name = ?", [
+      ds.id,
+      table
+    ]);
+    return row ? row.user_id : null;
+  }
+
+  function pendingFor(importId, userId) {
+    const p = pending.get(String(importId || ""));
+    return p && p.userId === userId ? p : null;
+  }
+
+  // Drops expired imports, and userId's oldest ones beyond MAX_PENDING, so one user's uploads never
+  // push out another user's.
+  function prune(userId) {
+    const now = Date.now();
+    for (const [id, p] of pending) if (p.expires < now) pending.delete(id);
+    const own = [...pending.keys()].filter((id) => pending.get(id).userId === userId);
+    for (const id of own.slice(0, -MAX_PENDING)) pending.delete(id);
+  }
+
+  // Without an id, the first data source that accepts imports.
+  function target(id) {
+    const ds = id ? datasources.get(id) : datasources.all().find((d) => d.imports);
+    if (!ds) {
+      return id
+        ? { error: { status: 404, body: { error: `Unknown datasource "${id}".` } } }
+        : { error: { status: 404, body: { error: 'No data source accepts imports (set "imports": true).' } } };
+    }
+    if (!ds.imports) {
+      return { error: { status: 400, body: { error: `Data source "${ds.id}" does not accept imports.` } } };
+    }
+    return { ds };
+  }
+
+  function preview({ datasource, filename, format, table, content, userId }) {
+    const { ds, error } = target(datasource);
+    if (error) return error;
+    if (!Buffer.isBuffer(content) || content.length === 0) {
+      return { status: 400, body: { error: "Send the file as the request body." } };
+    }
+
+    const name = path.basename(String(filename || "upload"));
+    const text = content.toString("utf-8").replace(/^\uFEFF/, "");
+    const warnings = [];
+    let parsed;
+    let fileFormat;
+    try {
+      fileFormat = detectFormat(name, format ? String(format).toLowerCase() : null, text);
+      parsed =
+        fileFormat === "json" || fileFormat === "jsonl"
+          ? tableFromJson(text, fileFormat)
+          : tableFromCsv(text, fileFormat === "tsv" ? "\t" : sniffDelimiter(text), warnings);
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      return { status: 400, body: { error: err.message, field: err.field } };
+    }
+    const { headers, rows } = parsed;
+    if (rows.length === 0) return { status: 400, body: { error: "The file has no data rows." } };
+    if (rows.length > maxRows) {
+      return { status: 413, body: { error: `The file has ${rows.length} rows; at most ${maxRows} can be imported.` } };
+    }
+    if (headers.length > MAX_COLUMNS) {
+      return {
+        status: 400,
+        body: { error: `The file has ${headers.length} columns; at most ${MAX_COLUMNS} are supported.` }
+      };
+    }
+
+    const tableName = normalizeName(table || path.basename(name, path.extname(name)), {
+      prefix: "table",
+      fallback: "dataset"
+    });
+    const names = uniqueNames(headers.map((h, i) => normalizeName(h, { prefix: "col", fallback: `column_${i + 1}` })));
+    const columns = headers.map((source, i) => ({ name: names[i], source: String(source), ...profileColumn(rows, i) }));
+    const changed = columns.filter(renamed).length;
+    if (changed) warnings.push(`${changed} column name(s) were normalized; the original headers are kept as comments.`);
+    const primaryKey = detectPrimaryKey(columns, tableName);
+
+    const id = crypto.randomUUID();
+    const expires = Date.now() + PENDING_TTL_MS;
+    pending.set(id, { ds, userId, filename: name, table: tableName, rows, columns, expires });
+    prune(userId);
+    const tableFound = tableExists(ds.db, tableName);
+
+    return {
+      status: 200,
+      body: {
+        import_id: id,
+        expires_at: new Date(expires).toISOString(),
+        datasource: ds.id,
+        filename: name,
+        format: fileFormat,
+        table: tableName,
+        table_exists: tableFound,
+        // Only the user who imported a table can replace it.
+        can_replace: tableFound && ownerOf(ds, tableName) === userId,
+        row_count: rows.length,
+        columns: columns.map(({ kinds, ...c }) => c),
+        primary_key: primaryKey,
+        sample_rows: rows
+          .slice(0, SAMPLE_ROWS)
+          .map((row) => Object.fromEntries(columns.map((c, i) => [c.name, convertCell(readCell(row[i]), c.type)]))),
+        warnings
+      }
+    };
+  }
+
+  // Applies the confirm overrides to the previewed columns. Throws ValidationError.
+  function plan(p, { table, columns: overrides, primary_key: primaryKeyOverride }) {
+    const tableName = table === undefined ? null : normalizeName(table, { prefix: "table", fallback: "dataset" });
+    if (overrides !== undefined && (!Array.isArray(overrides) || overrides.length !== p.columns.length)) {
+      throw new ValidationError("columns", `columns must list all ${p.columns.length} previewed columns, in order.`);
+    }
+    let columns = p.columns.map((c, i) => {
+      const o = overrides?.[i] || {};
+      if (o.type !== undefined && !TYPES.includes(String(o.type).toUpperCase())) {
+        throw new ValidationError("columns", `Column ${i + 1}: type must be one of ${TYPES.join(", ")}.`);
+      }
+      const type = o.type === undefined ? c.type : String(o.type).toUpperCase();
+      const name = o.name === undefined ? c.name : normalizeName(o.name, { prefix: "col", fallback: c.name });
+      const retype = type === c.type ? {} : { type, retyped: true };
+      return { ...c, ...retype, index: i, name, include: o.include !== false };
+    });
+    columns = columns.filter((c) => c.include);
+    if (columns.length === 0) throw new ValidationError("columns", "Keep at least one column.");
+    const duplicate = columns.find((c, i) => columns.findIndex((d) => d.name === c.name) !== i);
+    if (duplicate) throw new ValidationError("columns", `Column name "${duplicate.name}" is used twice.`);
+
+    for (const c of columns) {
+      if (!c.retyped) continue;
+      const bad = c.kinds.size && [...c.kinds].find((k) => !FITS[c.type].has(k));
+      if (bad) {
+        const example = p.rows.map((row) => readCell(row[c.index])).find((cell) => cell?.kind === bad);
+        throw new ValidationError(
+          "columns",
+          `Column "${c.name}" has values that aren't ${c.type} (e.g. "${example.text}").`
+        );
+      }
+      Object.assign(c, profileColumn(p.rows, c.index, c.type));
+    }
+
+    let primaryKey = detectPrimaryKey(columns, tableName || p.table);
+    if (primaryKeyOverride !== undefined) {
+      primaryKey =
+        primaryKeyOverride === null || primaryKeyOverride === ""
+          ? null
+          : normalizeName(primaryKeyOverride, { prefix: "col", fallback: "" });
+      const key = columns.find((c) => c.name === primaryKey);
+      if (primaryKey !== null && !key) throw new ValidationError("primary_key", `No column "${primaryKey}".`);
+      if (key && (!key.unique || key.type === "REAL")) {
+        throw new ValidationError(
+          "primary_key",
+          `"${primaryKey}" needs a distinct, non-empty INTEGER or TEXT value in every row.`
+        );
+      }
+    }
+    return { table: tableName, columns, primaryKey };
+  }
+
+  function confirm(importId, overrides = {}, userId) {
+    prune(userId);
+    const p = pendingFor(importId, userId);
+    if (!p) return { status: 404, body: { error: "Unknown or expired import." } };
+
+    let planned;
+    try {
+      planned = plan(p, overrides);
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      return { status: 400, body: { error: err.message, field: err.field } };
+    }
+    const { ds, filename, rows } = p;
+    const { columns, primaryKey } = planned;
+    const table = planned.table || p.table;
+    const exists = tableExists(ds.db, table);
+    if (exists && ownerOf(ds, table) !== userId) {
+      return {
+        status: 403,
+        body: {
+          error: `Table "${table}" in "${ds.id}" was imported by someone else and can't be replaced. Pick another name.`
+        }
+      };
+    }
+    if (exists && overrides.replace !== true) {
+      return {
+        status: 409,
+        body: { error: `Table "${table}" already exists in "${ds.id}". Pick another name or send "replace": true.` }
+      };
+    }
+
+    const ddl = createTableSql(table, columns, primaryKey, filename);
+    ds.db.run("BEGIN");
+    try {
+      ds.db.run(`DROP TABLE IF EXISTS ${table}`);
+      ds.db.run(ddl);
+      const stmt = ds.db.prepare(
+        `INSERT INTO ${table} (${columns.map((c) => c.name).join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`
+      );
+      try {
+        for (const row of rows) stmt.run(columns.map((c) => convertCell(readCell(row[c.index]), c.type)));
+      } finally {
+        stmt.free();
+      }
+      ds.db.run("COMMIT");
+    } catch (err) {
+      ds.db.run("ROLLBACK");
+      return {
+        status: 400,
+        body: { error: "The import could not be applied.", db_error: err?.message || String(err) }
+      };
+    }
+    pending.delete(importId);
+    runStatement(
+      db,
+      "INSERT OR REPLACE INTO imported_tables (datasource, table_name, user_id, imported_at) VALUES (?, ?, ?, ?)",
+      [ds.id, table, userId, new Date().toISOString()]
+    );
+    onChange();
+    log(`[import] ${ds.id}.${table} rows=${rows.length} columns=${columns.length} from ${filename}`);
+    ds.onDataChange();
+
+    const described = ds.schemaContext.catalog().tables.find((t) => t.name === table);
+    return {
+      status: 201,
+      body: {
+        datasource: ds.id,
+        table,
+        row_count: rows.length,
+        columns: columns.map((c) => ({ name: c.name, source: c.source, type: c.type })),
+        primary_key: primaryKey,
+        // What the SQL prompt now says about the table.
+        schema_text: described ? renderSchemaContext({ tables: [described] }) : ""
+      }
+    };
+  }
+
+  function cancel(importId, userId) {
+    return pendingFor(importId, userId) && pending.delete(String(importId))
+      ? { status: 204, body: null }
+      : { status: 404, body: { error: "Unknown or expired import." } };
+  }
+
+  return { preview, confirm, cancel };
+}
@@ -0,0 +1,198 @@
+import fs from "node:fs/promises";
+import OpenAI from "openai";
+
+// Every provider exposes the same shape:
+//   { name, model, complete({ messages, temperature, responseFormat, clarify, onDelta }) -> Promise<string> }
+// where the resolved string is the raw message content (JSON for our structured outputs).
+// When onDelta is given the content is streamed and onDelta(text) is called for every chunk.
+// clarify tells the provider that the SQL prompt allows a clarifying question; only the mock uses it.
+
+function createOpenAIProvider({ apiKey, baseURL, model, timeoutMs, maxRetries, name }) {
+  const client = new OpenAI({ apiKey, baseURL, timeout: timeoutMs, maxRetries });
+  return {
+    name,
+    model,
+    async complete({ messages, temperature = 0, responseFormat, onDelta }) {
+      const request = {
+        model,
+        temperature,
+        messages,
+        ...(responseFormat ? { response_format: responseFormat } : {})
+      };
+      if (onDelta) {
+        const stream = await client.chat.completions.create({ ...request, stream: true });
+        let content = "";
+        for await (const chunk of stream) {
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (!delta) continue;
+          content += delta;
+          onDelta(delta);
+        }
+        if (!content) throw new Error("Empty model response.");
+        return content;
+      }
+      const completion = await client.chat.completions.create(request);
+      const content = completion.choices?.[0]?.message?.content;
+      if (!content) throw new Error("Empty model response.");
+      return content;
+    }
+  };
+}
+
+function normalizeQuestion(q) {
+  return String(q || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Pull candidate questions back out of whatever message list the pipeline built, most recent first.
+// SQL generation: user turns after the last assistant turn (skips few-shot examples; repair turns won't match).
+// Answer generation: the "User question: ..." line in the system prompt.
+function candidateQuestions(messages) {
+  for (const m of messages) {
+    if (m.role !== "system") continue;
+    const match = /^User question: (.*)$/m.exec(String(m.content || ""));
+    if (match) return [match[1]];
+  }
+  const lastAssistant = messages.map((m) => m.role).lastIndexOf("assistant");
+  return messages
+    .slice(lastAssistant + 1)
+    .filter((m) => m.role === "user")
+    .map((m) => String(m.content || ""))
+    .reverse();
+}
+
+export function createMockProvider({ fixtures, name = "mock" }) {
+  const byQuestion = new Map(fixtures.map((f) => [normalizeQuestion(f.question), f]));
+
+  function findFixture(messages) {
+    const candidates = candidateQuestions(messages);
+    for (const c of candidates) {
+      const f = byQuestion.get(normalizeQuestion(c));
+      if (f) return { fixture: f, question: c };
+    }
+    return { fixture: null, question: candidates[candidates.length - 1] || "" };
+  }
+
+  return {
+    name,
+    model: "mock",
+    async complete({ messages, responseFormat, clarify = false, onDelta }) {
+      const content = replay({ messages, responseFormat, clarify });
+      // Mimic a streamed response with a few small chunks.
+      if (onDelta) for (let i = 0; i < content.length; i += 16) onDelta(content.slice(i, i + 16));
+      return content;
+    }
+  };
+
+  function replay({ messages, responseFormat, clarify }) {
+    const schemaName = responseFormat?.json_schema?.name;
+    const { fixture, question } = findFixture(messages);
+
+    if (schemaName === "sql_generation") {
+      if (!fixture) {
+        throw new Error(`Mock provider has no recorded SQL for question: "${question}"`);
+      }
+      // A fixture with a clarification asks first; once answered (the pipeline stops passing clarify), the
+      // same sql is replayed for any option.
+      if (fixture.clarification && clarify) {
+        return JSON.stringify({ sql: "", assumptions: [], clarification: fixture.clarification });
+      }
+      return JSON.stringify({ sql: fixture.sql, assumptions: fixture.assumptions || [], clarification: null });
+    }
+
+    if (schemaName === "nl_answer") {
+      const rowCount = /^Row count: (\d+)$/m.exec(String(messages[0]?.content || ""))?.[1];
+      const diagnosis = /^A check of the data found why: (.*) Explain/m.exec(String(messages[0]?.content || ""))?.[1];
+      return JSON.stringify({
+        answer:
+          fixture?.answer ||
+          (rowCount === "0"
+            ? `There was no data matching the query.${diagnosis ? ` ${diagnosis}` : ""}`
+            : `The query returned ${rowCount ?? "some"} row(s).`),
+        caveats: fixture?.caveats || ["Answer produced by the offline mock provider."]
+      });
+    }
+
+    if (schemaName === "write_plan") {
+      if (!fixture?.write) {
+        throw new Error(`Mock provider has no recorded write plan for request: "${question}"`);
+      }
+      return JSON.stringify({ assumptions: [], ...fixture.write });
+    }
+
+    throw new Error(`Mock provider does not support response format "${schemaName || "text"}".`);
+  }
+}
+
+export async function loadMockFixtures(fixturesPath) {
+  let raw;
+  try {
+    raw = await fs.readFile(fixturesPath, "utf-8");
+  } catch {
+    throw new Error(`Missing mock LLM fixtures file: ${fixturesPath}`);
+  }
+  const parsed = JSON.parse(raw);
+  const fixtures = Array.isArray(parsed) ? parsed : parsed.fixtures;
+  if (!Array.isArray(fixtures)) throw new Error(`Invalid mock LLM fixtures file: ${fixturesPath}`);
+  return fixtures;
+}
+
+// Select a provider from the environment:
+//   LLM_PROVIDER=openai (default)   -> api.openai.com, needs OPENAI_API_KEY
+//   LLM_PROVIDER=openai-compatible  -> any OpenAI-compatible endpoint at LLM_BASE_URL (e.g. a local server)
+//   LLM_PROVIDER=mock               -> replays recorded SQL/answers from LLM_FIXTURES; no network, no key
+// Returns { provider, error }; provider is null (with a human-readable error) when it can't be built.
+export async function createLlmProvider(env, { defaultFixturesPath, timeoutMs, maxRetries }) {
+  const kind = String(env.LLM_PROVIDER || "openai").toLowerCase();
+
+  if (kind === "openai") {
+    const apiKey = env.OPENAI_API_KEY;
+    if (!apiKey) {
+      return {
+        provider: null,
+        error: "Missing OPENAI_API_KEY. Set it in your environment and restart the server (or set LLM_PROVIDER=mock)."
+      };
+    }
+    return {
+      provider: createOpenAIProvider({
+        name: "openai",
+        apiKey,
+        model: env.OPENAI_MODEL || "gpt-4o-mini",
+        timeoutMs,
+        maxRetries
+      }),
+      error: null
+    };
+  }
+
+  if (kind === "openai-compatible") {
+    const baseURL = env.LLM_BASE_URL;
+    if (!baseURL) {
+      return { provider: null, error: "Missing LLM_BASE_URL for LLM_PROVIDER=openai-compatible." };
+    }
+    return {
+      provider: createOpenAIProvider({
+        name: "openai-compatible",
+        // Most local servers ignore the key, but the SDK requires a non-empty value.
+        apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || "not-needed",
+        baseURL,
+        model: env.LLM_MODEL || env.OPENAI_MODEL || "gpt-4o-mini",
+        timeoutMs,
+        maxRetries
+      }),
+      error: null
+    };
+  }
+
+  if (kind === "mock") {
+    const fixtures = await loadMockFixtures(env.LLM_FIXTURES || defaultFixturesPath);
+    return { provider: createMockProvider({ fixtures }), error: null };
+  }
+
+  return {
+    provider: null,
+    error: `Unknown LLM_PROVIDER "${kind}". Use one of: openai, openai-compatible, mock.`
+  };
+}
@@ -0,0 +1,210 @@
+import express from "express";
+import { queryAll, queryOne, runStatement } from "./db.js";
+
+// REST write path for intake logs:
+//   /api/meal-logs        -> meal_logs (recipe servings eaten)
+//   /api/supplement-logs  -> supplement_logs (supplement servings taken)
+// plus the /api/recipes and /api/supplements lookups the entry forms need.
+// Input is validated against the same rules as the CHECK/FOREIGN KEY constraints in
+// db/schema.sql so callers get a field-level 400 instead of a raw SQLite error.
+// Logs belong to the signed-in user (req.user, see lib/auth.js): other users' logs are a 404.
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+
+const LOG_TYPES = {
+  "meal-logs": {
+    table: "meal_logs",
+    alias: "ml",
+    timeField: "eaten_at",
+    refField: "recipe_id",
+    amountField: "servings_eaten",
+    refExists: (db, id) => queryOne(db, "SELECT 1 AS ok FROM recipes WHERE recipe_id = ?", [id]),
+    refError: "Unknown recipe_id.",
+    selectSql: `
+      SELECT ml.log_id, ml.eaten_at, ml.recipe_id, r.name AS recipe_name, ml.servings_eaten
+      FROM meal_logs ml
+      JOIN recipes r ON r.recipe_id = ml.recipe_id`
+  },
+  "supplement-logs": {
+    table: "supplement_logs",
+    alias: "sl",
+    timeField: "taken_at",
+    refField: "item_id",
+    amountField: "servings_taken",
+    refExists: (db, id) =>
+      queryOne(db, "SELECT 1 AS ok FROM items WHERE item_id = ? AND item_type = 'supplement'", [id]),
+    refError: "Unknown item_id (must be an item with item_type 'supplement').",
+    selectSql: `
+      SELECT sl.log_id, sl.taken_at, sl.item_id, i.name AS item_name, i.brand, sl.servings_taken
+      FROM supplement_logs sl
+      JOIN items i ON i.item_id = sl.item_id`
+  }
+};
+
+export class ValidationError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.field = field;
+  }
+}
+
+// The reference check the endpoints below make, for write mode: throws a ValidationError when
+// `value` isn't a valid `column` of a log table (e.g. a supplement_logs.item_id that isn't a supplement).
+export function checkLogReference(db, table, column, value) {
+  const type = Object.values(LOG_TYPES).find((t) => t.table === table);
+  if (type && column === type.refField && !type.refExists(db, value)) {
+    throw new ValidationError(type.refField, type.refError);
+  }
+}
+
+// Accepts "YYYY-MM-DDTHH:MM[:SS]" (or a space instead of T) and stores the same local ISO
+// format the seed data uses: "YYYY-MM-DDTHH:MM:SS".
+export function parseLocalDatetime(value, field) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(value ?? "").trim());
+  if (!m) throw new ValidationError(field, `${field} must be an ISO 8601 datetime like 2026-02-19T08:30.`);
+  const [, y, mo, d, h, mi, sec = "00"] = m;
+  const dt = new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(sec));
+  if (dt.getMonth() !== Number(mo) - 1 || dt.getDate() !== Number(d) || Number(h) > 23 || Number(mi) > 59) {
+    throw new ValidationError(field, `${field} is not a valid date/time.`);
+  }
+  return `${y}-${mo}-${d}T${h}:${mi}:${sec}`;
+}
+
+export function parsePositiveNumber(value, field) {
+  const n = Number(value);
+  if (value === null || value === "" || !Number.isFinite(n) || n <= 0) {
+    throw new ValidationError(field, `${field} must be a number greater than 0.`);
+  }
+  return n;
+}
+
+export function parseId(value, field) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw new ValidationError(field, `${field} must be a positive integer.`);
+  return n;
+}
+
+function validateLog(db, type, input) {
+  const values = {
+    [type.timeField]: parseLocalDatetime(input[type.timeField], type.timeField),
+    [type.refField]: parseId(input[type.refField], type.refField),
+    [type.amountField]: parsePositiveNumber(input[type.amountField], type.amountField)
+  };
+  if (!type.refExists(db, values[type.refField])) throw new ValidationError(type.refField, type.refError);
+  return values;
+}
+
+export function sendError(res, err) {
+  if (err instanceof ValidationError) return res.status(400).json({ error: err.message, field: err.field });
+  return res.status(500).json({ error: err?.message || String(err) });
+}
+
+function registerLogRoutes(router, db, path, type, onChange) {
+  const getById = (id, userId) =>
+    queryOne(db, `${type.selectSql} WHERE ${type.alias}.log_id = ? AND ${type.alias}.user_id = ?`, [id, userId]);
+  const cols = [type.timeField, type.refField, type.amountField];
+
+  router.get(`/${path}`, (req, res) => {
+    try {
+      const where = [`${type.alias}.user_id = ?`];
+      const params = [req.user.user_id];
+      if (req.query.from) {
+        where.push(`${type.alias}.${type.timeField} >= ?`);
+        params.push(parseLocalDatetime(req.query.from, "from"));
+      }
+      if (req.query.to) {
+        where.push(`${type.alias}.${type.timeField} <= ?`);
+        params.push(parseLocalDatetime(req.query.to, "to"));
+      }
+      const limit = req.query.limit ? Math.min(parseId(req.query.limit, "limit"), MAX_LIST_LIMIT) : DEFAULT_LIST_LIMIT;
+      const sql =
+        `${type.selectSql} WHERE ${where.join(" AND ")} ` +
+        `ORDER BY ${type.alias}.${type.timeField} DESC LIMIT ${limit}`;
+      return res.json({ logs: queryAll(db, sql, params) });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.get(`/${path}/:id`, (req, res) => {
+    try {
+      const log = getById(parseId(req.params.id, "id"), req.user.user_id);
+      if (!log) return res.status(404).json({ error: "Log not found." });
+      return res.json(log);
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.post(`/${path}`, (req, res) => {
+    try {
+      const values = validateLog(db, type, req.body || {});
+      const { lastInsertId } = runStatement(
+        db,
+        `INSERT INTO ${type.table} (${cols.join(", ")}, user_id) VALUES (?, ?, ?, ?)`,
+        [...cols.map((c) => values[c]), req.user.user_id]
+      );
+      onChange();
+      return res.status(201).json(getById(lastInsertId, req.user.user_id));
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.patch(`/${path}/:id`, (req, res) => {
+    try {
+      const id = parseId(req.params.id, "id");
+      const existing = queryOne(db, `SELECT * FROM ${type.table} WHERE log_id = ? AND user_id = ?`, [
+        id,
+        req.user.user_id
+      ]);
+      if (!existing) return res.status(404).json({ error: "Log not found." });
+      const values = validateLog(db, type, { ...existing, ...(req.body || {}) });
+      runStatement(
+        db,
+        `UPDATE ${type.table} SET ${cols.map((c) => `${c} = ?`).join(", ")} WHERE log_id = ?`,
+        [...cols.map((c) => values[c]), id]
+      );
+      onChange();
+      return res.json(getById(id, req.user.user_id));
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.delete(`/${path}/:id`, (req, res) => {
+    try {
+      const { changes } = runStatement(db, `DELETE FROM ${type.table} WHERE log_id = ? AND user_id = ?`, [
+        parseId(req.params.id, "id"),
+        req.user.user_id
+      ]);
+      if (!changes) return res.status(404).json({ error: "Log not found." });
+      onChange();
+      return res.status(204).end();
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+}
+
+// onChange() is called after every successful mutation.
+export function createLogsRouter({ db, onChange = () => {} }) {
+  const router = express.Router();
+
+  router.get("/recipes", (_req, res) => {
+    res.json({ recipes: queryAll(db, "SELECT recipe_id, name, servings FROM recipes ORDER BY name") });
+  });
+
+  router.get("/supplements", (_req, res) => {
+    res.json({
+      supplements: queryAll(
+        db,
+        "SELECT item_id, name, brand, serving_size_g FROM items WHERE item_type = 'supplement' ORDER BY name"
+      )
+    });
+  });
+
+  for (const [path, type] of Object.entries(LOG_TYPES)) registerLogRoutes(router, db, path, type, onChange);
+  return router;
+}
@@ -0,0 +1,285 @@
+import express from "express";
+import { queryAll, queryOne } from "./db.js";
+import { ValidationError, parseId, parseLocalDatetime, sendError } from "./logs.js";
+import { isName, tokenize, userScope } from "./sqlGuard.js";
+
+// Deterministic nutrition math over the nutrition tables, without the LLM:
+//   GET /api/recipes/:id/nutrition  -> recipe totals and per-serving amounts for every nutrient
+//   GET /api/intake                 -> nutrients the signed-in user ate/took between from and to, per
+//                                      day/week/month
+// (and the goal adherence in lib/goals.js) read the building blocks below: the formulas the SQL
+// prompt's notes teach the model.
+// A data source that lists them under "building_blocks" in db/datasources.json also exposes them
+// to generated SQL as views (see the catalog views in sqlGuard.js), so questions about totals can
+// select from them instead of re-deriving the math.
+//
+// Tables are named without aliases so the query plan check can size every loop.
+// Intake and goals are per user: blocks that read the data source's per-user tables only see the
+// signed-in user's rows.
+
+const INTAKE_SQL = `SELECT 'meal' AS source, meal_logs.log_id, meal_logs.eaten_at AS logged_at,
+  date(meal_logs.eaten_at) AS day, meal_logs.recipe_id, NULL AS item_id, recipes.name,
+  meal_logs.servings_eaten AS servings,
+  nutrients.nutrient_id, nutrients.name AS nutrient, nutrients.unit,
+  meal_logs.servings_eaten * SUM(recipe_items.amount_g * item_nutrients.amount_per_100g / 100.0) AS amount
+FROM meal_logs
+JOIN recipes ON recipes.recipe_id = meal_logs.recipe_id
+JOIN recipe_items ON recipe_items.recipe_id = meal_logs.recipe_id
+JOIN item_nutrients ON item_nutrients.item_id = recipe_items.item_id
+JOIN nutrients ON nutrients.nutrient_id = item_nutrients.nutrient_id
+GROUP BY meal_logs.log_id, nutrients.nutrient_id
+UNION ALL
+SELECT 'supplement', supplement_logs.log_id, supplement_logs.taken_at, date(supplement_logs.taken_at),
+  NULL, supplement_logs.item_id, items.name, supplement_logs.servings_taken,
+  nutrients.nutrient_id, nutrients.name, nutrients.unit,
+  supplement_logs.servings_taken * items.serving_size_g * item_nutrients.amount_per_100g / 100.0
+FROM supplement_logs
+JOIN items ON items.item_id = supplement_logs.item_id
+JOIN item_nutrients ON item_nutrients.item_id = supplement_logs.item_id
+JOIN nutrients ON nutrients.nutrient_id = item_nutrients.nutrient_id`;
+
+export const BUILDING_BLOCKS = {
+  recipe_nutrition: {
+    description: "Nutrient totals per recipe: one row per recipe and nutrient (0 when no ingredient has it).",
+    columns: {
+      recipe_id: "recipes.recipe_id",
+      recipe_name: "recipes.name",
+      servings: "recipes.servings",
+      nutrient_id: "nutrients.nutrient_id",
+      nutrient: "nutrients.name, e.g. 'protein_g'",
+      unit: "nutrients.unit",
+      total: "amount in the whole recipe: SUM(recipe_items.amount_g * item_nutrients.amount_per_100g / 100.0)",
+      per_serving: "total / servings"
+    },
+    sql: `SELECT recipes.recipe_id, recipes.name AS recipe_name, recipes.servings,
+  nutrients.nutrient_id, nutrients.name AS nutrient, nutrients.unit,
+  COALESCE(SUM(recipe_items.amount_g * item_nutrients.amount_per_100g / 100.0), 0) AS total,
+  COALESCE(SUM(recipe_items.amount_g * item_nutrients.amount_per_100g / 100.0), 0) / recipes.servings AS per_serving
+FROM recipes
+CROSS JOIN nutrients
+LEFT JOIN recipe_items ON recipe_items.recipe_id = recipes.recipe_id
+LEFT JOIN item_nutrients ON item_nutrients.item_id = recipe_items.item_id
+  AND item_nutrients.nutrient_id = nutrients.nutrient_id
+GROUP BY recipes.recipe_id, nutrients.nutrient_id`
+  },
+  intake_nutrition: {
+    description:
+      "Nutrients consumed per log entry: one row per meal_logs or supplement_logs row and nutrient it contains.",
+    columns: {
+      source: "'meal' (meal_logs) or 'supplement' (supplement_logs)",
+      log_id: "log_id of the meal_logs or supplement_logs row",
+      logged_at: "meal_logs.eaten_at or supplement_logs.taken_at",
+      day: "date(logged_at), 'YYYY-MM-DD'",
+      recipe_id: "recipe eaten (NULL for supplements)",
+      item_id: "supplement taken (NULL for meals)",
+      name: "recipe or supplement name",
+      servings: "meal_logs.servings_eaten or supplement_logs.servings_taken",
+      nutrient_id: "nutrients.nutrient_id",
+      nutrient: "nutrients.name, e.g. 'vitamin_c_mg'",
+      unit: "nutrients.unit",
+      amount:
+        "amount consumed: recipe total * servings_eaten for meals, " +
+        "servings_taken * items.serving_size_g * amount_per_100g / 100.0 for supplements"
+    },
+    sql: INTAKE_SQL
+  },
+  goal_adherence: {
+    description:
+      "Daily goal adherence: one row per nutrient_goals row and day with at least one meal logged " +
+      "(days without meals weren't tracked). Intake counts meals and supplements, as in intake_nutrition.",
+    columns: {
+      day: "'YYYY-MM-DD'",
+      goal_id: "nutrient_goals.goal_id",
+      nutrient_id: "nutrients.nutrient_id",
+      nutrient: "nutrients.name, e.g. 'fiber_g'",
+      unit: "nutrients.unit",
+      goal_type: "'min' (eat at least daily_target) or 'max' (at most)",
+      daily_target: "nutrient_goals.daily_target",
+      amount: "amount consumed that day",
+      met: "1 if amount is on the right side of daily_target, else 0"
+    },
+    sql: `WITH intake_nutrition AS (${INTAKE_SQL})
+SELECT days.day, nutrient_goals.goal_id, nutrient_goals.nutrient_id, nutrients.name AS nutrient, nutrients.unit,
+  nutrient_goals.goal_type, nutrient_goals.daily_target,
+  COALESCE(SUM(intake_nutrition.amount), 0) AS amount,
+  CASE WHEN nutrient_goals.goal_type = 'min'
+    THEN COALESCE(SUM(intake_nutrition.amount), 0) >= nutrient_goals.daily_target
+    ELSE COALESCE(SUM(intake_nutrition.amount), 0) <= nutrient_goals.daily_target END AS met
+FROM (SELECT DISTINCT date(meal_logs.eaten_at) AS day FROM meal_logs) AS days
+CROSS JOIN nutrient_goals
+JOIN nutrients ON nutrients.nutrient_id = nutrient_goals.nutrient_id
+LEFT JOIN intake_nutrition ON intake_nutrition.day = days.day
+  AND intake_nutrition.nutrient_id = nutrient_goals.nutrient_id
+GROUP BY days.day, nutrient_goals.goal_id`
+  }
+};
+
+// Catalog views (name -> { columns, sql, description, descriptions }) for the named blocks.
+export function buildingBlockViews(names = []) {
+  const views = new Map();
+  for (const name of names) {
+    const block = BUILDING_BLOCKS[name];
+    if (!block) throw new Error(`Unknown building block "${name}".`);
+    views.set(name, {
+      columns: new Set(Object.keys(block.columns)),
+      sql: block.sql,
+      description: block.description,
+      descriptions: block.columns
+    });
+  }
+  return views;
+}
+
+const GROUPINGS = {
+  day: "day",
+  week: "date(logged_at, 'weekday 0', '-6 days')", // the Monday the week starts on
+  month: "strftime('%Y-%m', logged_at)",
+  none: "NULL"
+};
+const SOURCES = ["meal", "supplement"];
+
+// sql with the named building block defined as a CTE in front. userTables are the data source's
+// per-user tables (schemaCatalog.userTables): a block that reads any of them only sees userId's rows
+// of those, and throws without a userId.
+export function withBlock(name, sql, { userTables = [], userId = null } = {}) {
+  const { sql: blockSql } = BUILDING_BLOCKS[name];
+  const reads = new Set(tokenize(blockSql).filter(isName).map((t) => t.value.toLowerCase()));
+  const scoped = [...userTables].filter((t) => reads.has(t));
+  if (scoped.length && !(Number.isInteger(userId) && userId > 0)) {
+    throw new Error(`Building block "${name}" reads per-user tables (${scoped.join(", ")}) and needs a userId.`);
+  }
+  const scope = scoped.length ? `${userScope(scoped, userId)}, ` : "";
+  return `WITH ${scope}${name} AS (${blockSql}) ${sql}`;
+}
+
+// A date ("2026-02-19") covers the whole day; otherwise the same datetimes the log endpoints take.
+function parseBound(value, field, endOfDay) {
+  const s = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return parseLocalDatetime(`${s}T${endOfDay ? "23:59:59" : "00:00"}`, field);
+  return parseLocalDatetime(s, field);
+}
+
+export function recipeNutrition(db, recipeId) {
+  const recipe = queryOne(db, "SELECT recipe_id, name, servings FROM recipes WHERE recipe_id = ?", [recipeId]);
+  if (!recipe) return null;
+  const nutrients = queryAll(
+    db,
+    withBlock(
+      "recipe_nutrition",
+      "SELECT nutrient, unit, total, per_serving FROM recipe_nutrition WHERE recipe_id = ? ORDER BY nutrient_id"
+    ),
+    [recipeId]
+  );
+  const items = queryAll(
+    db,
+    `SELECT items.item_id, items.name, items.brand, recipe_items.amount_g
+     FROM recipe_items
+     JOIN items ON items.item_id = recipe_items.item_id
+     WHERE recipe_items.recipe_id = ?
+     ORDER BY recipe_items.amount_g DESC, items.name`,
+    [recipeId]
+  );
+  return { ...recipe, nutrients, items };
+}
+
+// from/to are local ISO datetimes (either may be null); groupBy is a GROUPINGS key; source limits
+// to meals or supplements. Only userId's logs of the per-user tables (userTables) count.
+export function intakeNutrition(db, { userTables, userId, from = null, to = null, groupBy = "day", source = null }) {
+  const where = [];
+  const params = [];
+  if (from) {
+    where.push("logged_at >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("logged_at <= ?");
+    params.push(to);
+  }
+  if (source) {
+    where.push("source = ?");
+    params.push(source);
+  }
+  const filter = where.length ? ` WHERE ${where.join(" AND ")}` : "";
+  const period = GROUPINGS[groupBy];
+
+  const rows = queryAll(
+    db,
+    withBlock(
+      "intake_nutrition",
+      `SELECT ${period} AS period, nutrient, unit, SUM(amount) AS amount
+       FROM intake_nutrition${filter}
+       GROUP BY period, nutrient_id
+       ORDER BY period, nutrient_id`,
+      { userTables, userId }
+    ),
+    params
+  );
+  const counts = queryAll(
+    db,
+    withBlock(
+      "intake_nutrition",
+      `SELECT ${period} AS period,
+         COUNT(DISTINCT CASE WHEN source = 'meal' THEN log_id END) AS meals,
+         COUNT(DISTINCT CASE WHEN source = 'supplement' THEN log_id END) AS supplements
+       FROM intake_nutrition${filter}
+       GROUP BY period
+       ORDER BY period`,
+      { userTables, userId }
+    ),
+    params
+  );
+
+  const periods = new Map(counts.map((c) => [c.period, { ...c, nutrients: [] }]));
+  const totals = new Map();
+  for (const r of rows) {
+    periods.get(r.period).nutrients.push({ nutrient: r.nutrient, unit: r.unit, amount: r.amount ?? 0 });
+    const total = totals.get(r.nutrient) || { nutrient: r.nutrient, unit: r.unit, amount: 0 };
+    total.amount += r.amount ?? 0;
+    totals.set(r.nutrient, total);
+  }
+  return {
+    from,
+    to,
+    group_by: groupBy,
+    source,
+    periods: groupBy === "none" ? [] : [...periods.values()],
+    meals: counts.reduce((n, c) => n + c.meals, 0),
+    supplements: counts.reduce((n, c) => n + c.supplements, 0),
+    totals: [...totals.values()]
+  };
+}
+
+export function createNutritionRouter({ db, userTables }) {
+  const router = express.Router();
+
+  router.get("/recipes/:id/nutrition", (req, res) => {
+    try {
+      const result = recipeNutrition(db, parseId(req.params.id, "id"));
+      if (!result) return res.status(404).json({ error: "Recipe not found." });
+      return res.json(result);
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  router.get("/intake", (req, res) => {
+    try {
+      const groupBy = req.query.group_by || "day";
+      if (!Object.hasOwn(GROUPINGS, groupBy)) {
+        throw new ValidationError("group_by", `group_by must be one of ${Object.keys(GROUPINGS).join(", ")}.`);
+      }
+      const source = req.query.source || null;
+      if (source && !SOURCES.includes(source)) {
+        throw new ValidationError("source", `source must be one of ${SOURCES.join(", ")}.`);
+      }
+      const from = req.query.from ? parseBound(req.query.from, "from", false) : null;
+      const to = req.query.to ? parseBound(req.query.to, "to", true) : null;
+      if (from && to && from > to) throw new ValidationError("to", "to must not be before from.");
+      return res.json(intakeNutrition(db, { userTables, userId: req.user.user_id, from, to, groupBy, source }));
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,208 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { exportDatabase, loadSqlJs, queryAll } from "./db.js";
+
+// Writes the in-memory sql.js database back to disk.
+// - markDirty() schedules a save; bursts of writes are coalesced into one save after debounceMs.
+// - Saves are atomic: export -> temp file -> fsync -> rename over the database file.
+// - Before each save the previous file is copied into backupDir; at most maxBackups are kept per
+//   kind ("auto", "manual", "pre-restore"), oldest first out.
+// All disk work runs through one queue, so saves, backups and restores never interleave.
+
+const SAVE_DEBOUNCE_MS = 1000;
+const MAX_BACKUPS = 5;
+
+export class PersistenceError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export async function writeFileAtomic(filePath, bytes) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.open(tmpPath, "w");
+  try {
+    await handle.writeFile(bytes);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tmpPath, filePath);
+}
+
+function schemaSignature(db) {
+  return JSON.stringify(
+    queryAll(db, "SELECT type, name, sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name")
+  );
+}
+
+// Replace every table's rows in target with source's. Both must have the same schema.
+function copyContents(target, source) {
+  const tables = queryAll(
+    source,
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+  ).map((r) => r.name);
+
+  // Can't be changed inside a transaction, and rows are copied in whatever order the tables sort.
+  target.run("PRAGMA foreign_keys = OFF;");
+  try {
+    target.run("BEGIN");
+    try {
+      for (const table of tables) {
+        target.run(`DELETE FROM "${table}"`);
+        const [resultSet] = source.exec(`SELECT * FROM "${table}"`);
+        if (!resultSet) continue;
+        const cols = resultSet.columns.map((c) => `"${c}"`).join(", ");
+        const insert = target.prepare(
+          `INSERT INTO "${table}" (${cols}) VALUES (${resultSet.columns.map(() => "?").join(", ")})`
+        );
+        try {
+          for (const row of resultSet.values) insert.run(row);
+        } finally {
+          insert.free();
+        }
+      }
+      target.run("COMMIT");
+    } catch (err) {
+      target.run("ROLLBACK");
+      throw err;
+    }
+  } finally {
+    target.run("PRAGMA foreign_keys = ON;");
+  }
+}
+
+export function createPersistence({
+  db,
+  dbPath,
+  backupDir = path.join(path.dirname(dbPath), "backups"),
+  maxBackups = MAX_BACKUPS,
+  debounceMs = SAVE_DEBOUNCE_MS,
+  onRestore = () => {},
+  log = console.log
+}) {
+  const baseName = path.basename(dbPath, path.extname(dbPath));
+  const backupPattern = new RegExp(`^${baseName}-(.+)-(auto|manual|pre-restore)\\.sqlite$`);
+
+  let dirty = false;
+  let timer = null;
+  let lastSavedAt = null;
+  let lastError = null;
+  let queue = Promise.resolve();
+
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function listBackups() {
+    let names;
+    try {
+      names = await fs.readdir(backupDir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    const backups = [];
+    for (const name of names) {
+      const match = backupPattern.exec(name);
+      if (!match) continue;
+      const stat = await fs.stat(path.join(backupDir, name));
+      backups.push({ name, kind: match[2], size_bytes: stat.size, created_at: stat.mtime.toISOString() });
+    }
+    // Names embed an ISO timestamp, so they sort chronologically within a kind.
+    return backups.sort((a, b) => b.created_at.localeCompare(a.created_at) || b.name.localeCompare(a.name));
+  }
+
+  async function pruneBackups(kind) {
+    const stale = (await listBackups()).filter((b) => b.kind === kind).slice(maxBackups);
+    for (const b of stale) await fs.rm(path.join(backupDir, b.name), { force: true });
+  }
+
+  async function writeBackup(bytes, kind) {
+    await fs.mkdir(backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const name = `${baseName}-${stamp}-${kind}.sqlite`;
+    await writeFileAtomic(path.join(backupDir, name), bytes);
+    await pruneBackups(kind);
+    return (await listBackups()).find((b) => b.name === name);
+  }
+
+  async function save() {
+    if (!dirty) return;
+    dirty = false;
+    const bytes = exportDatabase(db);
+    try {
+      let previous = null;
+      try {
+        previous = await fs.readFile(dbPath);
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+      if (previous) await writeBackup(previous, "auto");
+      await writeFileAtomic(dbPath, bytes);
+      lastSavedAt = new Date().toISOString();
+      lastError = null;
+    } catch (err) {
+      dirty = true;
+      lastError = err?.message || String(err);
+      throw err;
+    }
+  }
+
+  return {
+    markDirty() {
+      dirty = true;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timer = null;
+        enqueue(save).catch((err) => log(`[db] save failed: ${err?.message || err}`));
+      }, debounceMs);
+    },
+
+    // Save now if anything is pending (used by backup/restore and on shutdown).
+    flush() {
+      clearTimeout(timer);
+      timer = null;
+      return enqueue(save);
+    },
+
+    status() {
+      return { pending: dirty, last_saved_at: lastSavedAt, last_error: lastError };
+    },
+
+    listBackups,
+
+    // Snapshot of the current in-memory state, independent of the on-disk file.
+    backup(kind = "manual") {
+      return enqueue(() => writeBackup(exportDatabase(db), kind));
+    },
+
+    // Load a backup into the running database (in place, so every holder of `db` sees it) and save.
+    // The current state is kept as a "pre-restore" backup first.
+    restore(name) {
+      return enqueue(async () => {
+        const backup = (await listBackups()).find((b) => b.name === name);
+        if (!backup) throw new PersistenceError(`Unknown backup "${name}".`, 404);
+
+        const SQL = await loadSqlJs();
+        const source = new SQL.Database(new Uint8Array(await fs.readFile(path.join(backupDir, name))));
+        try {
+          if (schemaSignature(source) !== schemaSignature(db)) {
+            throw new PersistenceError("Backup schema does not match the running database.", 409);
+          }
+          const safety = await writeBackup(exportDatabase(db), "pre-restore");
+          copyContents(db, source);
+          onRestore();
+          dirty = true;
+          await save();
+          return { restored: backup, safety_backup: safety };
+        } finally {
+          source.close();
+        }
+      });
+    }
+  };
+}
@@ -0,0 +1,432 @@
+import { inferChart, validateChart } from "./charts.js";
+import { diagnoseEmptyResult } from "./diagnose.js";
+import { QueryExecutionError, limitCode } from "./executor.js";
+import { checkQueryPlan } from "./queryPlan.js";
+import {
+  answerSystemPrompt,
+  clarificationAnswerPrompt,
+  conversationContextPrompt,
+  entityLinksPrompt,
+  normalizeSqlForSQLite,
+  repairPrompt,
+  responseFormatAnswer,
+  responseFormatSql,
+  sqlFewShotExamples,
+  sqlSystemPrompt
+} from "./prompts.js";
+import { sqlGuard } from "./sqlGuard.js";
+
+export const STRATEGIES = ["zero", "few", "retrieval"];
+const MAX_ATTEMPTS = 3;
+const RETRIEVAL_K = Number(process.env.RETRIEVAL_K || 3);
+const PREVIEW_ROWS = 20;
+const MAX_CLARIFICATION_OPTIONS = 4;
+const MAX_CLARIFICATION_LENGTH = 500;
+
+const cancelledResponse = () => ({ status: 499, body: { error: "Request cancelled." }, result: null });
+const isCancelled = (err) => err instanceof QueryExecutionError && err.code === "cancelled";
+
+// Decode as much of a top-level string field as has arrived in a partial JSON document,
+// e.g. ('{"answer":"The top 5 su', "answer") -> "The top 5 su". Used to stream the answer
+// text out of the structured (JSON) answer response.
+function partialJsonStringField(partial, field) {
+  const start = new RegExp(`"${field}"\\s*:\\s*"`).exec(partial);
+  if (!start) return "";
+  let out = "";
+  for (let i = start.index + start[0].length; i < partial.length; i += 1) {
+    const ch = partial[i];
+    if (ch === '"') break;
+    if (ch !== "\\") {
+      out += ch;
+      continue;
+    }
+    const esc = partial[i + 1];
+    if (esc === undefined) break;
+    if (esc === "u") {
+      const hex = partial.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      out += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+      continue;
+    }
+    out += { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" }[esc] ?? esc;
+    i += 1;
+  }
+  return out;
+}
+
+// The model's clarification request, or null if it didn't ask (or asked without real options).
+function parseClarification(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const question = String(raw.question || "").trim();
+  const options = [...new Set((Array.isArray(raw.options) ? raw.options : []).map((o) => String(o).trim()))]
+    .filter(Boolean)
+    .slice(0, MAX_CLARIFICATION_OPTIONS);
+  return question && options.length >= 2 ? { question, options } : null;
+}
+
+// The client's answer to a clarification: { question, answer } (answer is usually one of the options).
+function parseClarificationAnswer(raw) {
+  if (raw === undefined || raw === null) return { ok: true, value: null };
+  const question = typeof raw?.question === "string" ? raw.question.trim() : "";
+  const answer = typeof raw?.answer === "string" ? raw.answer.trim() : "";
+  if (!question || !answer) return { ok: false, error: "clarification must be { question, answer }." };
+  if (question.length + answer.length > MAX_CLARIFICATION_LENGTH) {
+    return { ok: false, error: `clarification must be at most ${MAX_CLARIFICATION_LENGTH} characters.` };
+  }
+  return { ok: true, value: { question, answer } };
+}
+
+// The NL -> SQL -> answer pipeline behind /api/ask, independent of Express so the
+// evaluation harness can run exactly the same code path. One pipeline serves one data source
+// (lib/datasources.js): its database, schema catalog, domain notes and examples.
+//
+// ask() resolves to { status, body, result }:
+//   status/body: the HTTP status and JSON payload /api/ask responds with
+//   result:      { sql, columns, rows } with the full (untruncated) rows, or null if nothing ran
+//
+// With diagnose, a query that returns no rows is diagnosed (lib/diagnose.js) and the body gets
+// diagnosis: { culprit, message, checks, relaxed_sql?, relaxed_row_count? }; the answer uses it to
+// explain the empty result. runSql() runs a proposed relaxed query.
+//
+// userId is the signed-in user (sqlGuard()'s option): generated SQL only reads their rows of the
+// per-user tables, and is rejected if it reads them without one.
+//
+// SQL runs through the query executor (lib/executor.js) with its timeout and row/size caps; a limit
+// that is hit is an exec_error like any SQLite error (with exec_error_code, e.g. "timeout"), and
+// the repair loop gets a chance to write a cheaper query. Aborting `signal` cancels the running query.
+// Before that, the query plan is checked (lib/queryPlan.js, with queryPlanLimits { warnRows, maxRows });
+// the body gets query_plan, and performance_caveat when it is expensive. A plan that is too
+// expensive to run is an exec_error with exec_error_code "too_expensive".
+//
+// With clarify, the model may answer an ambiguous question with a clarification instead of SQL;
+// the body is then { type: "clarification", clarification: { question, options }, ... } and
+// nothing runs. Ask again with clarification: { question, answer } to continue (the model is not
+// allowed to ask a second time).
+//
+// Pass onEvent(type, data) to observe progress (used by /api/ask/stream):
+//   entities_linked { entities }                    question mentions resolved to database values
+//   clarification_needed { question, options }      the model asked instead of writing SQL
+//   repair_attempt { attempt }                      before every attempt after the first
+//   sql_generated  { attempt, sql, assumptions }
+//   guard_result   { attempt, ok, reason, location }
+//   plan_ready     { attempt, query_plan }
+//   exec_error     { attempt, error, code? }
+//   rows_ready     { columns, row_count, rows, chart }  rows is the same preview /api/ask returns
+//   diagnosis_ready { diagnosis }                   only for empty results with diagnose
+//   answer_token   { text }                         incremental text of the answer
+export function createAskPipeline({ llm, llmError, datasource, queryPlanLimits = {}, log = console.log }) {
+  const { executor, schemaContext, schemaCatalog, exampleStore, entityLinker } = datasource;
+
+  // EXPLAIN QUERY PLAN names tables, not their sizes; take those from the schema catalog.
+  async function checkPlan(sql, guardedSql, signal) {
+    const rowCounts = new Map(schemaContext.catalog().tables.map((t) => [t.name, t.row_count]));
+    return checkQueryPlan({ executor, sql, guardedSql, rowCounts, ...queryPlanLimits, signal });
+  }
+
+  function fewShotMessages(strategy, question) {
+    if (strategy === "few") return { messages: sqlFewShotExamples(datasource.fewShotExamples), examplesUsed: null };
+    if (strategy === "retrieval") {
+      const retrieved = exampleStore ? exampleStore.search(question, RETRIEVAL_K) : [];
+      return {
+        messages: sqlFewShotExamples(retrieved.map((ex) => ({ q: ex.question, sql: ex.sql }))),
+        examplesUsed: retrieved.map((ex) => ({
+          id: ex.id,
+          question: ex.question,
+          score: Number(ex.score.toFixed(3))
+        }))
+      };
+    }
+    return { messages: [], examplesUsed: null };
+  }
+
+  // history: previous turns of the conversation (see lib/sessions.js), oldest first.
+  async function ask({
+    question,
+    strategy = "few",
+    history = [],
+    answer: wantAnswer = true,
+    clarify = false,
+    clarification = null,
+    diagnose = false,
+    userId = null,
+    signal = null,
+    onEvent = null
+  }) {
+    const emit = (type, data) => {
+      if (onEvent) onEvent(type, data);
+    };
+
+    question = String(question || "").trim();
+    strategy = String(strategy || "few").toLowerCase();
+
+    if (!question) return { status: 400, body: { error: "Missing question." }, result: null };
+    if (!STRATEGIES.includes(strategy)) return { status: 400, body: { error: "Invalid strategy." }, result: null };
+    const clarified = parseClarificationAnswer(clarification);
+    if (!clarified.ok) return { status: 400, body: { error: clarified.error }, result: null };
+    if (!llm) return { status: 500, body: { error: llmError }, result: null };
+    const mayClarify = clarify && !clarified.value;
+
+    log(`[ask] datasource=${datasource.id} strategy=${strategy} q="${question}"`);
+
+    const { messages: fewShot, examplesUsed } = fewShotMessages(strategy, question);
+    if (examplesUsed) log(`[ask] retrieval examples=${examplesUsed.map((ex) => ex.id).join(",") || "none"}`);
+    const entities = entityLinker ? entityLinker.link(question) : [];
+    if (entities.length) {
+      log(`[ask] entities ${entities.map((e) => `"${e.mention}"->${e.value}`).join(", ")}`);
+      emit("entities_linked", { entities });
+    }
+    const baseMessages = [
+      {
+        role: "system",
+        content: sqlSystemPrompt({ schema: schemaContext.prompt(), datasource, clarify: mayClarify })
+      },
+      ...fewShot,
+      ...(history.length ? [{ role: "system", content: conversationContextPrompt(history) }] : []),
+      ...(entities.length ? [{ role: "system", content: entityLinksPrompt(entities) }] : []),
+      ...(clarified.value ? [{ role: "system", content: clarificationAnswerPrompt(clarified.value) }] : []),
+      { role: "user", content: question }
+    ];
+
+    let attempts = 0;
+    let generatedSql = "";
+    let executedSql = "";
+    let assumptions = [];
+    let columns = [];
+    let rows = [];
+    let execError = null;
+    let execErrorCode = null;
+    let queryPlan = null;
+
+    while (attempts < MAX_ATTEMPTS) {
+      attempts += 1;
+      if (attempts > 1) emit("repair_attempt", { attempt: attempts });
+      queryPlan = null;
+      try {
+        const t0 = Date.now();
+        const content = await llm.complete({
+          temperature: 0,
+          messages:
+            attempts === 1
+              ? baseMessages
+              : [
+                  ...baseMessages,
+                  { role: "user", content: repairPrompt({ previousSql: generatedSql, execError }) }
+                ],
+          responseFormat: responseFormatSql,
+          clarify: mayClarify && attempts === 1
+        });
+        log(`[ask] sql_gen attempt=${attempts} (${Date.now() - t0}ms)`);
+
+        const parsed = JSON.parse(content);
+        const needsClarification = mayClarify && attempts === 1 ? parseClarification(parsed.clarification) : null;
+        if (needsClarification) {
+          log(`[ask] clarification options=${needsClarification.options.length}`);
+          emit("clarification_needed", needsClarification);
+          return {
+            status: 200,
+            body: {
+              type: "clarification",
+              clarification: needsClarification,
+              strategy,
+              attempts,
+              ...(examplesUsed ? { examples_used: examplesUsed } : {}),
+              entities
+            },
+            result: null
+          };
+        }
+        generatedSql = normalizeSqlForSQLite(String(parsed.sql || "").trim());
+        assumptions = Array.isArray(parsed.assumptions) ? parsed.assumptions.map(String) : [];
+        emit("sql_generated", { attempt: attempts, sql: generatedSql, assumptions });
+
+        const guarded = sqlGuard(generatedSql, schemaCatalog, { userId });
+        emit("guard_result", {
+          attempt: attempts,
+          ok: guarded.ok,
+          reason: guarded.ok ? null : guarded.reason,
+          location: guarded.ok ? null : guarded.location
+        });
+        if (!guarded.ok) {
+          return {
+            status: 400,
+            body: {
+              error: "SQL rejected by guard.",
+              guard_reason: guarded.reason,
+              guard_location: guarded.location,
+              sql: generatedSql,
+              assumptions,
+              strategy,
+              attempts,
+              ...(examplesUsed ? { examples_used: examplesUsed } : {}),
+              entities
+            },
+            result: null
+          };
+        }
+
+        const checked = await checkPlan(generatedSql, guarded.sql, signal);
+        queryPlan = checked.plan;
+        log(`[ask] plan estimated_rows=${queryPlan.estimated_rows} action=${queryPlan.action}`);
+        emit("plan_ready", { attempt: attempts, query_plan: queryPlan });
+        if (!checked.sql) throw new QueryExecutionError(checked.reason, "too_expensive");
+
+        const executed = await executor.run(checked.sql, { signal });
+        executedSql = checked.sql;
+        columns = executed.columns;
+        rows = executed.rows;
+        execError = null;
+        break;
+      } catch (err) {
+        if (isCancelled(err)) return cancelledResponse();
+        execError = err?.message || String(err);
+        execErrorCode = limitCode(err);
+        log(`[ask] sql_gen_or_exec attempt=${attempts} error=${execError}`);
+        emit("exec_error", { attempt: attempts, error: execError, ...(execErrorCode ? { code: execErrorCode } : {}) });
+        if (attempts >= MAX_ATTEMPTS) break;
+      }
+    }
+
+    if (execError) {
+      return {
+        status: 500,
+        body: {
+          error: "Failed to generate executable SQL.",
+          sql: generatedSql,
+          assumptions,
+          strategy,
+          attempts,
+          ...(examplesUsed ? { examples_used: examplesUsed } : {}),
+          entities,
+          exec_error: execError,
+          ...(execErrorCode ? { exec_error_code: execErrorCode } : {}),
+          ...(queryPlan ? { query_plan: queryPlan } : {})
+        },
+        result: null
+      };
+    }
+
+    const result = { sql: executedSql, columns, rows };
+    const executedBody = {
+      strategy,
+      attempts,
+      ...(examplesUsed ? { examples_used: examplesUsed } : {}),
+      entities,
+      ...(clarified.value ? { clarification_answer: clarified.value } : {}),
+      sql: generatedSql,
+      assumptions,
+      columns,
+      row_count: rows.length,
+      rows: rows.slice(0, PREVIEW_ROWS),
+      chart: inferChart(columns, rows),
+      query_plan: queryPlan,
+      ...(queryPlan.caveat ? { performance_caveat: queryPlan.caveat } : {})
+    };
+    emit("rows_ready", { columns, row_count: rows.length, rows: executedBody.rows, chart: executedBody.chart });
+    if (diagnose && rows.length === 0) {
+      try {
+        const t0 = Date.now();
+        const diagnosis = await diagnoseEmptyResult({ executor, sql: generatedSql, schemaCatalog, userId, signal });
+        log(`[ask] diagnosis (${Date.now() - t0}ms) ${diagnosis ? diagnosis.message : "none"}`);
+        if (diagnosis) {
+          executedBody.diagnosis = diagnosis;
+          emit("diagnosis_ready", { diagnosis });
+        }
+      } catch (err) {
+        if (isCancelled(err)) return cancelledResponse();
+        log(`[ask] diagnosis failed: ${err?.message || err}`);
+      }
+    }
+    if (!wantAnswer) return { status: 200, body: executedBody, result };
+
+    try {
+      const t1 = Date.now();
+      let streamed = "";
+      let answerSoFar = "";
+      const content2 = await llm.complete({
+        temperature: 0.2,
+        messages: [
+          {
+            role: "system",
+            content: answerSystemPrompt({ question, sql: generatedSql, rows, diagnosis: executedBody.diagnosis })
+          }
+        ],
+        responseFormat: responseFormatAnswer,
+        onDelta: onEvent
+          ? (delta) => {
+              streamed += delta;
+              const partial = partialJsonStringField(streamed, "answer");
+              if (partial.length > answerSoFar.length) {
+                emit("answer_token", { text: partial.slice(answerSoFar.length) });
+                answerSoFar = partial;
+              }
+            }
+          : undefined
+      });
+      log(`[ask] answer_gen (${Date.now() - t1}ms) rows=${rows.length}`);
+      const parsed2 = JSON.parse(content2);
+
+      return {
+        status: 200,
+        body: {
+          ...executedBody,
+          answer: parsed2.answer,
+          caveats: parsed2.caveats,
+          chart: validateChart(parsed2.chart, columns, rows) || executedBody.chart
+        },
+        result
+      };
+    } catch (err) {
+      return {
+        status: 500,
+        body: {
+          error: "Failed to generate natural language answer.",
+          ...executedBody,
+          exec_error: execError,
+          answer_error: err?.message || String(err)
+        },
+        result
+      };
+    }
+  }
+
+  // Runs SQL the server proposed itself (a diagnosis's relaxed_sql), without the model.
+  async function runSql(sql, { userId = null, signal = null } = {}) {
+    const guarded = sqlGuard(sql, schemaCatalog, { userId });
+    if (!guarded.ok) {
+      return { status: 400, body: { error: "SQL rejected by guard.", guard_reason: guarded.reason }, result: null };
+    }
+    try {
+      const checked = await checkPlan(sql, guarded.sql, signal);
+      if (!checked.sql) throw new QueryExecutionError(checked.reason, "too_expensive");
+      const { columns, rows } = await executor.run(checked.sql, { signal });
+      return {
+        status: 200,
+        body: {
+          sql,
+          columns,
+          row_count: rows.length,
+          rows: rows.slice(0, PREVIEW_ROWS),
+          chart: inferChart(columns, rows),
+          query_plan: checked.plan,
+          ...(checked.plan.caveat ? { performance_caveat: checked.plan.caveat } : {})
+        },
+        result: { sql: checked.sql, columns, rows }
+      };
+    } catch (err) {
+      if (isCancelled(err)) return cancelledResponse();
+      const code = limitCode(err);
+      return {
+        status: 500,
+        body: {
+          error: "Query failed.",
+          exec_error: err?.message || String(err),
+          ...(code ? { exec_error_code: code } : {})
+        },
+        result: null
+      };
+    }
+  }
+
+  return { ask, runSql };
+}
@@ -0,0 +1,275 @@
+function truncateJsonForPrompt(obj, maxChars = 8000) {
+  const s = JSON.stringify(obj);
+  if (s.length <= maxChars) return s;
+  return s.slice(0, maxChars) + "...(truncated)";
+}
+
+// schema is the generated catalog from lib/schemaContext.js (descriptions, keys and live values);
+// datasource supplies the domain notes and where the DDL came from (see lib/datasources.js).
+// With clarify, the model may ask a clarifying question instead of writing SQL.
+export function sqlSystemPrompt({ schema, datasource, clarify = false }) {
+  const ambiguity = clarify
+    ? [
+        "- If the question is ambiguous in a way that changes the result (e.g. \"best\" or \"healthiest\"",
+        "  with no measure, or a name that matches several different items), set `sql` to '' and set",
+        "  `clarification` to a short question with 2-4 `options`, each a complete reading of the question.",
+        "- Otherwise set `clarification` to null. For minor ambiguity, make a reasonable assumption, list it in",
+        "  `assumptions` and proceed."
+      ]
+    : [
+        "- If the question is ambiguous, make a reasonable assumption and proceed.",
+        "- Always set `clarification` to null."
+      ];
+  const notes = datasource.notes.length
+    ? ["", `Domain notes (${datasource.name}):`, ...datasource.notes.map((n) => `- ${n}`)]
+    : [];
+  const views = datasource.schemaCatalog?.views?.size
+    ? [
+        "- The VIEWs at the end of the catalog are trusted building blocks that already apply the nutrition",
+        "  formulas; select from them (like tables) for recipe and intake nutrient totals instead of re-deriving",
+        "  the math. Don't name a CTE after a view."
+      ]
+    : [];
+  const schemaSource = datasource.schemaPath || "the database's CREATE TABLE statements";
+  return [
+    "You are an expert data analyst that writes SQLite SELECT queries.",
+    "",
+    "Task: Convert the user's question into ONE safe SQLite query.",
+    "",
+    "Rules:",
+    "- Output ONLY the JSON required by the response schema.",
+    "- Use SQLite syntax.",
+    "- Only SELECT (WITH allowed). No mutations, no PRAGMA, no ATTACH, no multiple statements.",
+    "- The `sql` field must contain ONLY SQL (no comments like `-- ...` or `/* ... */`, no explanations).",
+    ...ambiguity,
+    "- Prefer joining by IDs and using explicit table aliases.",
+    "- Do NOT use SQL keywords as aliases (e.g., do not alias a table as `in`, `on`, `from`, `where`, `select`).",
+    "- Use LIMIT when returning many rows (if unsure, LIMIT 50).",
+    "- Datetime ranges in the catalog show what data exists; relative dates (\"last week\") are relative to now.",
+    ...views,
+    ...notes,
+    "",
+    `Schema catalog (generated from ${schemaSource} and the live data):`,
+    schema
+  ].join("\n");
+}
+
+// links: the question's resolved mentions (see lib/entities.js).
+export function entityLinksPrompt(links) {
+  const lines = links.map((l) => {
+    const type = l.item_type ? ` (${l.item_type})` : "";
+    return `- "${l.mention}" -> ${l.column} = '${l.value.replace(/'/g, "''")}'${type} [${l.match}]`;
+  });
+  return [
+    "Entity linking resolved these mentions in the question to exact database values.",
+    "Use the canonical values with exact equality (or IN for several) instead of the user's spelling:",
+    ...lines
+  ].join("\n");
+}
+
+// The user's answer to a clarification the model asked for on the same question.
+export function clarificationAnswerPrompt({ question, answer }) {
+  return [
+    `Before writing SQL you asked the user: ${question}`,
+    `The user answered: ${answer}`,
+    "Write the SQL for the question with that interpretation."
+  ].join("\n");
+}
+
+export function normalizeSqlForSQLite(rawSql) {
+  let sql = String(rawSql || "");
+
+  // Strip comments if the model included them inside the SQL field.
+  // (We already capture assumptions separately; comments just cause guard rejections.)
+  sql = sql.replace(/--.*$/gm, "");
+  sql = sql.replace(/\/\*[\s\S]*?\*\//g, "");
+
+  // Fix a common model mistake: reserved keyword alias `in`.
+  // Handles: "item_nutrients in" and "item_nutrients AS in"
+  sql = sql.replace(/\bitem_nutrients\b\s+(as\s+)?in\b/gi, "item_nutrients inut");
+  sql = sql.replace(/\bin\./g, "inut.");
+
+  return sql.trim();
+}
+
+// examples: the data source's fixed few_shot examples for the "few" strategy, or the ones the
+// "retrieval" strategy picked from its example library.
+export function sqlFewShotExamples(examples) {
+  return examples.flatMap((ex) => [
+    { role: "user", content: ex.q },
+    { role: "assistant", content: JSON.stringify({ sql: ex.sql }) }
+  ]);
+}
+
+export const responseFormatSql = {
+  type: "json_schema",
+  json_schema: {
+    name: "sql_generation",
+    strict: true,
+    schema: {
+      type: "object",
+      properties: {
+        sql: { type: "string" },
+        assumptions: { type: "array", items: { type: "string" } },
+        clarification: {
+          anyOf: [
+            { type: "null" },
+            {
+              type: "object",
+              properties: {
+                question: { type: "string" },
+                options: { type: "array", items: { type: "string" } }
+              },
+              required: ["question", "options"],
+              additionalProperties: false
+            }
+          ]
+        }
+      },
+      required: ["sql", "assumptions", "clarification"],
+      additionalProperties: false
+    }
+  }
+};
+
+export const responseFormatAnswer = {
+  type: "json_schema",
+  json_schema: {
+    name: "nl_answer",
+    strict: true,
+    schema: {
+      type: "object",
+      properties: {
+        answer: { type: "string" },
+        caveats: { type: "array", items: { type: "string" } },
+        chart: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["bar", "line", "pie", "scatter", "none"] },
+            x: { type: "string" },
+            y: { type: "array", items: { type: "string" } }
+          },
+          required: ["type", "x", "y"],
+          additionalProperties: false
+        }
+      },
+      required: ["answer", "caveats", "chart"],
+      additionalProperties: false
+    }
+  }
+};
+
+export function repairPrompt({ previousSql, execError }) {
+  return (
+    `The previous SQL failed to execute in SQLite.\n\n` +
+    `Previous SQL:\n${previousSql}\n\n` +
+    `SQLite error:\n${execError}\n\n` +
+    `Please return a corrected SQL query for the same question. ` +
+    `Remember: avoid SQL keyword aliases (do not use alias 'in') and use names and values exactly as they ` +
+    `appear in the schema catalog.`
+  );
+}
+
+// diagnosis: why an empty result is empty (see lib/diagnose.js), if it was diagnosed.
+export function answerSystemPrompt({ question, sql, rows, diagnosis = null }) {
+  const rowsPreview = rows.slice(0, 50);
+  return [
+    "You are a helpful assistant that answers questions using database query results.",
+    "Answer in English.",
+    "",
+    "If the result rows are empty, say that there was no data matching the query.",
+    ...(diagnosis
+      ? [
+          `A check of the data found why: ${diagnosis.message} Explain this briefly in the answer.`,
+          ...(diagnosis.relaxed_sql
+            ? [`Mention that a relaxed version of the query returns ${diagnosis.relaxed_row_count} row(s).`]
+            : [])
+        ]
+      : []),
+    "Do not mention that you are an AI model. Do not fabricate data not present in the rows.",
+    "",
+    "Also suggest a chart in `chart` using column names from the rows: x is the category/time column,",
+    "y the numeric column(s). Use line for time series, bar to compare categories, pie for parts of a whole",
+    "(few rows), scatter for two numeric measures. Use type 'none' (x '' and y []) if a chart would not help.",
+    "",
+    `User question: ${question}`,
+    "",
+    "SQL used:",
+    sql,
+    "",
+    `Row count: ${rows.length}`,
+    "Rows (JSON preview):",
+    truncateJsonForPrompt(rowsPreview, 8000)
+  ].join("\n");
+}
+
+// Prior turns of a conversation, so follow-ups like "now only the ones with a brand" can
+// build on the previous SQL. Only the most recent turns are included to bound prompt size.
+export function conversationContextPrompt(turns, maxTurns = 5) {
+  const recent = turns.slice(-maxTurns);
+  return [
+    "This question is a follow-up in an ongoing conversation. Previous turns (oldest first):",
+    "",
+    ...recent.flatMap((t, i) => [
+      `Turn ${i + 1} question: ${t.question}`,
+      "SQL:",
+      t.sql,
+      `Result: ${t.row_count} row(s); columns: ${t.columns.join(", ") || "(none)"}`,
+      `Sample rows (JSON): ${truncateJsonForPrompt(t.sample_rows, 1500)}`,
+      ""
+    ]),
+    "If the new question refers to earlier results (e.g. 'those', 'them', 'what about X?', 'now only ...'),",
+    "rewrite or extend the most relevant previous SQL instead of starting from scratch.",
+    "If it is unrelated, ignore the previous turns."
+  ].join("\n");
+}
+
+// Write mode: a single parameterized INSERT/UPDATE. `reference` lists the ids the model needs to
+// resolve names ("Veggie Omelet", "my last meal") without querying.
+export function writeSystemPrompt({ schemaSql, tables, insertOnly = [], now, reference }) {
+  return [
+    "You turn a user's request to record or change data into ONE parameterized SQLite statement.",
+    "",
+    "Rules:",
+    "- Output ONLY the JSON required by the response schema.",
+    `- Allowed: INSERT INTO <table> (...) VALUES (...) with one row, or UPDATE <table> SET ... WHERE <primary key> = ?, on these tables only: ${tables.join(", ")}.`,
+    "- Use ? placeholders for every value and put the values, in order, in `params`.",
+    "- No subqueries, functions, expressions, comments or multiple statements. Never set primary key or user_id columns.",
+    ...(insertOnly.length
+      ? [`- ${insertOnly.join(", ")}: INSERT only. Existing rows are shared by every user and can't be changed.`]
+      : []),
+    "- Look up ids in the reference data below; never guess an id that isn't listed.",
+    "- Datetimes are local time formatted 'YYYY-MM-DDTHH:MM:SS'. Breakfast = 08:00, lunch = 12:30, dinner = 19:00 unless stated.",
+    "- Supplements taken go in supplement_logs; recipes eaten go in meal_logs; new supplements or ingredients go in items.",
+    "- If the request is not a supported write (or is a question), set intent to 'unsupported', sql to '' and explain in summary.",
+    "- `summary` is one sentence describing the change in plain English.",
+    "",
+    `Current local datetime: ${now}`,
+    "",
+    "Reference data (JSON):",
+    truncateJsonForPrompt(reference, 8000),
+    "",
+    "SQLite schema (DDL):",
+    schemaSql
+  ].join("\n");
+}
+
+export const responseFormatWrite = {
+  type: "json_schema",
+  json_schema: {
+    name: "write_plan",
+    strict: true,
+    schema: {
+      type: "object",
+      properties: {
+        intent: { type: "string", enum: ["insert", "update", "unsupported"] },
+        sql: { type: "string" },
+        params: { type: "array", items: { type: ["string", "number", "null"] } },
+        summary: { type: "string" },
+        assumptions: { type: "array", items: { type: "string" } }
+      },
+      required: ["intent", "sql", "params", "summary", "assumptions"],
+      additionalProperties: false
+    }
+  }
+};
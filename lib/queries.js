@@ -0,0 +1,109 @@
+import crypto from "node:crypto";
+
+// Queries that /api/ask has answered, addressable by an opaque query_id. Clients refer to a
+// result by id (exports, later pages) and never send SQL back to the server. The executed rows
+// are cached with the query so pages and sort orders are served without re-running it.
+// Entries expire after QUERY_TTL_MS and the oldest are evicted beyond MAX_QUERIES. A query belongs
+// to the user who asked it; for anyone else it doesn't exist.
+
+const QUERY_TTL_MS = 60 * 60 * 1000;
+const MAX_QUERIES = 1000;
+const MAX_PAGE_SIZE = 200;
+
+function compareValues(a, b) {
+  // NULLs last, numbers before text, text case-insensitively.
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  if (typeof a === "number") return -1;
+  if (typeof b === "number") return 1;
+  return String(a).localeCompare(String(b), undefined, { sensitivity: "base", numeric: true });
+}
+
+// sort is "col", "-col" (descending) or a comma-separated list of those.
+// Returns { ok: true, page } or { ok: false, error } for invalid parameters.
+export function pageResult({ columns, rows }, { offset = 0, limit = 20, sort = "" } = {}) {
+  offset = Number(offset);
+  limit = Number(limit);
+  if (!Number.isInteger(offset) || offset < 0) return { ok: false, error: "offset must be a non-negative integer." };
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { ok: false, error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` };
+  }
+
+  const keys = [];
+  for (const part of String(sort || "").split(",").map((p) => p.trim()).filter(Boolean)) {
+    const desc = part.startsWith("-");
+    const column = desc ? part.slice(1) : part;
+    if (!columns.includes(column)) return { ok: false, error: `Unknown sort column "${column}".` };
+    keys.push({ column, desc });
+  }
+
+  const sorted = keys.length
+    ? [...rows].sort((a, b) => {
+        for (const { column, desc } of keys) {
+          const c = compareValues(a[column], b[column]);
+          if (c !== 0) return desc ? -c : c;
+        }
+        return 0;
+      })
+    : rows;
+
+  return {
+    ok: true,
+    page: {
+      columns,
+      row_count: rows.length,
+      offset,
+      limit,
+      sort: keys.map((k) => (k.desc ? `-${k.column}` : k.column)).join(","),
+      rows: sorted.slice(offset, offset + limit)
+    }
+  };
+}
+
+export function createQueryRegistry({ ttlMs = QUERY_TTL_MS, maxQueries = MAX_QUERIES } = {}) {
+  // id -> { id, datasource, user_id, question, sql, relaxed_sql, columns, rows, created_at, touched }
+  const queries = new Map();
+
+  function prune() {
+    const now = Date.now();
+    for (const [id, q] of queries) {
+      if (now - q.touched > ttlMs) queries.delete(id);
+    }
+    while (queries.size > maxQueries) queries.delete(queries.keys().next().value);
+  }
+
+  return {
+    // sql is the model's SQL as returned to the client (before the guard's default LIMIT), so
+    // callers can re-guard it with whatever row cap they need. relaxedSql is the query an
+    // empty-result diagnosis proposed, if any. datasource is the id of the data source it ran on.
+    register({ datasource, userId, question, sql, columns, rows, relaxedSql = null }) {
+      prune();
+      const id = crypto.randomUUID();
+      queries.set(id, {
+        id,
+        datasource,
+        user_id: userId,
+        question,
+        sql,
+        relaxed_sql: relaxedSql,
+        columns,
+        rows,
+        created_at: new Date().toISOString(),
+        touched: Date.now()
+      });
+      return id;
+    },
+
+    get(id, userId) {
+      prune();
+      const query = queries.get(String(id || ""));
+      if (!query || query.user_id !== userId) return null;
+      query.touched = Date.now();
+      queries.delete(query.id);
+      queries.set(query.id, query);
+      return query;
+    }
+  };
+}
@@ -0,0 +1,147 @@
+import { isKeyword, isName, tokenize } from "./sqlGuard.js";
+
+// Cost check for generated SQL, before it runs. EXPLAIN QUERY PLAN (through the query executor)
+// lists SQLite's nested loops; with the table row counts from the schema catalog each loop gets a
+// rough estimate of the rows it reads:
+//   SCAN t                          every row of t, once per row of the loops around it
+//   SEARCH t ... (rowid=?)          one row per outer row (primary key lookup)
+//   SEARCH t USING ... INDEX (...)  a tenth of t per outer row (a guess; there are no index stats)
+// A full SCAN nested inside another loop is how a cross join (or a join on a condition no index
+// can serve) shows up, and its rows multiply. checkQueryPlan() returns
+//   { plan, sql, reason }
+// where plan is { steps: [{ id, parent, detail, estimated_rows? }], estimated_rows, findings, action,
+// caveat?, limit? } and action is one of
+//   "ok"         cheap enough;
+//   "caveat"     over warnRows, or over maxRows with a LIMIT of the model's own that ends the scan
+//                early: runs, and plan.caveat explains why it may be slow;
+//   "rewritten"  over maxRows, can stop early (no sort, grouping or aggregate over the rows) and
+//                the model wrote no LIMIT: runs with LIMIT TIGHT_LIMIT instead of the guard's default;
+//   "rejected"   over maxRows and every row has to be read: sql is null and reason says why.
+
+const DEFAULT_WARN_ROWS = 1000000;
+const DEFAULT_MAX_ROWS = 10000000;
+const SEARCH_FRACTION = 0.1;
+const TIGHT_LIMIT = 50;
+const PLAN_TIMEOUT_MS = 2000;
+const AGGREGATES = new Set(["COUNT", "SUM", "AVG", "MIN", "MAX", "TOTAL", "GROUP_CONCAT"]);
+
+const formatCount = (n) => Math.round(n).toLocaleString("en-US");
+
+// Whether the query has a top-level LIMIT of its own, and whether it aggregates anywhere.
+function sqlShape(sql) {
+  const tokens = tokenize(sql).filter((t) => t.type !== "comment");
+  let depth = 0;
+  let hasLimit = false;
+  let aggregates = false;
+  tokens.forEach((t, i) => {
+    if (t.type === "punct" && t.value === "(") depth += 1;
+    else if (t.type === "punct" && t.value === ")") depth -= 1;
+    else if (depth === 0 && isKeyword(t, "LIMIT")) hasLimit = true;
+    else if (t.type === "word" && AGGREGATES.has(t.upper) && tokens[i + 1]?.value === "(") aggregates = true;
+  });
+  return { hasLimit, aggregates };
+}
+
+// The plan names tables by alias when there is one ("SCAN i"), so map aliases to row counts too.
+function sourceRowCounts(sql, rowCounts) {
+  const counts = new Map(rowCounts);
+  const tokens = tokenize(sql).filter((t) => t.type !== "comment");
+  tokens.forEach((t, i) => {
+    const table = t.value.toLowerCase();
+    if (!isName(t) || !rowCounts.has(table)) return;
+    const alias = isKeyword(tokens[i + 1], "AS") ? tokens[i + 2] : tokens[i + 1];
+    if (isName(alias)) counts.set(alias.value.toLowerCase(), rowCounts.get(table));
+  });
+  return counts;
+}
+
+function estimatePlan(steps, counts, warnRows) {
+  const children = new Map();
+  for (const step of steps) {
+    if (!children.has(step.parent)) children.set(step.parent, []);
+    children.get(step.parent).push(step);
+  }
+  const findings = [];
+  let total = 0;
+
+  // Walks one query level; outer is how many times it runs (rows of the loops around a correlated
+  // subquery). Returns the rows it produces, which later scans of a CO-ROUTINE / MATERIALIZE use.
+  function walk(parent, outer) {
+    let rows = outer;
+    const loops = [];
+    for (const step of children.get(parent) || []) {
+      const loop = /^(SCAN|SEARCH) (\S+)/.exec(step.detail);
+      if (!loop) {
+        const produced = walk(step.id, /^CORRELATED/.test(step.detail) ? rows : 1);
+        const subquery = /^(?:CO-ROUTINE|MATERIALIZE) (\S+)/.exec(step.detail);
+        if (subquery) counts.set(subquery[1].toLowerCase(), produced);
+        continue;
+      }
+      const name = loop[2].toLowerCase();
+      const tableRows = counts.get(name) ?? 1;
+      let factor = tableRows;
+      if (loop[1] === "SEARCH") {
+        factor = /\(rowid=\?\)/.test(step.detail) ? 1 : Math.max(1, Math.ceil(tableRows * SEARCH_FRACTION));
+      }
+      const outerRows = rows;
+      rows *= factor;
+      step.estimated_rows = Math.round(rows);
+      total += rows;
+      if (loop[1] === "SCAN" && loops.length > 0 && rows >= warnRows) {
+        findings.push({
+          kind: "nested_scan",
+          message:
+            `Full scan of ${name} (${formatCount(tableRows)} rows) for each of ~${formatCount(outerRows)} rows ` +
+            `of ${loops.join(", ")}: about ${formatCount(rows)} row combinations.`
+        });
+      }
+      loops.push(name);
+    }
+    return rows / outer;
+  }
+
+  walk(0, 1);
+  return { estimated: Math.round(total), findings };
+}
+
+export async function checkQueryPlan({
+  executor,
+  sql,
+  guardedSql,
+  rowCounts,
+  warnRows = DEFAULT_WARN_ROWS,
+  maxRows = DEFAULT_MAX_ROWS,
+  signal = null
+}) {
+  const explained = await executor.run(`EXPLAIN QUERY PLAN ${guardedSql}`, { signal, timeoutMs: PLAN_TIMEOUT_MS });
+  const steps = explained.rows.map((r) => ({ id: r.id, parent: r.parent, detail: r.detail }));
+  const { estimated, findings } = estimatePlan(steps, sourceRowCounts(sql, rowCounts), warnRows);
+  const plan = { steps, estimated_rows: estimated, findings, action: "ok" };
+  if (estimated < warnRows) return { plan, sql: guardedSql, reason: null };
+
+  const { hasLimit, aggregates } = sqlShape(sql);
+  const canStopEarly = !aggregates && !steps.some((s) => /TEMP B-TREE/.test(s.detail));
+  const why = findings.length ? ` ${findings.map((f) => f.message).join(" ")}` : "";
+  if (estimated < maxRows || (canStopEarly && hasLimit)) {
+    plan.action = "caveat";
+    plan.caveat = `This query reads up to about ${formatCount(estimated)} rows, so it may be slow.${why}`;
+    return { plan, sql: guardedSql, reason: null };
+  }
+  if (canStopEarly) {
+    // The guard appended "LIMIT <default>"; fetch fewer rows so the scan ends sooner.
+    plan.action = "rewritten";
+    plan.limit = TIGHT_LIMIT;
+    plan.caveat =
+      `This query could read about ${formatCount(estimated)} rows, so only the first ${TIGHT_LIMIT} ` +
+      `rows were fetched.${why}`;
+    return { plan, sql: guardedSql.replace(/\s+LIMIT\s+\d+$/i, ` LIMIT ${TIGHT_LIMIT}`), reason: null };
+  }
+  plan.action = "rejected";
+  return {
+    plan,
+    sql: null,
+    reason:
+      `Query plan is too expensive: it would read about ${formatCount(estimated)} rows ` +
+      `(the limit is ${formatCount(maxRows)}).${why} Join every table on a key and filter early.`
+  };
+}
@@ -0,0 +1,68 @@
+import { parentPort } from "node:worker_threads";
+import { loadSqlJs } from "./db.js";
+
+// Worker side of lib/executor.js: holds a read-only copy of the database and runs one query at a
+// time. Messages in:
+//   { type: "load", bytes }                              replace the copy with a new snapshot
+//   { type: "run", id, sql, maxRows, maxBytes }
+// Messages out: { id, ok: true, columns, values } or { id, ok: false, error, code }.
+
+const SQL = await loadSqlJs();
+let db = null;
+
+class LimitError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// Rough size of a row once serialized, for the output cap.
+function rowBytes(row) {
+  let bytes = 0;
+  for (const v of row) {
+    if (typeof v === "string") bytes += v.length;
+    else if (v instanceof Uint8Array) bytes += v.byteLength;
+    else bytes += 8;
+  }
+  return bytes;
+}
+
+function run({ sql, maxRows, maxBytes }) {
+  const stmt = db.prepare(sql);
+  try {
+    const columns = stmt.getColumnNames();
+    const values = [];
+    let bytes = 0;
+    while (stmt.step()) {
+      if (values.length >= maxRows) throw new LimitError(`Query returned more than ${maxRows} rows.`, "row_limit");
+      const row = stmt.get();
+      bytes += rowBytes(row);
+      if (bytes > maxBytes) {
+        throw new LimitError(`Query result is larger than ${formatSize(maxBytes)}.`, "output_limit");
+      }
+      values.push(row);
+    }
+    return { columns, values };
+  } finally {
+    stmt.free();
+  }
+}
+
+parentPort.on("message", (msg) => {
+  if (msg.type === "load") {
+    if (db) db.close();
+    db = new SQL.Database(msg.bytes);
+    db.run("PRAGMA query_only = ON;");
+    return;
+  }
+  try {
+    parentPort.postMessage({ id: msg.id, ok: true, ...run(msg) });
+  } catch (err) {
+    parentPort.postMessage({ id: msg.id, ok: false, error: err?.message || String(err), code: err?.code || "sqlite" });
+  }
+});
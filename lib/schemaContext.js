@@ -0,0 +1,261 @@
+import { queryAll, queryOne } from "./db.js";
+
+// Semantic schema catalog for the SQL prompt, generated instead of pasting raw DDL:
+//   - table/column descriptions come from the "--" comments in db/schema.sql (the comment lines
+//     right above CREATE TABLE, or a trailing comment on the CREATE TABLE line, and trailing
+//     comments on column lines);
+//   - types, keys and foreign keys come from PRAGMA table_info / foreign_key_list;
+//   - value hints come from the live data: every value of low-cardinality text columns,
+//     evenly spread example names, numeric and datetime ranges, and the full contents of small
+//     lookup tables (e.g. every nutrients.name with its unit).
+// Per-user tables (user_tables) get no row count or value hints: those would describe every
+// account's rows, and the prompt and GET /api/schema are seen by all of them.
+// Only tables in the SQL guard's allow-list are described, followed by the guard's catalog views
+// (the trusted building blocks from lib/nutrition.js) with their column descriptions. The catalog is built lazily and
+// rebuilt after refresh(), so data changes show up in the next prompt.
+
+const MAX_ENUM_VALUES = 12;
+const SAMPLE_VALUES = 8;
+const MAX_GROUPS = 4;
+const LOOKUP_MAX_ROWS = 40;
+const MAX_SAMPLE_LENGTH = 60;
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2})?)?$/;
+
+export function parseSchemaComments(schemaSql) {
+  const tables = {};
+  let pending = [];
+  let current = null;
+  for (const line of String(schemaSql || "").split("\n")) {
+    const trimmed = line.trim();
+    const create = /^CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?["`]?(\w+)/i.exec(trimmed);
+    if (create) {
+      const name = create[1].toLowerCase();
+      const trailing = /--\s*(.+)$/.exec(trimmed)?.[1].trim() || "";
+      const description = pending.join(" ").replace(new RegExp(`^${name}\\s*=\\s*`, "i"), "") || trailing;
+      current = { description, columns: {} };
+      tables[name] = current;
+      pending = [];
+    } else if (current) {
+      if (/^\)\s*;?/.test(trimmed)) current = null;
+      const column = /^["`]?(\w+)["`]?\s.*?--\s*(.+)$/.exec(trimmed);
+      if (current && column) current.columns[column[1].toLowerCase()] = column[2].trim();
+    } else if (trimmed.startsWith("--")) {
+      pending.push(trimmed.replace(/^--\s*/, ""));
+    } else if (trimmed) {
+      pending = [];
+    }
+  }
+  return tables;
+}
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function formatValue(v) {
+  if (typeof v === "number") return Number.isInteger(v) ? String(v) : String(Number(v.toFixed(2)));
+  return `'${String(v).replace(/'/g, "''")}'`;
+}
+
+// Up to n values spread evenly across the sorted list, so samples aren't all from "A".
+function spread(values, n = SAMPLE_VALUES) {
+  if (values.length <= n) return values;
+  return Array.from({ length: n }, (_, i) => values[Math.floor((i * values.length) / n)]);
+}
+
+function profileColumn(db, table, column, enumColumn) {
+  const t = quoteIdent(table);
+  const c = quoteIdent(column.name);
+  const stats = queryOne(
+    db,
+    `SELECT COUNT(*) AS total, COUNT(${c}) AS non_null, COUNT(DISTINCT ${c}) AS distinct_values,
+            MIN(${c}) AS min, MAX(${c}) AS max, MAX(LENGTH(${c})) AS max_length
+     FROM ${t}`
+  );
+  const profile = { nulls: stats.total - stats.non_null, distinct: stats.distinct_values };
+  if (stats.non_null === 0) return profile;
+
+  const type = column.type.toUpperCase();
+  if (/INT|REAL|NUM|FLOA|DOUB/.test(type)) {
+    profile.range = [stats.min, stats.max];
+    return profile;
+  }
+  if (typeof stats.min === "string" && DATETIME_RE.test(stats.min) && DATETIME_RE.test(stats.max)) {
+    profile.range = [stats.min, stats.max];
+    return profile;
+  }
+  if (stats.max_length > MAX_SAMPLE_LENGTH) {
+    profile.free_text = true; // e.g. instructions
+    return profile;
+  }
+  if (stats.distinct_values <= MAX_ENUM_VALUES) {
+    profile.values = queryAll(
+      db,
+      `SELECT ${c} AS value, COUNT(*) AS n FROM ${t} WHERE ${c} IS NOT NULL GROUP BY ${c} ORDER BY n DESC, ${c}`
+    ).map((r) => ({ value: r.value, count: r.n }));
+    return profile;
+  }
+
+  if (enumColumn) {
+    // e.g. example item names per item_type
+    const g = quoteIdent(enumColumn);
+    const groups = queryAll(db, `SELECT DISTINCT ${g} AS g FROM ${t} ORDER BY g`).map((r) => r.g);
+    const perGroup = Math.ceil(SAMPLE_VALUES / Math.min(groups.length, 2));
+    profile.examples_by = enumColumn;
+    profile.examples = Object.fromEntries(
+      groups.map((group) => {
+        const values = queryAll(
+          db,
+          `SELECT DISTINCT ${c} AS v FROM ${t} WHERE ${g} IS ? AND ${c} IS NOT NULL ORDER BY v`,
+          [group]
+        ).map((r) => r.v);
+        return [group, spread(values, perGroup)];
+      })
+    );
+  } else {
+    profile.examples = spread(
+      queryAll(db, `SELECT DISTINCT ${c} AS v FROM ${t} WHERE ${c} IS NOT NULL ORDER BY v`).map((r) => r.v)
+    );
+  }
+  return profile;
+}
+
+export function buildSchemaContext({ db, schemaSql, schemaCatalog }) {
+  const comments = parseSchemaComments(schemaSql);
+  const tables = [];
+  for (const name of schemaCatalog.tables.keys()) {
+    const info = queryAll(db, `PRAGMA table_info(${quoteIdent(name)})`);
+    if (info.length === 0) continue;
+    const foreignKeys = queryAll(db, `PRAGMA foreign_key_list(${quoteIdent(name)})`);
+    const perUser = Boolean(schemaCatalog.userTables?.has(name));
+    const rowCount = perUser ? null : queryOne(db, `SELECT COUNT(*) AS n FROM ${quoteIdent(name)}`).n;
+    const described = comments[name] || { description: "", columns: {} };
+
+    const columns = info.map((col) => {
+      const fk = foreignKeys.find((f) => f.from === col.name);
+      return {
+        name: col.name,
+        type: col.type,
+        not_null: col.notnull === 1 || col.pk > 0,
+        primary_key: col.pk > 0,
+        references: fk ? `${fk.table}.${fk.to}` : null,
+        description: described.columns[col.name.toLowerCase()] || ""
+      };
+    });
+
+    // Keys only identify rows; profile the rest.
+    const profiled = perUser ? [] : columns.filter((c) => !c.primary_key && !c.references);
+    const profiles = {};
+    for (const col of profiled) profiles[col.name] = profileColumn(db, name, col, null);
+    const enumColumn = profiled.find((c) => {
+      const values = profiles[c.name].values;
+      return values && values.length > 1 && values.length <= MAX_GROUPS;
+    })?.name;
+    for (const col of profiled) {
+      if (enumColumn && col.name !== enumColumn && profiles[col.name].examples) {
+        profiles[col.name] = profileColumn(db, name, col, enumColumn);
+      }
+      col.profile = profiles[col.name];
+    }
+
+    const primaryKey = info.filter((c) => c.pk > 0).sort((a, b) => a.pk - b.pk).map((c) => c.name);
+    const table = {
+      name,
+      description: described.description,
+      row_count: rowCount,
+      per_user: perUser,
+      primary_key: primaryKey,
+      columns
+    };
+    // Small lookup tables (nutrients, recipes) are listed in full instead of per-column hints.
+    const listed = profiled.filter((c) => !c.profile.free_text);
+    if (foreignKeys.length === 0 && rowCount > 0 && rowCount <= LOOKUP_MAX_ROWS && listed.length <= 3) {
+      table.all_rows = queryAll(
+        db,
+        `SELECT ${listed.map((c) => quoteIdent(c.name)).join(", ")} FROM ${quoteIdent(name)} ORDER BY 1`
+      );
+      for (const col of listed) delete col.profile.values;
+    }
+    tables.push(table);
+  }
+  const views = [...(schemaCatalog.views || [])].map(([name, view]) => ({
+    name,
+    description: view.description,
+    columns: [...view.columns].map((c) => ({ name: c, description: view.descriptions[c] || "" }))
+  }));
+  return { generated_at: new Date().toISOString(), tables, views };
+}
+
+function renderColumn(col, table) {
+  const parts = [`${col.name} ${col.type || "ANY"}`];
+  if (col.primary_key && table.primary_key.length === 1) parts.push("PRIMARY KEY");
+  else if (col.not_null) parts.push("NOT NULL");
+  if (col.references) parts.push(`-> ${col.references}`);
+  let line = `  - ${parts.join(" ")}`;
+  if (col.description) line += ` -- ${col.description}`;
+
+  const p = col.profile;
+  if (!p) return line;
+  const hints = [];
+  if (p.values) {
+    const unique = p.values.every((v) => v.count === 1);
+    hints.push(`values: ${p.values.map((v) => formatValue(v.value) + (unique ? "" : ` (${v.count})`)).join(", ")}`);
+  }
+  if (p.range) hints.push(`range: ${formatValue(p.range[0])} .. ${formatValue(p.range[1])}`);
+  if (p.examples && p.examples_by) {
+    const groups = Object.entries(p.examples).map(
+      ([g, values]) => `${p.examples_by}=${g}: ${values.map(formatValue).join(", ")}`
+    );
+    hints.push(`e.g. ${groups.join("; ")}`);
+  } else if (p.examples) {
+    hints.push(`e.g. ${p.examples.map(formatValue).join(", ")}`);
+  }
+  if (p.nulls > 0) hints.push(`${p.nulls} NULL`);
+  return hints.length ? `${line}\n      [${hints.join("; ")}]` : line;
+}
+
+export function renderSchemaContext(context) {
+  const lines = [];
+  for (const table of context.tables) {
+    const size = table.per_user ? "the signed-in user's rows" : `${table.row_count} rows`;
+    lines.push(`TABLE ${table.name} (${size})${table.description ? ` -- ${table.description}` : ""}`);
+    for (const col of table.columns) lines.push(renderColumn(col, table));
+    if (table.primary_key.length > 1) lines.push(`  PRIMARY KEY (${table.primary_key.join(", ")})`);
+    if (table.all_rows) {
+      const rows = table.all_rows.map((r) => {
+        const [first, ...rest] = Object.entries(r);
+        const extra = rest.map(([k, v]) => `${k}=${v === null ? "NULL" : v}`).join(", ");
+        return extra ? `${formatValue(first[1])} (${extra})` : formatValue(first[1]);
+      });
+      lines.push(`  all rows: ${rows.join(", ")}`);
+    }
+    lines.push("");
+  }
+  for (const view of context.views || []) {
+    lines.push(`VIEW ${view.name} (trusted building block)${view.description ? ` -- ${view.description}` : ""}`);
+    for (const col of view.columns) lines.push(`  - ${col.name}${col.description ? ` -- ${col.description}` : ""}`);
+    lines.push("");
+  }
+  return lines.join("\n").trim();
+}
+
+// prompt() returns the rendered catalog for sqlSystemPrompt(); catalog() the structured form.
+// refresh() rebuilds it on next use; pass the new schemaSql when the DDL itself changed.
+export function createSchemaContext({ db, schemaSql, schemaCatalog }) {
+  let cached = null;
+  function catalog() {
+    if (!cached) {
+      const context = buildSchemaContext({ db, schemaSql, schemaCatalog });
+      cached = { context, text: renderSchemaContext(context) };
+    }
+    return cached;
+  }
+  return {
+    catalog: () => catalog().context,
+    prompt: () => catalog().text,
+    refresh({ schemaSql: nextSchemaSql } = {}) {
+      if (nextSchemaSql !== undefined) schemaSql = nextSchemaSql;
+      cached = null;
+    }
+  };
+}
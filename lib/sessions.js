@@ -0,0 +1,90 @@
+import crypto from "node:crypto";
+
+// In-memory conversation sessions for multi-turn follow-ups ("now only the ones with a brand").
+// Each session keeps the previous turns' question, SQL and a small result summary. Sessions
+// expire after SESSION_TTL_MS of inactivity and the oldest are evicted beyond MAX_SESSIONS.
+// A session belongs to the user who started it; for anyone else it doesn't exist.
+
+const SESSION_TTL_MS = 60 * 60 * 1000;
+const MAX_SESSIONS = 500;
+const MAX_TURNS = 20;
+const SAMPLE_ROWS = 5;
+
+export function createSessionStore({ ttlMs = SESSION_TTL_MS, maxSessions = MAX_SESSIONS } = {}) {
+  const sessions = new Map(); // id -> { id, datasource, user_id, created_at, updated_at, turns }
+
+  function prune() {
+    const now = Date.now();
+    for (const [id, s] of sessions) {
+      if (now - s.touched > ttlMs) sessions.delete(id);
+    }
+    // Map iteration order is insertion order, and get() re-inserts, so the first entry is the stalest.
+    while (sessions.size > maxSessions) sessions.delete(sessions.keys().next().value);
+  }
+
+  function touch(session) {
+    session.touched = Date.now();
+    sessions.delete(session.id);
+    sessions.set(session.id, session);
+  }
+
+  return {
+    // A conversation stays on the data source it started on.
+    create({ datasource = null, userId }) {
+      prune();
+      const now = new Date().toISOString();
+      const session = {
+        id: crypto.randomUUID(),
+        datasource,
+        user_id: userId,
+        created_at: now,
+        updated_at: now,
+        turns: [],
+        touched: Date.now()
+      };
+      sessions.set(session.id, session);
+      return session;
+    },
+
+    get(id, userId) {
+      prune();
+      const session = sessions.get(String(id || ""));
+      if (!session || session.user_id !== userId) return null;
+      touch(session);
+      return session;
+    },
+
+    delete(id, userId) {
+      const session = sessions.get(String(id || ""));
+      return session?.user_id === userId && sessions.delete(session.id);
+    },
+
+    // Record a successful turn. Only a few sample rows are kept; that's enough for the model to
+    // know what "those"/"them" refers to without resending whole result sets.
+    appendTurn(session, { question, sql, assumptions, columns, rows, answer }) {
+      session.turns.push({
+        question,
+        sql,
+        assumptions: assumptions || [],
+        columns: columns || [],
+        row_count: rows ? rows.length : 0,
+        sample_rows: (rows || []).slice(0, SAMPLE_ROWS),
+        answer: answer || null,
+        at: new Date().toISOString()
+      });
+      if (session.turns.length > MAX_TURNS) session.turns.splice(0, session.turns.length - MAX_TURNS);
+      session.updated_at = new Date().toISOString();
+      touch(session);
+    }
+  };
+}
+
+export function publicSession(session) {
+  return {
+    conversation_id: session.id,
+    datasource: session.datasource,
+    created_at: session.created_at,
+    updated_at: session.updated_at,
+    turns: session.turns
+  };
+}
@@ -0,0 +1,919 @@
+// Structural read-only guard for model-generated SQLite.
+//
+// The SQL is tokenized (so string literals, quoted identifiers and comments are understood),
+// parsed into a small SELECT-only AST (CTEs, compound selects, joins, subqueries), and then
+// name-resolved against an allow-list of tables/columns built from db/schema.sql.
+// The catalog can also carry views: trusted SELECTs (e.g. the nutrition building blocks in
+// lib/nutrition.js) that queries may read like tables. They aren't created in the database; the
+// ones a query uses are prepended to it as CTEs.
+// Tables in catalog.userTables hold rows of every user account (a user_id column). A query that
+// reads one, directly or through a view, only runs for a user: each of them is prepended as a CTE
+// of the same name that keeps that user's rows, so the model can't see or ask for anyone else's.
+// Anything that isn't a single read-only statement fails to parse, and every rejection
+// carries the offset/line/column of the offending token.
+// The tokenizer is shared with the separate write-mode guard in writeGuard.js.
+
+const DEFAULT_LIMIT = 200;
+
+// userId for trusted callers (the eval, admin review) that read every user's rows.
+export const ALL_USERS = Symbol("all users");
+
+// Full SQLite keyword list (https://www.sqlite.org/lang_keywords.html).
+const KEYWORDS = new Set(
+  (
+    "ABORT ACTION ADD AFTER ALL ALTER ALWAYS ANALYZE AND AS ASC ATTACH AUTOINCREMENT BEFORE BEGIN " +
+    "BETWEEN BY CASCADE CASE CAST CHECK COLLATE COLUMN COMMIT CONFLICT CONSTRAINT CREATE CROSS " +
+    "CURRENT CURRENT_DATE CURRENT_TIME CURRENT_TIMESTAMP DATABASE DEFAULT DEFERRABLE DEFERRED DELETE " +
+    "DESC DETACH DISTINCT DO DROP EACH ELSE END ESCAPE EXCEPT EXCLUDE EXCLUSIVE EXISTS EXPLAIN FAIL " +
+    "FILTER FIRST FOLLOWING FOR FOREIGN FROM FULL GENERATED GLOB GROUP GROUPS HAVING IF IGNORE " +
+    "IMMEDIATE IN INDEX INDEXED INITIALLY INNER INSERT INSTEAD INTERSECT INTO IS ISNULL JOIN KEY LAST " +
+    "LEFT LIKE LIMIT MATCH MATERIALIZED NATURAL NO NOT NOTHING NOTNULL NULL NULLS OF OFFSET ON OR " +
+    "ORDER OTHERS OUTER OVER PARTITION PLAN PRAGMA PRECEDING PRIMARY QUERY RAISE RANGE RECURSIVE " +
+    "REFERENCES REGEXP REINDEX RELEASE RENAME REPLACE RESTRICT RETURNING RIGHT ROLLBACK ROW ROWS " +
+    "SAVEPOINT SELECT SET TABLE TEMP TEMPORARY THEN TIES TO TRANSACTION TRIGGER UNBOUNDED UNION " +
+    "UNIQUE UPDATE USING VACUUM VALUES VIEW VIRTUAL WHEN WHERE WINDOW WITH WITHOUT TRUE FALSE"
+  ).split(" ")
+);
+
+// Keywords that may appear inside an expression.
+const EXPRESSION_KEYWORDS = new Set(
+  (
+    "AND OR NOT IN IS NULL ISNULL NOTNULL LIKE GLOB REGEXP MATCH BETWEEN ESCAPE EXISTS CASE WHEN " +
+    "THEN ELSE END CAST COLLATE TRUE FALSE CURRENT_DATE CURRENT_TIME CURRENT_TIMESTAMP DISTINCT " +
+    "FILTER OVER"
+  ).split(" ")
+);
+
+// Extra keywords allowed inside parentheses (aggregate ORDER BY, FILTER (WHERE ...), window specs).
+const PAREN_KEYWORDS = new Set(
+  (
+    "ORDER BY ASC DESC NULLS FIRST LAST WHERE PARTITION ROWS RANGE GROUPS UNBOUNDED PRECEDING " +
+    "FOLLOWING CURRENT ROW EXCLUDE NO OTHERS TIES ALL"
+  ).split(" ")
+);
+
+// Keywords that are also ordinary scalar functions when followed by "(".
+const FUNCTION_KEYWORDS = new Set(["REPLACE", "LIKE", "GLOB", "MATCH", "REGEXP"]);
+
+// Functions that can touch the filesystem or load code.
+const FORBIDDEN_FUNCTIONS = new Set(["load_extension", "readfile", "writefile", "edit", "fts3_tokenizer"]);
+
+// Table-valued functions that are safe to use in FROM, and the columns they return.
+const JSON_TABLE_COLUMNS = new Set(["key", "value", "type", "atom", "id", "parent", "fullkey", "path", "json", "root"]);
+const TABLE_FUNCTIONS = new Map([
+  ["json_each", JSON_TABLE_COLUMNS],
+  ["json_tree", JSON_TABLE_COLUMNS]
+]);
+
+// Keywords that can never be used as an alias, even after an explicit AS.
+const NON_ALIAS_KEYWORDS = new Set(
+  "SELECT FROM WHERE GROUP HAVING ORDER LIMIT UNION INTERSECT EXCEPT JOIN ON USING AND OR NOT".split(" ")
+);
+
+const ROWID_COLUMNS = new Set(["rowid", "oid", "_rowid_"]);
+
+export class SqlGuardError extends Error {
+  constructor(message, offset) {
+    super(message);
+    this.offset = offset;
+  }
+}
+
+export function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+  const n = sql.length;
+  const push = (type, start, end, value = sql.slice(start, end)) => {
+    tokens.push({ type, value, upper: type === "word" ? value.toUpperCase() : value, start, end });
+  };
+
+  while (i < n) {
+    const ch = sql[i];
+    const start = i;
+
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    if (ch === "-" && sql[i + 1] === "-") {
+      while (i < n && sql[i] !== "\n") i += 1;
+      push("comment", start, i);
+      continue;
+    }
+    if (ch === "/" && sql[i + 1] === "*") {
+      const close = sql.indexOf("*/", i + 2);
+      if (close === -1) throw new SqlGuardError("Unterminated block comment.", start);
+      i = close + 2;
+      push("comment", start, i);
+      continue;
+    }
+
+    if (ch === "'" || ((ch === "x" || ch === "X") && sql[i + 1] === "'")) {
+      const quoteAt = ch === "'" ? i : i + 1;
+      let j = quoteAt + 1;
+      let value = "";
+      for (;;) {
+        if (j >= n) throw new SqlGuardError("Unterminated string literal.", start);
+        if (sql[j] === "'") {
+          if (sql[j + 1] === "'") {
+            value += "'";
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += sql[j];
+        j += 1;
+      }
+      i = j + 1;
+      push(ch === "'" ? "string" : "blob", start, i, value);
+      continue;
+    }
+
+    if (ch === '"' || ch === "`" || ch === "[") {
+      const close = ch === "[" ? "]" : ch;
+      let j = i + 1;
+      let value = "";
+      for (;;) {
+        if (j >= n) throw new SqlGuardError("Unterminated quoted identifier.", start);
+        if (sql[j] === close) {
+          if (close !== "]" && sql[j + 1] === close) {
+            value += close;
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += sql[j];
+        j += 1;
+      }
+      i = j + 1;
+      tokens.push({ type: "qident", value, upper: value.toUpperCase(), start, end: i, dq: ch === '"' });
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(sql[i + 1] || ""))) {
+      const m = /^(0x[0-9a-f]+|(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?)/i.exec(sql.slice(i));
+      i += m[0].length;
+      push("number", start, i);
+      continue;
+    }
+
+    if (/[A-Za-z_\u0080-\uffff]/.test(ch)) {
+      while (i < n && /[A-Za-z0-9_$\u0080-\uffff]/.test(sql[i])) i += 1;
+      push("word", start, i);
+      continue;
+    }
+
+    if (ch === "?" || ch === ":" || ch === "@" || ch === "$") {
+      i += 1;
+      while (i < n && /[A-Za-z0-9_]/.test(sql[i])) i += 1;
+      push("param", start, i);
+      continue;
+    }
+
+    const three = sql.slice(i, i + 3);
+    const two = sql.slice(i, i + 2);
+    if (three === "->>") {
+      i += 3;
+      push("op", start, i);
+      continue;
+    }
+    if (["||", "<=", ">=", "<>", "!=", "==", "<<", ">>", "->"].includes(two)) {
+      i += 2;
+      push("op", start, i);
+      continue;
+    }
+    if ("+-*/%<>=&|~".includes(ch)) {
+      i += 1;
+      push("op", start, i);
+      continue;
+    }
+    if ("(),;.".includes(ch)) {
+      i += 1;
+      push("punct", start, i);
+      continue;
+    }
+
+    throw new SqlGuardError(`Unexpected character "${ch}".`, start);
+  }
+
+  return tokens;
+}
+
+export function isKeyword(tok, kw) {
+  return tok?.type === "word" && tok.upper === kw;
+}
+
+// A name usable as a table/column/alias: bare non-keyword word or any quoted identifier.
+export function isName(tok) {
+  return (tok?.type === "word" && !KEYWORDS.has(tok.upper)) || tok?.type === "qident";
+}
+
+function createParser(tokens, sqlLength) {
+  let pos = 0;
+
+  const peek = (k = 0) => tokens[pos + k];
+  const next = () => tokens[pos++];
+  const offsetOf = (tok) => (tok ? tok.start : sqlLength);
+  const describe = (tok) => (tok ? `"${tok.value}"` : "end of input");
+
+  const fail = (message, tok = peek()) => {
+    throw new SqlGuardError(message, offsetOf(tok));
+  };
+  const isPunct = (v, k = 0) => peek(k)?.type === "punct" && peek(k).value === v;
+  const acceptKeyword = (kw) => {
+    if (isKeyword(peek(), kw)) return next();
+    return null;
+  };
+  const expectKeyword = (kw) => {
+    if (!isKeyword(peek(), kw)) fail(`Expected ${kw} but found ${describe(peek())}.`);
+    return next();
+  };
+  const expectPunct = (v) => {
+    if (!isPunct(v)) fail(`Expected "${v}" but found ${describe(peek())}.`);
+    return next();
+  };
+  const expectName = (what) => {
+    const tok = peek();
+    if (!isName(tok)) {
+      if (tok?.type === "word") fail(`Unexpected keyword ${tok.upper} where ${what} was expected.`);
+      fail(`Expected ${what} but found ${describe(tok)}.`);
+    }
+    next();
+    return { name: tok.value.toLowerCase(), start: tok.start };
+  };
+  // After an explicit AS, SQLite accepts most keywords as names (e.g. "AS first").
+  const expectAlias = (what) => {
+    const tok = peek();
+    if (tok?.type === "word" && KEYWORDS.has(tok.upper) && !NON_ALIAS_KEYWORDS.has(tok.upper)) {
+      next();
+      return tok.value.toLowerCase();
+    }
+    return expectName(what).name;
+  };
+  const startsSelect = (k = 0) => ["SELECT", "WITH", "VALUES"].some((kw) => isKeyword(peek(k), kw));
+
+  function parseSelectStatement() {
+    const startTok = peek();
+    const ctes = [];
+    let recursive = false;
+    if (acceptKeyword("WITH")) {
+      recursive = Boolean(acceptKeyword("RECURSIVE"));
+      do {
+        const { name, start } = expectName("a CTE name");
+        let columns = null;
+        if (isPunct("(")) {
+          next();
+          columns = [];
+          do columns.push(expectName("a column name").name);
+          while (isPunct(",") && next());
+          expectPunct(")");
+        }
+        expectKeyword("AS");
+        if (acceptKeyword("NOT")) expectKeyword("MATERIALIZED");
+        else acceptKeyword("MATERIALIZED");
+        expectPunct("(");
+        const query = parseSelectStatement();
+        expectPunct(")");
+        ctes.push({ name, columns, query, start });
+      } while (isPunct(",") && next());
+    }
+
+    const body = [parseSelectCore()];
+    for (;;) {
+      if (acceptKeyword("UNION")) acceptKeyword("ALL");
+      else if (!acceptKeyword("INTERSECT") && !acceptKeyword("EXCEPT")) break;
+      body.push(parseSelectCore());
+    }
+
+    const orderBy = [];
+    if (acceptKeyword("ORDER")) {
+      expectKeyword("BY");
+      orderBy.push(...parseOrderingTerms());
+    }
+
+    let limit = null;
+    if (isKeyword(peek(), "LIMIT")) {
+      const limitTok = next();
+      limit = { start: limitTok.start, value: parseExpr(), offset: null };
+      if (acceptKeyword("OFFSET") || (isPunct(",") && next())) limit.offset = parseExpr();
+    }
+
+    return { type: "select", recursive, ctes, body, orderBy, limit, start: offsetOf(startTok) };
+  }
+
+  function parseOrderingTerms() {
+    const terms = [];
+    do {
+      terms.push(parseExpr());
+      if (acceptKeyword("COLLATE")) expectName("a collation name");
+      if (!acceptKeyword("ASC")) acceptKeyword("DESC");
+      if (acceptKeyword("NULLS")) {
+        if (!acceptKeyword("FIRST")) expectKeyword("LAST");
+      }
+    } while (isPunct(",") && next());
+    return terms;
+  }
+
+  function parseSelectCore() {
+    if (acceptKeyword("VALUES")) {
+      const rows = [];
+      do {
+        expectPunct("(");
+        rows.push(parseExprList());
+        expectPunct(")");
+      } while (isPunct(",") && next());
+      return { type: "values", rows };
+    }
+
+    const selectTok = peek();
+    if (!isKeyword(selectTok, "SELECT")) {
+      if (selectTok?.type === "word" && KEYWORDS.has(selectTok.upper)) {
+        fail(`Only read-only SELECT statements are allowed (found ${selectTok.upper}).`);
+      }
+      fail(`Expected SELECT but found ${describe(selectTok)}.`);
+    }
+    next();
+    if (!acceptKeyword("DISTINCT")) acceptKeyword("ALL");
+
+    const columns = [];
+    do {
+      if (peek()?.type === "op" && peek().value === "*") {
+        next();
+        columns.push({ star: true, table: null });
+        continue;
+      }
+      if (isName(peek()) && isPunct(".", 1) && peek(2)?.type === "op" && peek(2).value === "*") {
+        const t = next();
+        next();
+        next();
+        columns.push({ star: true, table: t.value.toLowerCase(), start: t.start });
+        continue;
+      }
+      const expr = parseExpr();
+      let alias = null;
+      if (acceptKeyword("AS")) alias = expectAlias("a column alias");
+      else if (isName(peek()) || peek()?.type === "string") alias = next().value.toLowerCase();
+      columns.push({ star: false, expr, alias });
+    } while (isPunct(",") && next());
+
+    const core = { type: "core", columns, from: [], where: null, groupBy: [], having: null, windows: [] };
+
+    if (acceptKeyword("FROM")) core.from = parseJoinClause();
+    if (acceptKeyword("WHERE")) core.where = parseExpr();
+    if (acceptKeyword("GROUP")) {
+      expectKeyword("BY");
+      core.groupBy = parseExprList();
+      if (acceptKeyword("HAVING")) core.having = parseExpr();
+    } else if (acceptKeyword("HAVING")) {
+      core.having = parseExpr();
+    }
+    if (acceptKeyword("WINDOW")) {
+      do {
+        expectName("a window name");
+        expectKeyword("AS");
+        expectPunct("(");
+        core.windows.push(parseParenContents());
+        expectPunct(")");
+      } while (isPunct(",") && next());
+    }
+    return core;
+  }
+
+  function acceptJoinOperator() {
+    if (isPunct(",")) {
+      next();
+      return true;
+    }
+    const save = pos;
+    acceptKeyword("NATURAL");
+    if (acceptKeyword("LEFT") || acceptKeyword("RIGHT") || acceptKeyword("FULL")) acceptKeyword("OUTER");
+    else if (!acceptKeyword("INNER")) acceptKeyword("CROSS");
+    if (acceptKeyword("JOIN")) return true;
+    pos = save;
+    return false;
+  }
+
+  function parseJoinClause() {
+    const sources = [parseTableSource()];
+    while (acceptJoinOperator()) {
+      const source = parseTableSource();
+      if (acceptKeyword("ON")) source.on = parseExpr();
+      else if (acceptKeyword("USING")) {
+        expectPunct("(");
+        source.using = [];
+        do source.using.push(expectName("a column name").name);
+        while (isPunct(",") && next());
+        expectPunct(")");
+      }
+      sources.push(source);
+    }
+    return sources;
+  }
+
+  function parseAlias() {
+    if (acceptKeyword("AS")) return expectAlias("a table alias");
+    if (isName(peek())) return next().value.toLowerCase();
+    return null;
+  }
+
+  function parseTableSource() {
+    const tok = peek();
+    if (isPunct("(")) {
+      next();
+      if (startsSelect()) {
+        const query = parseSelectStatement();
+        expectPunct(")");
+        return { type: "subquery", query, alias: parseAlias(), start: tok.start };
+      }
+      const sources = parseJoinClause();
+      expectPunct(")");
+      return { type: "join", sources, alias: parseAlias(), start: tok.start };
+    }
+
+    const source = parseTableName();
+    source.alias = parseAlias();
+    if (source.type === "function") return source;
+    if (acceptKeyword("INDEXED")) {
+      expectKeyword("BY");
+      expectName("an index name");
+    } else if (isKeyword(peek(), "NOT") && isKeyword(peek(1), "INDEXED")) {
+      next();
+      next();
+    }
+    return source;
+  }
+
+  // "[schema.]table" or "[schema.]function(args)", without an alias.
+  function parseTableName() {
+    const tok = peek();
+    let { name } = expectName("a table name");
+    let schema = null;
+    if (isPunct(".")) {
+      next();
+      schema = name;
+      name = expectName("a table name").name;
+    }
+
+    if (isPunct("(")) {
+      next();
+      const args = isPunct(")") ? [] : parseExprList();
+      expectPunct(")");
+      return { type: "function", name, schema, args, alias: null, start: tok.start };
+    }
+    return { type: "table", name, schema, alias: null, start: tok.start };
+  }
+
+  function parseExprList() {
+    const exprs = [];
+    do exprs.push(parseExpr());
+    while (isPunct(",") && next());
+    return exprs;
+  }
+
+  // Expressions are kept flat: we only need the column references, function calls, nested
+  // subqueries and "IN <table>" sources they contain, not operator precedence.
+  function newExpr(start) {
+    return { type: "expr", refs: [], functions: [], subqueries: [], sources: [], start };
+  }
+
+  function mergeExpr(into, from) {
+    into.refs.push(...from.refs);
+    into.functions.push(...from.functions);
+    into.subqueries.push(...from.subqueries);
+    into.sources.push(...from.sources);
+  }
+
+  // Parse "( ... )" contents after the opening paren: a subquery or a comma-separated list.
+  function parseParenContents() {
+    if (startsSelect()) {
+      const expr = newExpr(offsetOf(peek()));
+      expr.subqueries.push(parseSelectStatement());
+      return expr;
+    }
+    return parseExpr({ inParens: true });
+  }
+
+  function parseExpr({ inParens = false } = {}) {
+    const expr = newExpr(offsetOf(peek()));
+    let operandEnded = false;
+    let consumed = 0;
+
+    for (;;) {
+      const tok = peek();
+      if (!tok) break;
+
+      if (tok.type === "punct" && (tok.value === ")" || tok.value === ";")) break;
+      if (tok.type === "punct" && tok.value === "," && !inParens) break;
+
+      if (tok.type === "punct" && tok.value === ",") {
+        next();
+        operandEnded = false;
+        consumed += 1;
+        continue;
+      }
+
+      if (tok.type === "punct" && tok.value === "(") {
+        next();
+        if (!isPunct(")")) mergeExpr(expr, parseParenContents());
+        expectPunct(")");
+        operandEnded = true;
+        consumed += 1;
+        continue;
+      }
+
+      if (tok.type === "word" && KEYWORDS.has(tok.upper)) {
+        const kw = tok.upper;
+        if (kw === "CAST" && isPunct("(", 1)) {
+          next();
+          next();
+          mergeExpr(expr, parseExpr());
+          expectKeyword("AS");
+          while (peek() && !isPunct(")")) {
+            if (isPunct("(")) {
+              next();
+              parseExprList();
+              expectPunct(")");
+            } else {
+              next();
+            }
+          }
+          expectPunct(")");
+          operandEnded = true;
+          consumed += 1;
+          continue;
+        }
+        if (FUNCTION_KEYWORDS.has(kw) && isPunct("(", 1)) {
+          next();
+          expr.functions.push({ name: tok.value.toLowerCase(), start: tok.start });
+          operandEnded = false;
+          consumed += 1;
+          continue;
+        }
+        if (kw === "COLLATE") {
+          next();
+          expectName("a collation name");
+          operandEnded = true;
+          consumed += 1;
+          continue;
+        }
+        if (kw === "AS" && consumed > 0) break;
+        if (kw === "IN" && isName(peek(1))) {
+          // "x IN t" and "x IN json_each(...)" read a table, like FROM does; it's not a column.
+          next();
+          expr.sources.push(parseTableName());
+          operandEnded = true;
+          consumed += 1;
+          continue;
+        }
+        if (kw === "OVER" && isName(peek(1))) {
+          // Named window: "OVER w".
+          next();
+          next();
+          operandEnded = true;
+          consumed += 1;
+          continue;
+        }
+        if (EXPRESSION_KEYWORDS.has(kw) || (inParens && PAREN_KEYWORDS.has(kw))) {
+          next();
+          operandEnded = ["END", "NULL", "TRUE", "FALSE", "CURRENT_DATE", "CURRENT_TIME", "CURRENT_TIMESTAMP", "ISNULL", "NOTNULL"].includes(kw);
+          consumed += 1;
+          continue;
+        }
+        // Outside parentheses a clause keyword (FROM, WHERE, ORDER, ...) ends the expression and
+        // the caller decides whether it belongs there.
+        if (inParens || consumed === 0) fail(`Unexpected keyword ${kw}.`);
+        break;
+      }
+
+      if (isName(tok)) {
+        // An identifier right after a complete operand is an implicit alias ("SELECT a b").
+        if (operandEnded && !inParens) break;
+        if (operandEnded && inParens) fail(`Unexpected identifier ${describe(tok)}.`);
+        next();
+        if (isPunct("(")) {
+          expr.functions.push({ name: tok.value.toLowerCase(), start: tok.start });
+          operandEnded = false;
+          consumed += 1;
+          continue;
+        }
+        const parts = [tok];
+        while (isPunct(".") && isName(peek(1))) {
+          next();
+          parts.push(next());
+        }
+        const column = parts[parts.length - 1];
+        const table = parts.length >= 2 ? parts[parts.length - 2] : null;
+        expr.refs.push({
+          table: table ? table.value.toLowerCase() : null,
+          column: column.value.toLowerCase(),
+          start: tok.start,
+          dq: parts.length === 1 && Boolean(tok.dq)
+        });
+        operandEnded = true;
+        consumed += 1;
+        continue;
+      }
+
+      if (["string", "number", "blob", "param"].includes(tok.type)) {
+        if (operandEnded && tok.type === "string" && !inParens) break; // "SELECT x 'alias'"
+        next();
+        operandEnded = true;
+        consumed += 1;
+        continue;
+      }
+
+      if (tok.type === "op") {
+        next();
+        operandEnded = false;
+        consumed += 1;
+        continue;
+      }
+
+      fail(`Unexpected token ${describe(tok)}.`);
+    }
+
+    if (consumed === 0) fail(`Expected an expression but found ${describe(peek())}.`);
+    return expr;
+  }
+
+  return {
+    parse() {
+      const first = tokens[0];
+      if (!first) fail("SQL is empty.");
+      if (!startsSelect()) {
+        const found = first.type === "word" ? first.upper : first.value;
+        fail(`Only SELECT queries are allowed (statement starts with ${found}).`, first);
+      }
+      const ast = parseSelectStatement();
+      if (isPunct(";")) {
+        next();
+        if (peek()) fail("Multi-statement SQL is not allowed.");
+      }
+      const extra = peek();
+      if (extra?.type === "word" && KEYWORDS.has(extra.upper)) {
+        fail(`Unexpected keyword ${extra.upper} after the end of the query.`);
+      }
+      if (extra) fail(`Unexpected ${describe(extra)} after the end of the query.`);
+      return ast;
+    }
+  };
+}
+
+// Build { tables: Map<table, Set<column>> } from CREATE TABLE statements.
+export function parseSchemaCatalog(schemaSql) {
+  const tokens = tokenize(schemaSql).filter((t) => t.type !== "comment");
+  const tables = new Map();
+  for (let i = 0; i < tokens.length; i += 1) {
+    if (!isKeyword(tokens[i], "CREATE")) continue;
+    let j = i + 1;
+    while (isKeyword(tokens[j], "TEMP") || isKeyword(tokens[j], "TEMPORARY")) j += 1;
+    if (!isKeyword(tokens[j], "TABLE")) continue;
+    j += 1;
+    if (isKeyword(tokens[j], "IF")) j += 3; // IF NOT EXISTS
+    const tableName = tokens[j].value.toLowerCase();
+    j += 1;
+    if (tokens[j]?.value !== "(") continue;
+
+    const columns = new Set();
+    let depth = 0;
+    let atDefinitionStart = true;
+    for (j += 1; j < tokens.length; j += 1) {
+      const tok = tokens[j];
+      if (tok.type === "punct" && tok.value === "(") depth += 1;
+      else if (tok.type === "punct" && tok.value === ")") {
+        if (depth === 0) break;
+        depth -= 1;
+      } else if (tok.type === "punct" && tok.value === "," && depth === 0) {
+        atDefinitionStart = true;
+        continue;
+      } else if (atDefinitionStart) {
+        const isConstraint = ["PRIMARY", "FOREIGN", "UNIQUE", "CHECK", "CONSTRAINT"].includes(tok.upper);
+        if (!isConstraint) columns.add(tok.value.toLowerCase());
+      }
+      atDefinitionStart = false;
+    }
+    tables.set(tableName, columns);
+    i = j;
+  }
+  return { tables };
+}
+
+// ---- Name resolution against the catalog ----
+
+function resolveStatement(stmt, ctx) {
+  const ctes = new Map(ctx.ctes);
+  for (const cte of stmt.ctes) {
+    if (ctx.catalog.views?.has(cte.name)) {
+      throw new SqlGuardError(`CTE name "${cte.name}" is taken by a view; pick another name.`, cte.start);
+    }
+    if (ctx.catalog.userTables?.has(cte.name)) {
+      throw new SqlGuardError(`CTE name "${cte.name}" is taken by a table; pick another name.`, cte.start);
+    }
+    // Recursive CTEs can refer to themselves; their columns are unknown until resolved.
+    if (stmt.recursive) ctes.set(cte.name, cte.columns ? new Set(cte.columns) : null);
+    const out = resolveStatement(cte.query, { ...ctx, ctes });
+    ctes.set(cte.name, cte.columns ? new Set(cte.columns) : out);
+  }
+
+  let firstOutput = null;
+  let lastScope = null;
+  const outputAliases = new Set();
+  for (const core of stmt.body) {
+    const { output, scope, aliases } = resolveCore(core, { ...ctx, ctes });
+    if (!firstOutput) firstOutput = output;
+    lastScope = scope;
+    for (const a of aliases) outputAliases.add(a);
+  }
+
+  const orderCtx = { ...ctx, ctes, aliases: outputAliases };
+  const orderScopes = lastScope ? [lastScope, ...ctx.scopes] : ctx.scopes;
+  for (const e of stmt.orderBy) checkExpr(e, orderScopes, orderCtx);
+  if (stmt.limit) {
+    checkExpr(stmt.limit.value, ctx.scopes, orderCtx);
+    if (stmt.limit.offset) checkExpr(stmt.limit.offset, ctx.scopes, orderCtx);
+  }
+  return firstOutput;
+}
+
+function resolveSources(sources, ctx, scope) {
+  for (const src of sources) {
+    if (src.type === "table") {
+      if (src.schema && src.schema !== "main") {
+        throw new SqlGuardError(`Schema "${src.schema}" is not allowed.`, src.start);
+      }
+      const userTable = !ctx.ctes.has(src.name) && Boolean(ctx.catalog.userTables?.has(src.name));
+      if (userTable && src.schema) {
+        throw new SqlGuardError(`Table "${src.name}" can't be schema-qualified.`, src.start);
+      }
+      let columns;
+      if (!src.schema && ctx.ctes.has(src.name)) columns = ctx.ctes.get(src.name);
+      else if (ctx.catalog.tables.has(src.name)) columns = ctx.catalog.tables.get(src.name);
+      else if (!src.schema && ctx.catalog.views?.has(src.name)) {
+        columns = ctx.catalog.views.get(src.name).columns;
+        ctx.views.add(src.name);
+      } else throw new SqlGuardError(`Table "${src.name}" is not in the schema allow-list.`, src.start);
+      if (userTable) ctx.userTables.add(src.name);
+      // Per-user tables are read through a CTE, which has no rowid.
+      const base = !ctx.ctes.has(src.name) && ctx.catalog.tables.has(src.name) && !userTable;
+      scope.push({ alias: src.alias || src.name, name: src.name, columns, base });
+    } else if (src.type === "function") {
+      if (!TABLE_FUNCTIONS.has(src.name)) {
+        throw new SqlGuardError(`Table-valued function "${src.name}" is not allowed.`, src.start);
+      }
+      for (const a of src.args) checkExpr(a, [scope, ...ctx.scopes], ctx);
+      scope.push({ alias: src.alias || src.name, name: src.name, columns: TABLE_FUNCTIONS.get(src.name) });
+    } else if (src.type === "subquery") {
+      const columns = resolveStatement(src.query, ctx);
+      scope.push({ alias: src.alias, name: null, columns });
+    } else if (src.type === "join") {
+      resolveSources(src.sources, ctx, scope);
+    }
+  }
+  // Join constraints may refer to any source introduced so far.
+  for (const src of sources) {
+    if (src.on) checkExpr(src.on, [scope, ...ctx.scopes], ctx);
+    if (src.using) {
+      for (const col of src.using) {
+        const known = scope.some((s) => s.columns === null || s.columns.has(col));
+        if (!known) throw new SqlGuardError(`Unknown column "${col}" in USING.`, src.start);
+      }
+    }
+  }
+}
+
+function resolveCore(core, ctx) {
+  const scope = [];
+  if (core.type === "values") {
+    for (const row of core.rows) for (const e of row) checkExpr(e, ctx.scopes, ctx);
+    return { output: null, scope, aliases: [] };
+  }
+
+  resolveSources(core.from, ctx, scope);
+  const scopes = [scope, ...ctx.scopes];
+
+  const aliases = core.columns.filter((c) => c.alias).map((c) => c.alias);
+  const exprCtx = { ...ctx, aliases: new Set([...(ctx.aliases || []), ...aliases]) };
+
+  let output = new Set();
+  for (const col of core.columns) {
+    if (col.star) {
+      const sources = col.table ? scope.filter((s) => s.alias === col.table) : scope;
+      if (col.table && sources.length === 0) {
+        throw new SqlGuardError(`Unknown table or alias "${col.table}".`, col.start);
+      }
+      for (const s of sources) {
+        if (s.columns === null) output = null;
+        else if (output) for (const c of s.columns) output.add(c);
+      }
+      continue;
+    }
+    checkExpr(col.expr, scopes, { ...ctx, aliases: new Set(ctx.aliases || []) });
+    const name = col.alias || (col.expr.refs.length === 1 ? col.expr.refs[0].column : null);
+    if (output && name) output.add(name);
+  }
+
+  if (core.where) checkExpr(core.where, scopes, exprCtx);
+  for (const e of core.groupBy) checkExpr(e, scopes, exprCtx);
+  if (core.having) checkExpr(core.having, scopes, exprCtx);
+  for (const e of core.windows) checkExpr(e, scopes, exprCtx);
+
+  return { output, scope, aliases };
+}
+
+function checkExpr(expr, scopes, ctx) {
+  for (const fn of expr.functions) {
+    if (FORBIDDEN_FUNCTIONS.has(fn.name)) {
+      throw new SqlGuardError(`Function "${fn.name}" is not allowed.`, fn.start);
+    }
+  }
+  for (const sub of expr.subqueries) resolveStatement(sub, { ...ctx, scopes });
+  for (const src of expr.sources) {
+    if (src.schema) throw new SqlGuardError(`"IN ${src.schema}.${src.name}" can't be schema-qualified.`, src.start);
+  }
+  // Checked like FROM sources (allow-list, views, per-user tables) in a scope of their own.
+  resolveSources(expr.sources, { ...ctx, scopes }, []);
+  for (const ref of expr.refs) checkRef(ref, scopes, ctx);
+}
+
+function checkRef(ref, scopes, ctx) {
+  const all = scopes.flat();
+  if (ref.table) {
+    const source = all.find((s) => s.alias === ref.table);
+    if (!source) throw new SqlGuardError(`Unknown table or alias "${ref.table}".`, ref.start);
+    if (source.columns === null || source.columns.has(ref.column)) return;
+    if (source.base && ROWID_COLUMNS.has(ref.column)) return;
+    throw new SqlGuardError(`Unknown column "${ref.table}.${ref.column}".`, ref.start);
+  }
+
+  if (all.some((s) => s.columns === null || s.columns.has(ref.column))) return;
+  if (ctx.aliases?.has(ref.column)) return;
+  if (ROWID_COLUMNS.has(ref.column) && all.some((s) => s.base)) return;
+  // SQLite treats an unresolvable "double-quoted" identifier as a string literal.
+  if (ref.dq) return;
+  throw new SqlGuardError(`Unknown column "${ref.column}".`, ref.start);
+}
+
+export function locate(sql, offset) {
+  const before = sql.slice(0, offset);
+  const line = before.split("\n").length;
+  const column = offset - before.lastIndexOf("\n");
+  const near = sql.slice(offset, offset + 24).split("\n")[0];
+  return { offset, line, column, near };
+}
+
+// CTE definitions that stand in for per-user tables, keeping only userId's rows.
+export function userScope(tables, userId) {
+  return [...tables].map((t) => `${t} AS (SELECT * FROM main.${t} WHERE user_id = ${userId})`).join(", ");
+}
+
+// Prepends CTE definitions to the query, merged into its own WITH clause if it has one.
+function withCtes(sql, ast, tokens, defs) {
+  if (!ast.ctes.length) return `WITH ${defs} ${sql}`;
+  const at = (ast.recursive ? tokens[1] : tokens[0]).end;
+  return `${sql.slice(0, at)} ${defs},${sql.slice(at)}`;
+}
+
+// Returns { ok: true, sql } (with LIMIT defaultLimit appended when the top-level query has none, and
+// the catalog views and per-user tables it reads prepended) or { ok: false, reason, location } where
+// location is { offset, line, column, near }. userId is the signed-in user (a positive integer) or
+// ALL_USERS; without one, queries that read per-user tables are rejected.
+export function sqlGuard(rawSql, catalog, { defaultLimit = DEFAULT_LIMIT, userId = null } = {}) {
+  if (typeof rawSql !== "string") return { ok: false, reason: "SQL is not a string.", location: null };
+  if (!rawSql.trim()) return { ok: false, reason: "SQL is empty.", location: null };
+
+  try {
+    const tokens = tokenize(rawSql);
+    const comment = tokens.find((t) => t.type === "comment");
+    if (comment) throw new SqlGuardError("SQL comments are not allowed.", comment.start);
+
+    const ast = createParser(tokens, rawSql.length).parse();
+    const views = new Set();
+    const userTables = new Set();
+    resolveStatement(ast, { catalog, ctes: new Map(), scopes: [], aliases: new Set(), views, userTables });
+
+    // Views may read per-user tables too.
+    if (views.size) for (const t of catalog.userTables || []) userTables.add(t);
+    if (userTables.size && userId !== ALL_USERS && !(Number.isInteger(userId) && userId > 0)) {
+      throw new SqlGuardError(`Table "${[...userTables][0]}" holds per-user rows and there is no signed-in user.`, 0);
+    }
+    const defs = [
+      ...(userTables.size && userId !== ALL_USERS ? [userScope(userTables, userId)] : []),
+      ...[...views].map((name) => `${name} AS (${catalog.views.get(name).sql})`)
+    ];
+    let sql = defs.length ? withCtes(rawSql, ast, tokens, defs.join(", ")).trim() : rawSql.trim();
+    if (sql.endsWith(";")) sql = sql.slice(0, -1).trimEnd();
+    if (!ast.limit) sql = `${sql} LIMIT ${defaultLimit}`;
+    return { ok: true, sql };
+  } catch (err) {
+    if (!(err instanceof SqlGuardError)) throw err;
+    const location = locate(rawSql, err.offset);
+    return {
+      ok: false,
+      reason: `${err.message} (line ${location.line}, column ${location.column})`,
+      location
+    };
+  }
+}
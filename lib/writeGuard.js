@@ -0,0 +1,186 @@
+import { SqlGuardError, isKeyword, isName, locate, tokenize } from "./sqlGuard.js";
+
+// Guard for natural-language write mode. Deliberately much narrower than sqlGuard():
+//   INSERT INTO <table> (<col>, ...) VALUES (<value>, ...)
+//   UPDATE <table> SET <col> = <value>, ... WHERE <primary key> = <value>
+// on a whitelisted table, where every <value> is a "?" placeholder or a plain literal.
+// No subqueries, expressions or functions, one row per statement. The accepted statement is
+// rebuilt as fully parameterized SQL, so the text that runs is never the model's text.
+// Rows of tables with an owner column belong to a user account; the server sets that column.
+// Insert-only tables are shared by every account, so existing rows can't be changed.
+
+export const WRITABLE_TABLES = {
+  meal_logs: { primaryKey: "log_id", owner: "user_id" },
+  supplement_logs: { primaryKey: "log_id", owner: "user_id" },
+  items: { primaryKey: "item_id", insertOnly: true }
+};
+
+function createWriteParser(tokens, sqlLength, params) {
+  let pos = 0;
+  let nextParam = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const describe = (tok) => (tok ? `"${tok.value}"` : "end of input");
+  const fail = (message, tok = peek()) => {
+    throw new SqlGuardError(message, tok ? tok.start : sqlLength);
+  };
+  const isPunct = (v) => peek()?.type === "punct" && peek().value === v;
+  const expectKeyword = (kw) => {
+    if (!isKeyword(peek(), kw)) fail(`Expected ${kw} but found ${describe(peek())}.`);
+    return next();
+  };
+  const expectPunct = (v) => {
+    if (!isPunct(v)) fail(`Expected "${v}" but found ${describe(peek())}.`);
+    return next();
+  };
+  const expectName = (what) => {
+    const tok = peek();
+    if (!isName(tok)) fail(`Expected ${what} but found ${describe(tok)}.`);
+    next();
+    return { name: tok.value.toLowerCase(), tok };
+  };
+
+  function parseValue() {
+    const tok = peek();
+    if (tok?.type === "param") {
+      if (tok.value !== "?") fail("Only positional ? placeholders are allowed.");
+      if (nextParam >= params.length) fail("More ? placeholders than params.");
+      next();
+      return params[nextParam++];
+    }
+    if (tok?.type === "string") {
+      next();
+      return tok.value;
+    }
+    if (isKeyword(tok, "NULL")) {
+      next();
+      return null;
+    }
+    const negative = tok?.type === "op" && tok.value === "-";
+    if (negative) next();
+    if (peek()?.type === "number") {
+      const value = Number(next().value);
+      return negative ? -value : value;
+    }
+    return fail(`Expected a ? placeholder or a literal value but found ${describe(peek())}.`);
+  }
+
+  function parseTable(catalog) {
+    const { name, tok } = expectName("a table name");
+    if (!WRITABLE_TABLES[name]) fail(`Table "${name}" is not writable in write mode.`, tok);
+    return { table: name, columns: catalog.tables.get(name), tok };
+  }
+
+  function checkColumn(table, columns, { name, tok }) {
+    if (!columns?.has(name)) fail(`Unknown column "${table}.${name}".`, tok);
+    if (name === WRITABLE_TABLES[table].primaryKey) fail(`Column "${name}" is assigned by the database.`, tok);
+    if (name === WRITABLE_TABLES[table].owner) fail(`Column "${name}" is set by the server.`, tok);
+  }
+
+  function parseInsert(catalog) {
+    expectKeyword("INSERT");
+    expectKeyword("INTO");
+    const { table, columns } = parseTable(catalog);
+    expectPunct("(");
+    const names = [];
+    do {
+      const col = expectName("a column name");
+      checkColumn(table, columns, col);
+      if (names.includes(col.name)) fail(`Column "${col.name}" is listed twice.`, col.tok);
+      names.push(col.name);
+    } while (isPunct(",") && next());
+    expectPunct(")");
+    expectKeyword("VALUES");
+    expectPunct("(");
+    const values = [];
+    do values.push(parseValue());
+    while (isPunct(",") && next());
+    expectPunct(")");
+    if (values.length !== names.length) fail(`${names.length} column(s) but ${values.length} value(s).`);
+    if (isPunct(",")) fail("Only one row can be inserted at a time.");
+    return { operation: "insert", table, set: Object.fromEntries(names.map((c, i) => [c, values[i]])), where: null };
+  }
+
+  function parseUpdate(catalog) {
+    expectKeyword("UPDATE");
+    const { table, columns, tok } = parseTable(catalog);
+    if (WRITABLE_TABLES[table].insertOnly) fail(`Table "${table}" only accepts INSERT in write mode.`, tok);
+    expectKeyword("SET");
+    const set = {};
+    do {
+      const col = expectName("a column name");
+      checkColumn(table, columns, col);
+      if (col.name in set) fail(`Column "${col.name}" is assigned twice.`, col.tok);
+      if (!(peek()?.type === "op" && peek().value === "=")) fail(`Expected "=" but found ${describe(peek())}.`);
+      next();
+      set[col.name] = parseValue();
+    } while (isPunct(",") && next());
+    expectKeyword("WHERE");
+    const primaryKey = WRITABLE_TABLES[table].primaryKey;
+    const key = expectName("a column name");
+    if (key.name !== primaryKey) fail(`UPDATE must target one row with WHERE ${primaryKey} = ?.`, key.tok);
+    if (!(peek()?.type === "op" && (peek().value === "=" || peek().value === "=="))) {
+      fail(`UPDATE must target one row with WHERE ${primaryKey} = ?.`);
+    }
+    next();
+    const id = parseValue();
+    if (!Number.isInteger(id)) fail(`${primaryKey} must be an integer.`);
+    return { operation: "update", table, set, where: { column: primaryKey, value: id } };
+  }
+
+  return {
+    parse(catalog) {
+      const first = peek();
+      if (!first) fail("SQL is empty.");
+      let plan;
+      if (isKeyword(first, "INSERT")) plan = parseInsert(catalog);
+      else if (isKeyword(first, "UPDATE")) plan = parseUpdate(catalog);
+      else fail(`Write mode only allows INSERT or UPDATE (statement starts with ${first.upper}).`, first);
+      if (isPunct(";")) next();
+      if (peek()) fail(`Unexpected ${describe(peek())} after the end of the statement.`);
+      if (nextParam !== params.length) fail(`${params.length} params given but ${nextParam} placeholder(s) used.`);
+      return plan;
+    }
+  };
+}
+
+// Build the parameterized statement that actually runs.
+export function writePlanSql(plan) {
+  const cols = Object.keys(plan.set);
+  if (plan.operation === "insert") {
+    return {
+      sql: `INSERT INTO ${plan.table} (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`,
+      params: cols.map((c) => plan.set[c])
+    };
+  }
+  return {
+    sql: `UPDATE ${plan.table} SET ${cols.map((c) => `${c} = ?`).join(", ")} WHERE ${plan.where.column} = ?`,
+    params: [...cols.map((c) => plan.set[c]), plan.where.value]
+  };
+}
+
+// Returns { ok: true, plan: { operation, table, set, where } } or
+// { ok: false, reason, location } like sqlGuard().
+export function writeGuard(rawSql, params, catalog) {
+  if (typeof rawSql !== "string" || !rawSql.trim()) return { ok: false, reason: "SQL is empty.", location: null };
+  if (!Array.isArray(params) || params.some((p) => p !== null && !["string", "number"].includes(typeof p))) {
+    return { ok: false, reason: "params must be an array of strings, numbers or nulls.", location: null };
+  }
+
+  try {
+    const tokens = tokenize(rawSql);
+    const comment = tokens.find((t) => t.type === "comment");
+    if (comment) throw new SqlGuardError("SQL comments are not allowed.", comment.start);
+    const plan = createWriteParser(tokens, rawSql.length, params).parse(catalog);
+    return { ok: true, plan };
+  } catch (err) {
+    if (!(err instanceof SqlGuardError)) throw err;
+    const location = locate(rawSql, err.offset);
+    return {
+      ok: false,
+      reason: `${err.message} (line ${location.line}, column ${location.column})`,
+      location
+    };
+  }
+}
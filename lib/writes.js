@@ -0,0 +1,273 @@
+import crypto from "node:crypto";
+import { queryAll, queryOne, runStatement } from "./db.js";
+import { ValidationError, checkLogReference, parseLocalDatetime, parsePositiveNumber } from "./logs.js";
+import { responseFormatWrite, writeSystemPrompt } from "./prompts.js";
+import { WRITABLE_TABLES, writeGuard, writePlanSql } from "./writeGuard.js";
+
+// Natural-language write mode ("log 1.5 servings of Veggie Omelet for breakfast today").
+// Kept apart from the read-only /api/ask pipeline on purpose:
+//   preview({ question, userId })  LLM -> INSERT/UPDATE + params -> writeGuard() -> dry run inside a
+//                                  savepoint that is always rolled back -> { preview_id, diff }
+//   confirm(previewId, userId)     re-checks the target row and applies the exact previewed statement
+//   cancel(previewId, userId)      forgets the preview
+// Each returns { status, body } like the ask pipeline. Logs are the user's own: inserts are stamped
+// with userId, other users' rows can't be updated, and previews are only theirs to confirm.
+
+const PREVIEW_TTL_MS = 10 * 60 * 1000;
+const MAX_PREVIEWS = 100;
+const DATETIME_COLUMNS = new Set(["eaten_at", "taken_at"]);
+// Amounts are checked like the REST endpoints check them, since SQLite's CHECK (x > 0) also accepts
+// text like 'lots'. serving_size_g may be left NULL.
+const POSITIVE_COLUMNS = new Map([
+  ["servings_eaten", { nullable: false }],
+  ["servings_taken", { nullable: false }],
+  ["serving_size_g", { nullable: true }]
+]);
+
+function localNow() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const day = d.toLocaleDateString("en-US", { weekday: "long" });
+  return (
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T` +
+    `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())} (${day})`
+  );
+}
+
+function changedColumns(before, after) {
+  if (!before) return Object.keys(after || {});
+  return Object.keys(after || {}).filter((c) => before[c] !== after[c]);
+}
+
+export function createWritePipeline({
+  llm,
+  llmError,
+  db,
+  schemaSql,
+  schemaCatalog,
+  onChange = () => {},
+  log = console.log
+}) {
+  const previews = new Map(); // id -> { plan, sql, params, before, userId, expires }
+
+  function prune() {
+    const now = Date.now();
+    for (const [id, p] of previews) if (p.expires < now) previews.delete(id);
+    while (previews.size > MAX_PREVIEWS) previews.delete(previews.keys().next().value);
+  }
+
+  function referenceData(userId) {
+    return {
+      recipes: queryAll(db, "SELECT recipe_id, name FROM recipes ORDER BY name"),
+      supplements: queryAll(
+        db,
+        "SELECT item_id, name, brand, serving_size_g FROM items WHERE item_type = 'supplement' ORDER BY name"
+      ),
+      recent_meal_logs: queryAll(
+        db,
+        `SELECT ml.log_id, ml.eaten_at, r.name AS recipe_name, ml.servings_eaten
+         FROM meal_logs ml JOIN recipes r ON r.recipe_id = ml.recipe_id
+         WHERE ml.user_id = ?
+         ORDER BY ml.eaten_at DESC LIMIT 5`,
+        [userId]
+      ),
+      recent_supplement_logs: queryAll(
+        db,
+        `SELECT sl.log_id, sl.taken_at, i.name AS item_name, sl.servings_taken
+         FROM supplement_logs sl JOIN items i ON i.item_id = sl.item_id
+         WHERE sl.user_id = ?
+         ORDER BY sl.taken_at DESC LIMIT 5`,
+        [userId]
+      )
+    };
+  }
+
+  // null for another user's row of a table with an owner.
+  function selectRow(table, id, userId) {
+    const { primaryKey, owner } = WRITABLE_TABLES[table];
+    const row = queryOne(db, `SELECT * FROM ${table} WHERE ${primaryKey} = ?`, [id]);
+    return row && (!owner || row[owner] === userId) ? row : null;
+  }
+
+  // Runs the statement and reads back the affected row, then undoes everything.
+  function dryRun(plan, { sql, params }, userId) {
+    db.run("SAVEPOINT write_preview");
+    try {
+      const { lastInsertId } = runStatement(db, sql, params);
+      return selectRow(plan.table, plan.where ? plan.where.value : lastInsertId, userId);
+    } finally {
+      db.run("ROLLBACK TO write_preview");
+      db.run("RELEASE write_preview");
+    }
+  }
+
+  async function preview({ question, userId }) {
+    question = String(question || "").trim();
+    if (!question) return { status: 400, body: { error: "Missing question." } };
+    if (!llm) return { status: 500, body: { error: llmError } };
+
+    log(`[write] q="${question}"`);
+    let parsed;
+    try {
+      const t0 = Date.now();
+      const content = await llm.complete({
+        temperature: 0,
+        messages: [
+          {
+            role: "system",
+            content: writeSystemPrompt({
+              schemaSql,
+              tables: Object.keys(WRITABLE_TABLES),
+              insertOnly: Object.keys(WRITABLE_TABLES).filter((t) => WRITABLE_TABLES[t].insertOnly),
+              now: localNow(),
+              reference: referenceData(userId)
+            })
+          },
+          { role: "user", content: question }
+        ],
+        responseFormat: responseFormatWrite
+      });
+      log(`[write] plan_gen (${Date.now() - t0}ms)`);
+      parsed = JSON.parse(content);
+    } catch (err) {
+      return {
+        status: 500,
+        body: { error: "Failed to generate a write plan.", llm_error: err?.message || String(err) }
+      };
+    }
+
+    const generatedSql = String(parsed.sql || "").trim();
+    const summary = String(parsed.summary || "");
+    const assumptions = Array.isArray(parsed.assumptions) ? parsed.assumptions.map(String) : [];
+    if (parsed.intent === "unsupported") {
+      return { status: 400, body: { error: "This request is not a supported change.", summary, assumptions } };
+    }
+
+    const guarded = writeGuard(generatedSql, parsed.params, schemaCatalog);
+    if (!guarded.ok) {
+      return {
+        status: 400,
+        body: {
+          error: "Write rejected by guard.",
+          guard_reason: guarded.reason,
+          guard_location: guarded.location,
+          sql: generatedSql,
+          params: parsed.params,
+          summary,
+          assumptions
+        }
+      };
+    }
+
+    const { plan } = guarded;
+    try {
+      for (const column of Object.keys(plan.set)) {
+        const value = plan.set[column];
+        if (DATETIME_COLUMNS.has(column)) plan.set[column] = parseLocalDatetime(value, column);
+        const positive = POSITIVE_COLUMNS.get(column);
+        if (positive && !(positive.nullable && value === null)) plan.set[column] = parsePositiveNumber(value, column);
+        checkLogReference(db, plan.table, column, plan.set[column]);
+      }
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      return { status: 400, body: { error: err.message, field: err.field, sql: generatedSql, summary } };
+    }
+
+    const { owner } = WRITABLE_TABLES[plan.table];
+    if (owner && plan.operation === "insert") plan.set[owner] = userId;
+    const statement = writePlanSql(plan);
+    const before = plan.where ? selectRow(plan.table, plan.where.value, userId) : null;
+    if (plan.where && !before) {
+      return {
+        status: 404,
+        body: {
+          error: `No ${plan.table} row with ${plan.where.column} = ${plan.where.value}.`,
+          sql: generatedSql,
+          summary
+        }
+      };
+    }
+
+    let after;
+    try {
+      after = dryRun(plan, statement, userId);
+    } catch (err) {
+      return {
+        status: 400,
+        body: {
+          error: "The change would violate a database constraint.",
+          db_error: err?.message || String(err),
+          sql: statement.sql,
+          params: statement.params,
+          summary
+        }
+      };
+    }
+
+    prune();
+    const id = crypto.randomUUID();
+    const expires = Date.now() + PREVIEW_TTL_MS;
+    previews.set(id, { plan, ...statement, before, userId, expires });
+
+    return {
+      status: 200,
+      body: {
+        preview_id: id,
+        expires_at: new Date(expires).toISOString(),
+        operation: plan.operation,
+        table: plan.table,
+        summary,
+        assumptions,
+        generated_sql: generatedSql,
+        sql: statement.sql,
+        params: statement.params,
+        // For inserts, after.<primary key> is provisional until the change is confirmed.
+        diff: { before, after, changed: changedColumns(before, after) }
+      }
+    };
+  }
+
+  function confirm(previewId, userId) {
+    prune();
+    const pending = previews.get(String(previewId || ""));
+    if (!pending || pending.userId !== userId) return { status: 404, body: { error: "Unknown or expired preview." } };
+    previews.delete(previewId);
+
+    const { plan, sql, params, before } = pending;
+    if (plan.where) {
+      const current = selectRow(plan.table, plan.where.value, userId);
+      if (JSON.stringify(current) !== JSON.stringify(before)) {
+        return {
+          status: 409,
+          body: { error: "The row changed after the preview was made. Preview the change again." }
+        };
+      }
+    }
+
+    let row;
+    try {
+      const { lastInsertId } = runStatement(db, sql, params);
+      row = selectRow(plan.table, plan.where ? plan.where.value : lastInsertId, userId);
+    } catch (err) {
+      return {
+        status: 400,
+        body: { error: "The change could not be applied.", db_error: err?.message || String(err) }
+      };
+    }
+    log(`[write] applied ${plan.operation} ${plan.table}`);
+    onChange();
+    return {
+      status: 200,
+      body: { applied: true, operation: plan.operation, table: plan.table, row, changed: changedColumns(before, row) }
+    };
+  }
+
+  function cancel(previewId, userId) {
+    const pending = previews.get(String(previewId || ""));
+    return pending?.userId === userId && previews.delete(String(previewId))
+      ? { status: 204, body: null }
+      : { status: 404, body: { error: "Unknown or expired preview." } };
+  }
+
+  return { preview, confirm, cancel };
+}
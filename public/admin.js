@@ -0,0 +1,122 @@
+const el = (id) => document.getElementById(id);
+
+const statusSelectEl = el("status");
+const tokenEl = el("token");
+const statusTextEl = el("statusText");
+const listEl = el("feedbackList");
+
+// Kept for the browser session only.
+tokenEl.value = sessionStorage.getItem("adminToken") || "";
+
+function setStatus(text) {
+  statusTextEl.textContent = text || "";
+}
+
+async function adminFetch(url, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  if (tokenEl.value) headers.Authorization = `Bearer ${tokenEl.value}`;
+  const resp = await fetch(url, { ...options, headers });
+  const data = resp.status === 204 ? {} : await resp.json();
+  if (!resp.ok) throw new Error(data.field ? `${data.field}: ${data.error}` : data.error || `HTTP ${resp.status}`);
+  return data;
+}
+
+function block(title, text, className = "code") {
+  const wrap = document.createElement("div");
+  const label = document.createElement("div");
+  label.className = "sectionTitle";
+  label.textContent = title;
+  const body = document.createElement("pre");
+  body.className = className;
+  body.textContent = text;
+  wrap.append(label, body);
+  return wrap;
+}
+
+function renderItem(fb) {
+  const li = document.createElement("li");
+  li.className = "card";
+
+  const header = document.createElement("div");
+  header.className = "resultHeader";
+  const h2 = document.createElement("h2");
+  h2.textContent = fb.question;
+  const meta = document.createElement("div");
+  meta.className = "meta";
+  meta.textContent =
+    `${fb.rating === "up" ? "👍" : "👎"} · #${fb.feedback_id} · ${fb.created_at.slice(0, 16).replace("T", " ")}` +
+    ` · ${fb.status}${fb.example_id ? ` · ${fb.example_id} / ${fb.benchmark_id}` : ""}`;
+  header.append(h2, meta);
+  li.appendChild(header);
+
+  if (fb.comment) li.appendChild(block("Comment", fb.comment, "answer"));
+  li.appendChild(block("Generated SQL", fb.sql || "(none)"));
+
+  if (fb.status !== "pending") {
+    if (fb.approved_sql) li.appendChild(block("Approved SQL", fb.approved_sql));
+    return li;
+  }
+
+  const label = document.createElement("div");
+  label.className = "sectionTitle";
+  label.textContent = fb.corrected_sql ? "Corrected SQL (editable)" : "SQL to approve (editable)";
+  const sqlEl = document.createElement("textarea");
+  sqlEl.className = "textarea code";
+  sqlEl.rows = 6;
+  sqlEl.spellcheck = false;
+  sqlEl.value = fb.corrected_sql || (fb.rating === "up" ? fb.sql || "" : "");
+
+  const actions = document.createElement("div");
+  actions.className = "formActions";
+  const approveBtn = document.createElement("button");
+  approveBtn.className = "button";
+  approveBtn.type = "button";
+  approveBtn.textContent = "Approve";
+  approveBtn.addEventListener("click", () =>
+    review(fb.feedback_id, "approve", { sql: sqlEl.value.trim() || undefined }, approveBtn)
+  );
+  const rejectBtn = document.createElement("button");
+  rejectBtn.className = "linkBtn";
+  rejectBtn.type = "button";
+  rejectBtn.textContent = "reject";
+  rejectBtn.addEventListener("click", () => review(fb.feedback_id, "reject", {}, rejectBtn));
+  actions.append(approveBtn, rejectBtn);
+
+  li.append(label, sqlEl, actions);
+  return li;
+}
+
+async function loadFeedback() {
+  sessionStorage.setItem("adminToken", tokenEl.value);
+  const params = new URLSearchParams();
+  if (statusSelectEl.value) params.set("status", statusSelectEl.value);
+  try {
+    const data = await adminFetch(`/api/admin/feedback?${params}`);
+    listEl.innerHTML = "";
+    for (const fb of data.feedback) listEl.appendChild(renderItem(fb));
+    setStatus(data.feedback.length ? `${data.feedback.length} item(s).` : "No feedback here.");
+  } catch (err) {
+    listEl.innerHTML = "";
+    setStatus(`Could not load feedback: ${err?.message || err}`);
+  }
+}
+
+async function review(feedbackId, action, body, button) {
+  button.disabled = true;
+  try {
+    await adminFetch(`/api/admin/feedback/${feedbackId}/${action}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    await loadFeedback();
+    setStatus(action === "approve" ? `Approved #${feedbackId}.` : `Rejected #${feedbackId}.`);
+  } catch (err) {
+    setStatus(`Could not ${action} #${feedbackId}: ${err?.message || err}`);
+    button.disabled = false;
+  }
+}
+
+statusSelectEl.addEventListener("change", loadFeedback);
+tokenEl.addEventListener("change", loadFeedback);
+loadFeedback();
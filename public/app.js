@@ -1,6 +1,12 @@
+// Imported first: nothing below runs until someone is signed in.
+import "./auth.js";
+import { renderChart } from "./chart.js";
+
 const el = (id) => document.getElementById(id);
 
 const questionEl = el("question");
+const modeEl = el("mode");
+const datasourceEl = el("datasource");
 const strategyEl = el("strategy");
 const askBtn = el("askBtn");
 const statusEl = el("status");
@@ -12,13 +18,72 @@ const errorTextEl = el("errorText");
 const metaStrategyEl = el("metaStrategy");
 const metaAttemptsEl = el("metaAttempts");
 const metaRowsEl = el("metaRows");
+const metaExamplesEl = el("metaExamples");
 
 const sqlEl = el("sql");
 const toggleSqlBtn = el("toggleSql");
+const planWrapEl = el("planWrap");
+const planMetaEl = el("planMeta");
+const planEl = el("plan");
+const togglePlanBtn = el("togglePlan");
 const answerEl = el("answer");
+const entitiesWrapEl = el("entitiesWrap");
+const entitiesEl = el("entities");
 const caveatsWrapEl = el("caveatsWrap");
 const caveatsEl = el("caveats");
+const diagnosisWrapEl = el("diagnosisWrap");
+const diagnosisTextEl = el("diagnosisText");
+const relaxedSqlEl = el("relaxedSql");
+const runRelaxedBtn = el("runRelaxedBtn");
 const rowsTableEl = el("rowsTable");
+const chartWrapEl = el("chartWrap");
+const chartEl = el("chart");
+const chartMetaEl = el("chartMeta");
+const pagerEl = el("pager");
+const pageInfoEl = el("pageInfo");
+const prevPageBtn = el("prevPageBtn");
+const nextPageBtn = el("nextPageBtn");
+const exportLinksEl = el("exportLinks");
+const exportLinkEls = { csv: el("exportCsv"), jsonl: el("exportJsonl"), xlsx: el("exportXlsx") };
+
+const feedbackEl = el("feedback");
+const thumbsUpBtn = el("thumbsUpBtn");
+const thumbsDownBtn = el("thumbsDownBtn");
+const feedbackFormEl = el("feedbackForm");
+const correctedSqlEl = el("correctedSql");
+const feedbackCommentEl = el("feedbackComment");
+const feedbackSubmitBtn = el("feedbackSubmit");
+const feedbackStatusEl = el("feedbackStatus");
+
+const threadCardEl = el("threadCard");
+const threadEl = el("thread");
+const newConversationBtn = el("newConversationBtn");
+
+const clarifyCardEl = el("clarifyCard");
+const clarifyQuestionEl = el("clarifyQuestion");
+const clarifyOptionsEl = el("clarifyOptions");
+const clarifyFormEl = el("clarifyForm");
+const clarifyOtherEl = el("clarifyOther");
+
+const writePreviewEl = el("writePreview");
+const writeMetaEl = el("writeMeta");
+const writeSummaryEl = el("writeSummary");
+const writeAssumptionsWrapEl = el("writeAssumptionsWrap");
+const writeAssumptionsEl = el("writeAssumptions");
+const writeDiffEl = el("writeDiff");
+const writeSqlEl = el("writeSql");
+const confirmWriteBtn = el("confirmWriteBtn");
+const cancelWriteBtn = el("cancelWriteBtn");
+
+// Server-side conversation (see /api/conversations); null until the first answer.
+let conversationId = null;
+// Pending write preview (see /api/writes); nothing is changed until it is confirmed.
+let writePreviewId = null;
+// Page of the result table on screen: { resultId, columns, rowCount, offset, sort }. Without a
+// resultId (while the answer is still streaming) the table can't be paged or sorted yet.
+let tablePage = null;
+
+const PAGE_SIZE = 20;
 
 function setStatus(text) {
   statusEl.textContent = text || "";
@@ -42,19 +107,45 @@ function hideResult() {
   resultEl.classList.add("hidden");
 }
 
-function renderTable(rows) {
+// Clicking a header cycles its sort: ascending, descending, then unsorted.
+function nextSort(column) {
+  if (tablePage.sort === column) return `-${column}`;
+  if (tablePage.sort === `-${column}`) return "";
+  return column;
+}
+
+function renderPager(rowsShown) {
+  const page = tablePage;
+  pagerEl.classList.toggle("hidden", !page || page.rowCount === 0);
+  if (!page) return;
+  const end = page.offset + rowsShown;
+  pageInfoEl.textContent = `rows ${page.offset + 1}–${end} of ${page.rowCount}`;
+  prevPageBtn.disabled = !page.resultId || page.offset === 0;
+  nextPageBtn.disabled = !page.resultId || end >= page.rowCount;
+}
+
+function renderTable(rows, page = null) {
+  tablePage = page;
   rowsTableEl.innerHTML = "";
+  renderPager(rows?.length || 0);
   if (!rows || rows.length === 0) {
     rowsTableEl.innerHTML = "<tr><td style='padding:10px;color:rgba(255,255,255,0.65)'>No rows</td></tr>";
     return;
   }
 
-  const cols = Object.keys(rows[0]);
+  const cols = page?.columns || Object.keys(rows[0]);
   const thead = document.createElement("thead");
   const trh = document.createElement("tr");
   for (const c of cols) {
     const th = document.createElement("th");
     th.textContent = c;
+    if (page?.resultId) {
+      th.classList.add("sortable");
+      th.title = "Sort by this column";
+      if (page.sort === c) th.textContent += " ▲";
+      else if (page.sort === `-${c}`) th.textContent += " ▼";
+      th.addEventListener("click", () => loadResultPage({ offset: 0, sort: nextSort(c) }));
+    }
     trh.appendChild(th);
   }
   thead.appendChild(trh);
@@ -74,9 +165,297 @@ function renderTable(rows) {
   rowsTableEl.appendChild(tbody);
 }
 
-async function ask() {
+// Pages and sort orders are served from the result cached on the server (/api/results/:id).
+async function loadResultPage({ offset = tablePage.offset, sort = tablePage.sort } = {}) {
+  if (!tablePage?.resultId) return;
+  const params = new URLSearchParams({ offset: String(offset), limit: String(PAGE_SIZE) });
+  if (sort) params.set("sort", sort);
+  prevPageBtn.disabled = true;
+  nextPageBtn.disabled = true;
+  try {
+    const resp = await fetch(`/api/results/${encodeURIComponent(tablePage.resultId)}?${params}`);
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || `Request failed (${resp.status}).`);
+    renderTable(data.rows, {
+      resultId: data.result_id,
+      columns: data.columns,
+      rowCount: data.row_count,
+      offset: data.offset,
+      sort: data.sort
+    });
+  } catch (err) {
+    setStatus(`Could not load rows: ${err?.message || err}`);
+    renderPager(rowsTableEl.querySelectorAll("tbody tr").length);
+  }
+}
+
+function renderChartSpec(spec) {
+  const drawn = renderChart(chartEl, spec);
+  chartWrapEl.classList.toggle("hidden", !drawn);
+  chartMetaEl.textContent = drawn ? `${spec.type} · ${spec.y.join(", ")} by ${spec.x}` : "";
+}
+
+// Downloads re-run the query on the server by id, so they include every row, not just the preview.
+function renderExportLinks(queryId) {
+  exportLinksEl.classList.toggle("hidden", !queryId);
+  for (const [format, link] of Object.entries(exportLinkEls)) {
+    link.href = queryId ? `/api/queries/${encodeURIComponent(queryId)}/export?format=${format}` : "#";
+  }
+}
+
+function renderMeta(data) {
+  metaStrategyEl.textContent = `strategy: ${data.strategy}`;
+  metaAttemptsEl.textContent = `attempts: ${data.attempts}`;
+  metaRowsEl.textContent = data.row_count === undefined ? "" : `rows: ${data.row_count}`;
+  if (Array.isArray(data.examples_used)) {
+    metaExamplesEl.classList.remove("hidden");
+    metaExamplesEl.textContent = `examples: ${data.examples_used.length}`;
+    metaExamplesEl.title = data.examples_used.map((ex) => ex.question).join("\n");
+  } else {
+    metaExamplesEl.classList.add("hidden");
+    metaExamplesEl.title = "";
+  }
+}
+
+// Entity linking results: "spinnach" -> items.name = 'Spinach'.
+function renderEntities(entities) {
+  const list = Array.isArray(entities) ? entities : [];
+  entitiesWrapEl.classList.toggle("hidden", list.length === 0);
+  entitiesEl.innerHTML = "";
+  for (const e of list) {
+    const chip = document.createElement("span");
+    chip.className = `chip ${e.match}`;
+    chip.textContent = e.mention.toLowerCase() === e.value.toLowerCase() ? e.value : `${e.mention} → ${e.value}`;
+    chip.title = `${e.column}${e.item_type ? ` (${e.item_type})` : ""} · ${e.match} match`;
+    entitiesEl.appendChild(chip);
+  }
+}
+
+function renderCaveats(caveats) {
+  if (Array.isArray(caveats) && caveats.length > 0) {
+    caveatsWrapEl.classList.remove("hidden");
+    caveatsEl.innerHTML = "";
+    for (const c of caveats) {
+      const li = document.createElement("li");
+      li.textContent = c;
+      caveatsEl.appendChild(li);
+    }
+  } else {
+    caveatsWrapEl.classList.add("hidden");
+    caveatsEl.innerHTML = "";
+  }
+}
+
+// EXPLAIN QUERY PLAN steps as a tree with the server's row estimates, then what the cost check found.
+function renderPlan(plan) {
+  planWrapEl.classList.toggle("hidden", !plan);
+  if (!plan) {
+    planMetaEl.textContent = "";
+    planEl.textContent = "";
+    return;
+  }
+  const depth = new Map([[0, -1]]);
+  const lines = plan.steps.map((step) => {
+    depth.set(step.id, (depth.get(step.parent) ?? -1) + 1);
+    const rows = step.estimated_rows == null ? "" : `  (~${step.estimated_rows.toLocaleString()} rows)`;
+    return `${"  ".repeat(depth.get(step.id))}${step.detail}${rows}`;
+  });
+  for (const finding of plan.findings) lines.push("", `! ${finding.message}`);
+  planMetaEl.textContent = `~${plan.estimated_rows.toLocaleString()} rows · ${plan.action}`;
+  planEl.textContent = lines.join("\n");
+}
+
+// Why an empty result is empty, with the relaxed query the server proposes (run by query id).
+let relaxedQueryId = null;
+
+function renderDiagnosis(diagnosis, queryId = null) {
+  diagnosisWrapEl.classList.toggle("hidden", !diagnosis);
+  diagnosisTextEl.textContent = diagnosis?.message || "";
+  const relaxed = diagnosis?.relaxed_sql || "";
+  relaxedSqlEl.textContent = relaxed ? `${relaxed}\n-- returns ${diagnosis.relaxed_row_count} row(s)` : "";
+  relaxedSqlEl.classList.toggle("hidden", !relaxed);
+  relaxedQueryId = relaxed ? queryId : null;
+  runRelaxedBtn.classList.toggle("hidden", !relaxedQueryId);
+  runRelaxedBtn.disabled = false;
+}
+
+async function runRelaxed() {
+  if (!relaxedQueryId) return;
+  runRelaxedBtn.disabled = true;
+  try {
+    const resp = await fetch(`/api/queries/${encodeURIComponent(relaxedQueryId)}/relaxed`, { method: "POST" });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.guard_reason || data.exec_error || data.error);
+    sqlEl.textContent = data.sql;
+    renderPlan(data.query_plan);
+    metaRowsEl.textContent = `rows: ${data.row_count}`;
+    renderChartSpec(data.chart);
+    renderTable(data.rows, {
+      resultId: data.query_id,
+      columns: data.columns,
+      rowCount: data.row_count,
+      offset: 0,
+      sort: ""
+    });
+    renderExportLinks(data.query_id);
+    runRelaxedBtn.classList.add("hidden");
+    setStatus(`Showing the relaxed query: ${data.row_count} row(s).`);
+  } catch (err) {
+    runRelaxedBtn.disabled = false;
+    setStatus(`Could not run the relaxed query: ${err?.message || err}`);
+  }
+}
+
+// Feedback refers to the history entry of the answer on screen (see /api/feedback).
+let feedbackTarget = null; // { historyId, sql }
+
+function renderFeedback(data) {
+  feedbackTarget = data?.history_id ? { historyId: data.history_id, sql: data.sql || "" } : null;
+  feedbackEl.classList.toggle("hidden", !feedbackTarget);
+  feedbackFormEl.classList.add("hidden");
+  feedbackStatusEl.textContent = "";
+}
+
+async function sendFeedback(rating) {
+  if (!feedbackTarget) return;
+  const payload = { history_id: feedbackTarget.historyId, rating };
+  if (rating === "down") {
+    const corrected = correctedSqlEl.value.trim();
+    if (corrected && corrected !== feedbackTarget.sql.trim()) payload.corrected_sql = corrected;
+    payload.comment = feedbackCommentEl.value.trim() || undefined;
+  }
+
+  feedbackSubmitBtn.disabled = true;
+  try {
+    const resp = await fetch("/api/feedback", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      feedbackStatusEl.textContent = data.field ? `${data.field}: ${data.error}` : data.error;
+      return;
+    }
+    feedbackFormEl.classList.add("hidden");
+    feedbackStatusEl.textContent =
+      rating === "up" ? "Thanks! Marked as correct." : "Thanks! Your feedback was saved for review.";
+  } catch (err) {
+    feedbackStatusEl.textContent = `Could not send feedback: ${err?.message || err}`;
+  } finally {
+    feedbackSubmitBtn.disabled = false;
+  }
+}
+
+function renderResult(data) {
+  renderMeta(data);
+  sqlEl.textContent = data.sql || "";
+  answerEl.textContent = data.answer || "";
+  renderEntities(data.entities);
+  renderCaveats([...(data.caveats || []), ...(data.performance_caveat ? [data.performance_caveat] : [])]);
+  renderPlan(data.query_plan);
+  renderDiagnosis(data.diagnosis, data.query_id);
+  renderChartSpec(data.chart);
+  renderTable(data.rows || [], {
+    resultId: data.query_id,
+    columns: data.columns,
+    rowCount: data.row_count,
+    offset: 0,
+    sort: ""
+  });
+  renderExportLinks(data.query_id);
+  renderFeedback(data);
+  showResult();
+}
+
+function appendBubble(role, text, metaText) {
+  const li = document.createElement("li");
+  li.className = `bubble ${role}`;
+  li.textContent = text;
+  if (metaText) {
+    const meta = document.createElement("span");
+    meta.className = "bubbleMeta";
+    meta.textContent = metaText;
+    li.appendChild(meta);
+  }
+  threadEl.appendChild(li);
+  threadCardEl.classList.remove("hidden");
+}
+
+function resetConversation() {
+  if (conversationId) {
+    fetch(`/api/conversations/${encodeURIComponent(conversationId)}`, { method: "DELETE" }).catch(() => {});
+  }
+  conversationId = null;
+  threadEl.innerHTML = "";
+  threadCardEl.classList.add("hidden");
+  hideResult();
+  hideClarification();
+  clearError();
+  setStatus("Started a new conversation.");
+}
+
+// Reads a text/event-stream response body and calls onEvent(type, data) per event.
+async function readEventStream(resp, onEvent) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let sep;
+    while ((sep = buffer.indexOf("\n\n")) !== -1) {
+      const frame = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+      let type = "message";
+      let payload = "";
+      for (const line of frame.split("\n")) {
+        if (line.startsWith("event: ")) type = line.slice(7);
+        else if (line.startsWith("data: ")) payload += line.slice(6);
+      }
+      if (payload) onEvent(type, JSON.parse(payload));
+    }
+  }
+}
+
+// The clarification on screen: { question, clarification: { question, options } }.
+let pendingClarification = null;
+
+function renderClarification(question, clarification) {
+  pendingClarification = { question, clarification };
+  clarifyQuestionEl.textContent = clarification.question;
+  clarifyOptionsEl.innerHTML = "";
+  for (const option of clarification.options) {
+    const btn = document.createElement("button");
+    btn.className = "button";
+    btn.type = "button";
+    btn.textContent = option;
+    btn.addEventListener("click", () => continueWithClarification(option));
+    clarifyOptionsEl.appendChild(btn);
+  }
+  clarifyOtherEl.value = "";
+  clarifyCardEl.classList.remove("hidden");
+}
+
+function hideClarification() {
+  pendingClarification = null;
+  clarifyCardEl.classList.add("hidden");
+}
+
+function continueWithClarification(answer) {
+  if (!pendingClarification || !answer) return;
+  const { question, clarification } = pendingClarification;
+  questionEl.value = question;
+  ask({ question: clarification.question, answer });
+}
+
+// clarification: { question, answer } when continuing after the model asked which reading was meant.
+async function ask(clarification = null) {
   clearError();
   hideResult();
+  hideWritePreview();
+  hideClarification();
 
   const question = questionEl.value.trim();
   const strategy = strategyEl.value;
@@ -86,45 +465,636 @@ async function ask() {
   }
 
   askBtn.disabled = true;
-  setStatus("Thinking… generating SQL and querying the database.");
+  setStatus("Generating SQL…");
 
   try {
-    const resp = await fetch("/api/ask", {
+    const resp = await fetch("/api/ask/stream", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ question, strategy })
+      body: JSON.stringify({
+        question,
+        strategy,
+        datasource: datasourceEl.value || undefined,
+        conversation_id: conversationId || undefined,
+        clarification: clarification || undefined
+      })
+    });
+    if (!resp.ok || !resp.body) throw new Error(`Request failed (${resp.status}).`);
+
+    let final = null;
+    let entities = [];
+    await readEventStream(resp, (type, data) => {
+      if (type === "entities_linked") {
+        entities = data.entities;
+      } else if (type === "repair_attempt") {
+        metaAttemptsEl.textContent = `attempts: ${data.attempt}`;
+        setStatus(`Repairing SQL (attempt ${data.attempt} of 3)…`);
+      } else if (type === "sql_generated") {
+        renderMeta({ strategy, attempts: data.attempt });
+        sqlEl.textContent = data.sql;
+        answerEl.textContent = "";
+        renderEntities(entities);
+        renderCaveats([]);
+        renderPlan(null);
+        renderDiagnosis(null);
+        renderChartSpec(null);
+        renderTable([]);
+        renderExportLinks(null);
+        renderFeedback(null);
+        showResult();
+        setStatus("Checking the SQL…");
+      } else if (type === "guard_result") {
+        setStatus(data.ok ? "Checking the query plan…" : "SQL rejected by guard.");
+      } else if (type === "plan_ready") {
+        renderPlan(data.query_plan);
+        setStatus(data.query_plan.action === "rejected" ? "Query plan too expensive." : "Running the query…");
+      } else if (type === "exec_error") {
+        setStatus(`Attempt ${data.attempt} failed: ${data.error}`);
+      } else if (type === "rows_ready") {
+        metaRowsEl.textContent = `rows: ${data.row_count}`;
+        renderChartSpec(data.chart);
+        renderTable(data.rows, { columns: data.columns, rowCount: data.row_count, offset: 0, sort: "" });
+        setStatus("Writing the answer…");
+      } else if (type === "diagnosis_ready") {
+        renderDiagnosis(data.diagnosis);
+        setStatus("No rows. Explaining why…");
+      } else if (type === "answer_token") {
+        answerEl.textContent += data.text;
+      } else if (type === "done") {
+        final = data;
+      }
     });
+
+    if (!final) throw new Error("The stream ended before the answer was complete.");
+    if (final.status === 404 && final.body?.conversation_id) {
+      // The server forgot this conversation (restart or expiry); start over.
+      conversationId = null;
+      threadEl.innerHTML = "";
+      threadCardEl.classList.add("hidden");
+      showError("This conversation expired. Ask again to start a new one.");
+      setStatus("Request failed.");
+      return;
+    }
+    if (final.body?.conversation_id) conversationId = final.body.conversation_id;
+    if (final.status >= 400) {
+      showError(final.body);
+      setStatus("Request failed.");
+      return;
+    }
+    if (final.body.type === "clarification") {
+      renderClarification(question, final.body.clarification);
+      setStatus("The question can be read more than one way. Pick what you meant.");
+      return;
+    }
+
+    appendBubble("user", question, clarification ? `meant: ${clarification.answer}` : undefined);
+    appendBubble("assistant", final.body.answer || "", `${final.body.row_count} row(s)`);
+    renderResult(final.body);
+    questionEl.value = "";
+    setStatus("Done. Ask a follow-up, or start a new conversation.");
+  } catch (err) {
+    showError(err?.message || String(err));
+    setStatus("Request failed.");
+  } finally {
+    askBtn.disabled = false;
+    loadHistory();
+  }
+}
+
+// --- Query history and saved questions (/api/history) ---
+
+const historySearchEl = el("historySearch");
+const historyStarredEl = el("historyStarred");
+const historyListEl = el("historyList");
+const historyMoreBtn = el("historyMoreBtn");
+
+const HISTORY_PAGE = 30;
+let historyShown = 0;
+let historySearchTimer = null;
+
+function describeHistory(entry) {
+  const parts = [entry.asked_at.replace("T", " ").slice(0, 16)];
+  if (entry.error) parts.push("failed");
+  else if (entry.row_count !== null) parts.push(`${entry.row_count} row(s)`);
+  if (entry.duration_ms !== null) parts.push(`${(entry.duration_ms / 1000).toFixed(1)}s`);
+  if (datasourceList.length > 1 && entry.datasource) parts.push(entry.datasource);
+  return parts.join(" · ");
+}
+
+function historyButton(text, title, onClick) {
+  const btn = document.createElement("button");
+  btn.className = "linkBtn";
+  btn.type = "button";
+  btn.textContent = text;
+  btn.title = title;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function renderHistoryEntry(entry) {
+  const li = document.createElement("li");
+  if (entry.error) li.classList.add("failed");
+
+  const title = document.createElement("div");
+  title.className = "historyQuestion";
+  title.textContent = entry.name || entry.question;
+  title.title = entry.name ? entry.question : entry.sql || "";
+
+  const meta = document.createElement("div");
+  meta.className = "historyMeta";
+  meta.textContent = describeHistory(entry);
+  if (entry.error) meta.title = entry.error;
+
+  const actions = document.createElement("div");
+  actions.className = "historyActions";
+  actions.append(
+    historyButton("run", "Ask this question again in a new conversation", () => rerunHistory(entry)),
+    historyButton(entry.starred ? "★ saved" : "☆ save", "Keep in saved questions", () =>
+      updateHistory(entry.history_id, { starred: !entry.starred })
+    ),
+    historyButton("rename", "Name this saved question", () => {
+      const name = window.prompt("Name for this question (empty to clear):", entry.name || "");
+      if (name !== null) updateHistory(entry.history_id, { name, starred: true });
+    }),
+    historyButton("delete", "Remove from history", () => deleteHistory(entry.history_id))
+  );
+
+  li.append(title, meta, actions);
+  return li;
+}
+
+async function loadHistory({ append = false } = {}) {
+  const params = new URLSearchParams({
+    limit: String(HISTORY_PAGE),
+    offset: String(append ? historyShown : 0)
+  });
+  if (historySearchEl.value.trim()) params.set("q", historySearchEl.value.trim());
+  if (historyStarredEl.checked) params.set("starred", "1");
+  try {
+    const resp = await fetch(`/api/history?${params}`);
     const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || `Request failed (${resp.status}).`);
+    if (!append) {
+      historyListEl.innerHTML = "";
+      historyShown = 0;
+    }
+    for (const entry of data.entries) historyListEl.appendChild(renderHistoryEntry(entry));
+    historyShown += data.entries.length;
+    historyMoreBtn.classList.toggle("hidden", historyShown >= data.total);
+    if (data.total === 0) {
+      historyListEl.innerHTML = `<li class='historyMeta'>${
+        historyStarredEl.checked ? "No saved questions yet." : "No questions asked yet."
+      }</li>`;
+    }
+  } catch (err) {
+    historyListEl.innerHTML = "";
+    const li = document.createElement("li");
+    li.className = "historyMeta";
+    li.textContent = `Could not load history: ${err?.message || err}`;
+    historyListEl.appendChild(li);
+  }
+}
 
+async function updateHistory(historyId, patch) {
+  const resp = await fetch(`/api/history/${historyId}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(patch)
+  });
+  if (!resp.ok) {
+    const data = await resp.json().catch(() => ({}));
+    setStatus(`Could not update history: ${data.error || resp.status}`);
+  }
+  await loadHistory();
+}
+
+async function deleteHistory(historyId) {
+  const resp = await fetch(`/api/history/${historyId}`, { method: "DELETE" });
+  if (!resp.ok && resp.status !== 404) setStatus(`Could not delete history entry (${resp.status}).`);
+  await loadHistory();
+}
+
+function rerunHistory(entry) {
+  if (modeEl.value !== "ask") {
+    modeEl.value = "ask";
+    modeEl.dispatchEvent(new Event("change"));
+  }
+  if ([...strategyEl.options].some((o) => o.value === entry.strategy)) strategyEl.value = entry.strategy;
+  const known = datasourceList.some((d) => d.id === entry.datasource);
+  if (known && datasourceEl.value !== entry.datasource) {
+    datasourceEl.value = entry.datasource;
+    datasourceEl.dispatchEvent(new Event("change"));
+  }
+  resetConversation();
+  questionEl.value = entry.question;
+  ask();
+}
+
+historySearchEl.addEventListener("input", () => {
+  clearTimeout(historySearchTimer);
+  historySearchTimer = setTimeout(() => loadHistory(), 250);
+});
+historyStarredEl.addEventListener("change", () => loadHistory());
+historyMoreBtn.addEventListener("click", () => loadHistory({ append: true }));
+loadHistory();
+
+// --- Intake logging (/api/meal-logs, /api/supplement-logs) ---
+
+const logListEl = el("logList");
+const logStatusEl = el("logStatus");
+
+const LOG_KINDS = {
+  meal: {
+    path: "/api/meal-logs",
+    timeField: "eaten_at",
+    refField: "recipe_id",
+    amountField: "servings_eaten",
+    submitText: "Log meal",
+    describe: (log) => `${log.recipe_name} × ${log.servings_eaten}`
+  },
+  supplement: {
+    path: "/api/supplement-logs",
+    timeField: "taken_at",
+    refField: "item_id",
+    amountField: "servings_taken",
+    submitText: "Log supplement",
+    describe: (log) => `${log.item_name}${log.brand ? ` (${log.brand})` : ""} × ${log.servings_taken}`
+  }
+};
+
+function logForm(kind) {
+  return {
+    form: el(`${kind}Form`),
+    id: el(`${kind}LogId`),
+    time: el(`${kind}Time`),
+    ref: el(`${kind}Ref`),
+    amount: el(`${kind}Amount`),
+    submit: el(`${kind}Submit`),
+    cancel: el(`${kind}Cancel`)
+  };
+}
+
+// datetime-local wants "YYYY-MM-DDTHH:MM" in local time.
+function localNow() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function fillOptions(selectEl, options) {
+  selectEl.innerHTML = "";
+  for (const { value, label } of options) {
+    const opt = document.createElement("option");
+    opt.value = String(value);
+    opt.textContent = label;
+    selectEl.appendChild(opt);
+  }
+}
+
+function resetLogForm(kind) {
+  const f = logForm(kind);
+  f.id.value = "";
+  f.time.value = localNow();
+  f.amount.value = "1";
+  f.submit.textContent = LOG_KINDS[kind].submitText;
+  f.cancel.classList.add("hidden");
+}
+
+function editLog(kind, log) {
+  const cfg = LOG_KINDS[kind];
+  const f = logForm(kind);
+  f.id.value = String(log.log_id);
+  f.time.value = String(log[cfg.timeField]).slice(0, 16);
+  f.ref.value = String(log[cfg.refField]);
+  f.amount.value = String(log[cfg.amountField]);
+  f.submit.textContent = "Save changes";
+  f.cancel.classList.remove("hidden");
+  f.time.focus();
+}
+
+async function loadLogChoices() {
+  const [recipes, supplements] = await Promise.all([
+    fetch("/api/recipes").then((r) => r.json()),
+    fetch("/api/supplements").then((r) => r.json())
+  ]);
+  fillOptions(
+    logForm("meal").ref,
+    recipes.recipes.map((r) => ({ value: r.recipe_id, label: r.name }))
+  );
+  fillOptions(
+    logForm("supplement").ref,
+    supplements.supplements.map((s) => ({ value: s.item_id, label: s.brand ? `${s.name} (${s.brand})` : s.name }))
+  );
+}
+
+async function loadRecentLogs() {
+  const entries = [];
+  for (const [kind, cfg] of Object.entries(LOG_KINDS)) {
+    const data = await fetch(`${cfg.path}?limit=10`).then((r) => r.json());
+    for (const log of data.logs || []) entries.push({ kind, when: log[cfg.timeField], log });
+  }
+  entries.sort((a, b) => (a.when < b.when ? 1 : a.when > b.when ? -1 : 0));
+
+  logListEl.innerHTML = "";
+  for (const { kind, when, log } of entries.slice(0, 10)) {
+    const li = document.createElement("li");
+    const whenEl = document.createElement("span");
+    whenEl.className = "logWhen";
+    whenEl.textContent = when.replace("T", " ").slice(0, 16);
+    const whatEl = document.createElement("span");
+    whatEl.className = "logWhat";
+    whatEl.textContent = `${kind === "meal" ? "Meal" : "Supplement"}: ${LOG_KINDS[kind].describe(log)}`;
+    const editBtn = document.createElement("button");
+    editBtn.className = "linkBtn";
+    editBtn.type = "button";
+    editBtn.textContent = "edit";
+    editBtn.addEventListener("click", () => editLog(kind, log));
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "linkBtn";
+    deleteBtn.type = "button";
+    deleteBtn.textContent = "delete";
+    deleteBtn.addEventListener("click", () => deleteLog(kind, log.log_id));
+    li.append(whenEl, whatEl, editBtn, deleteBtn);
+    logListEl.appendChild(li);
+  }
+  if (entries.length === 0) logListEl.innerHTML = "<li class='logWhen'>Nothing logged yet.</li>";
+}
+
+async function saveLog(kind, e) {
+  e.preventDefault();
+  const cfg = LOG_KINDS[kind];
+  const f = logForm(kind);
+  const id = f.id.value;
+  const payload = {
+    [cfg.timeField]: f.time.value,
+    [cfg.refField]: Number(f.ref.value),
+    [cfg.amountField]: Number(f.amount.value)
+  };
+
+  f.submit.disabled = true;
+  try {
+    const resp = await fetch(id ? `${cfg.path}/${id}` : cfg.path, {
+      method: id ? "PATCH" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    const data = await resp.json();
     if (!resp.ok) {
-      showError(data);
-      setStatus("Request failed.");
+      logStatusEl.textContent = data.field ? `${data.field}: ${data.error}` : data.error;
       return;
     }
+    logStatusEl.textContent = id ? "Entry updated." : "Logged.";
+    resetLogForm(kind);
+    await Promise.all([loadRecentLogs(), loadGoals()]);
+  } catch (err) {
+    logStatusEl.textContent = err?.message || String(err);
+  } finally {
+    f.submit.disabled = false;
+  }
+}
 
-    metaStrategyEl.textContent = `strategy: ${data.strategy}`;
-    metaAttemptsEl.textContent = `attempts: ${data.attempts}`;
-    metaRowsEl.textContent = `rows: ${data.row_count}`;
+async function deleteLog(kind, logId) {
+  if (!confirm("Delete this entry?")) return;
+  const resp = await fetch(`${LOG_KINDS[kind].path}/${logId}`, { method: "DELETE" });
+  logStatusEl.textContent = resp.ok ? "Entry deleted." : "Delete failed.";
+  if (logForm(kind).id.value === String(logId)) resetLogForm(kind);
+  await Promise.all([loadRecentLogs(), loadGoals()]);
+}
 
-    sqlEl.textContent = data.sql || "";
-    answerEl.textContent = data.answer || "";
+for (const kind of Object.keys(LOG_KINDS)) {
+  const f = logForm(kind);
+  f.form.addEventListener("submit", (e) => saveLog(kind, e));
+  f.cancel.addEventListener("click", () => resetLogForm(kind));
+  resetLogForm(kind);
+}
 
-    if (Array.isArray(data.caveats) && data.caveats.length > 0) {
-      caveatsWrapEl.classList.remove("hidden");
-      caveatsEl.innerHTML = "";
-      for (const c of data.caveats) {
-        const li = document.createElement("li");
-        li.textContent = c;
-        caveatsEl.appendChild(li);
-      }
-    } else {
-      caveatsWrapEl.classList.add("hidden");
-      caveatsEl.innerHTML = "";
+loadLogChoices()
+  .then(loadRecentLogs)
+  .catch((err) => {
+    logStatusEl.textContent = `Could not load intake logs: ${err?.message || err}`;
+  });
+
+// --- Daily goals (/api/goals, /api/goals/adherence) ---
+
+const goalFormEl = el("goalForm");
+const goalIdEl = el("goalId");
+const goalNutrientEl = el("goalNutrient");
+const goalTypeEl = el("goalType");
+const goalTargetEl = el("goalTarget");
+const goalSubmitBtn = el("goalSubmit");
+const goalCancelBtn = el("goalCancel");
+const goalTableEl = el("goalTable");
+const goalStatusEl = el("goalStatus");
+const GOAL_DAYS = 7;
+
+const describeGoal = (g) => `${g.nutrient} ${g.goal_type === "min" ? "≥" : "≤"} ${g.daily_target} ${g.unit}`;
+
+function resetGoalForm() {
+  goalIdEl.value = "";
+  goalTargetEl.value = "";
+  goalSubmitBtn.textContent = "Add goal";
+  goalCancelBtn.classList.add("hidden");
+}
+
+function editGoal(goal) {
+  goalIdEl.value = String(goal.goal_id);
+  goalNutrientEl.value = String(goal.nutrient_id);
+  goalTypeEl.value = goal.goal_type;
+  goalTargetEl.value = String(goal.daily_target);
+  goalSubmitBtn.textContent = "Save changes";
+  goalCancelBtn.classList.remove("hidden");
+  goalTargetEl.focus();
+}
+
+// The last GOAL_DAYS local days, oldest first, as "YYYY-MM-DD".
+function recentDays() {
+  const pad = (n) => String(n).padStart(2, "0");
+  const today = new Date();
+  return Array.from({ length: GOAL_DAYS }, (_, i) => {
+    const d = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (GOAL_DAYS - 1 - i));
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  });
+}
+
+function renderGoals(adherence) {
+  const days = recentDays();
+  const byDay = new Map(adherence.days.map((d) => [d.day, new Map(d.goals.map((g) => [g.goal_id, g]))]));
+  goalTableEl.innerHTML = "";
+  if (adherence.goals.length === 0) {
+    goalTableEl.innerHTML = "<tbody><tr><td>No goals yet.</td></tr></tbody>";
+    return;
+  }
+
+  const thead = document.createElement("thead");
+  const head = document.createElement("tr");
+  head.appendChild(cell("th", "Goal"));
+  for (const day of days) {
+    const weekday = new Date(`${day}T00:00`).toLocaleDateString(undefined, { weekday: "short" });
+    head.appendChild(cell("th", `${weekday} ${day.slice(8)}`));
+  }
+  head.appendChild(cell("th", "Met"));
+  head.appendChild(cell("th", ""));
+  thead.appendChild(head);
+
+  const tbody = document.createElement("tbody");
+  for (const goal of adherence.goals) {
+    const tr = document.createElement("tr");
+    tr.appendChild(cell("td", describeGoal(goal)));
+    for (const day of days) {
+      const entry = byDay.get(day)?.get(goal.goal_id);
+      const td = cell("td", entry ? (entry.met ? "✓" : "✗") : "–");
+      td.className = entry ? (entry.met ? "met" : "missed") : "untracked";
+      td.title = entry ? `${Number(entry.amount.toFixed(1))} ${entry.unit}` : "No meals logged";
+      tr.appendChild(td);
     }
+    tr.appendChild(cell("td", `${goal.days_met}/${goal.days_tracked}`));
 
-    renderTable(data.rows || []);
-    showResult();
-    setStatus("Done.");
+    const actions = document.createElement("td");
+    const editBtn = document.createElement("button");
+    editBtn.className = "linkBtn";
+    editBtn.type = "button";
+    editBtn.textContent = "edit";
+    editBtn.addEventListener("click", () => editGoal(goal));
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "linkBtn";
+    deleteBtn.type = "button";
+    deleteBtn.textContent = "delete";
+    deleteBtn.addEventListener("click", () => deleteGoal(goal.goal_id));
+    actions.append(editBtn, " ", deleteBtn);
+    tr.appendChild(actions);
+    tbody.appendChild(tr);
+  }
+  goalTableEl.append(thead, tbody);
+}
+
+async function loadGoals() {
+  const days = recentDays();
+  const params = new URLSearchParams({ from: days[0], to: days[days.length - 1] });
+  const data = await fetch(`/api/goals/adherence?${params}`).then((r) => r.json());
+  renderGoals(data);
+}
+
+async function saveGoal(e) {
+  e.preventDefault();
+  const id = goalIdEl.value;
+  const payload = {
+    nutrient_id: Number(goalNutrientEl.value),
+    goal_type: goalTypeEl.value,
+    daily_target: Number(goalTargetEl.value)
+  };
+
+  goalSubmitBtn.disabled = true;
+  try {
+    const resp = await fetch(id ? `/api/goals/${id}` : "/api/goals", {
+      method: id ? "PATCH" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      goalStatusEl.textContent = data.field ? `${data.field}: ${data.error}` : data.error;
+      return;
+    }
+    goalStatusEl.textContent = id ? "Goal updated." : "Goal added.";
+    resetGoalForm();
+    await loadGoals();
+  } catch (err) {
+    goalStatusEl.textContent = err?.message || String(err);
+  } finally {
+    goalSubmitBtn.disabled = false;
+  }
+}
+
+async function deleteGoal(goalId) {
+  if (!confirm("Delete this goal?")) return;
+  const resp = await fetch(`/api/goals/${goalId}`, { method: "DELETE" });
+  goalStatusEl.textContent = resp.ok ? "Goal deleted." : "Delete failed.";
+  if (goalIdEl.value === String(goalId)) resetGoalForm();
+  await loadGoals();
+}
+
+goalFormEl.addEventListener("submit", saveGoal);
+goalCancelBtn.addEventListener("click", resetGoalForm);
+
+fetch("/api/nutrients")
+  .then((r) => r.json())
+  .then((data) => {
+    fillOptions(goalNutrientEl, data.nutrients.map((n) => ({ value: n.nutrient_id, label: `${n.name} (${n.unit})` })));
+    return loadGoals();
+  })
+  .catch((err) => {
+    goalStatusEl.textContent = `Could not load goals: ${err?.message || err}`;
+  });
+
+// --- Write mode (/api/writes) ---
+
+function hideWritePreview() {
+  writePreviewId = null;
+  writePreviewEl.classList.add("hidden");
+}
+
+function renderWritePreview(data) {
+  writeMetaEl.textContent = `${data.operation} · ${data.table}`;
+  writeSummaryEl.textContent = data.summary || "";
+  const assumptions = data.assumptions || [];
+  writeAssumptionsWrapEl.classList.toggle("hidden", assumptions.length === 0);
+  writeAssumptionsEl.innerHTML = "";
+  for (const a of assumptions) {
+    const li = document.createElement("li");
+    li.textContent = a;
+    writeAssumptionsEl.appendChild(li);
+  }
+
+  const { before, after, changed } = data.diff;
+  writeDiffEl.innerHTML = "";
+  const thead = document.createElement("thead");
+  thead.innerHTML = "<tr><th>column</th><th>before</th><th>after</th></tr>";
+  writeDiffEl.appendChild(thead);
+  const tbody = document.createElement("tbody");
+  for (const col of Object.keys(after || {})) {
+    const tr = document.createElement("tr");
+    if (changed.includes(col)) tr.className = "changed";
+    for (const v of [col, before ? before[col] : "", after[col]]) {
+      const td = document.createElement("td");
+      td.textContent = v === null || v === undefined ? "" : String(v);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+  writeDiffEl.appendChild(tbody);
+
+  writeSqlEl.textContent = `${data.sql}\n-- params: ${JSON.stringify(data.params)}`;
+  writePreviewEl.classList.remove("hidden");
+}
+
+async function previewWrite() {
+  clearError();
+  hideResult();
+  hideWritePreview();
+
+  const question = questionEl.value.trim();
+  if (!question) {
+    setStatus("Describe the change first.");
+    return;
+  }
+
+  askBtn.disabled = true;
+  setStatus("Preparing the change…");
+  try {
+    const resp = await fetch("/api/writes", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ question })
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      showError(data);
+      setStatus("Could not prepare the change.");
+      return;
+    }
+    writePreviewId = data.preview_id;
+    renderWritePreview(data);
+    setStatus("Review the change, then apply or cancel it.");
   } catch (err) {
     showError(err?.message || String(err));
     setStatus("Request failed.");
@@ -133,15 +1103,320 @@ async function ask() {
   }
 }
 
+async function confirmWrite() {
+  if (!writePreviewId) return;
+  confirmWriteBtn.disabled = true;
+  try {
+    const resp = await fetch(`/api/writes/${encodeURIComponent(writePreviewId)}/confirm`, { method: "POST" });
+    const data = await resp.json();
+    hideWritePreview();
+    if (!resp.ok) {
+      showError(data);
+      setStatus("The change was not applied.");
+      return;
+    }
+    questionEl.value = "";
+    setStatus(`Applied: ${data.operation} on ${data.table}.`);
+    await loadRecentLogs();
+  } catch (err) {
+    showError(err?.message || String(err));
+    setStatus("Request failed.");
+  } finally {
+    confirmWriteBtn.disabled = false;
+  }
+}
+
+function cancelWrite() {
+  if (writePreviewId) {
+    fetch(`/api/writes/${encodeURIComponent(writePreviewId)}`, { method: "DELETE" }).catch(() => {});
+  }
+  hideWritePreview();
+  setStatus("Change discarded.");
+}
+
+function submitQuestion() {
+  if (modeEl.value === "write") previewWrite();
+  else ask();
+}
+
+clarifyFormEl.addEventListener("submit", (e) => {
+  e.preventDefault();
+  continueWithClarification(clarifyOtherEl.value.trim());
+});
+runRelaxedBtn.addEventListener("click", runRelaxed);
+thumbsUpBtn.addEventListener("click", () => sendFeedback("up"));
+thumbsDownBtn.addEventListener("click", () => {
+  correctedSqlEl.value = feedbackTarget?.sql || "";
+  feedbackCommentEl.value = "";
+  feedbackStatusEl.textContent = "";
+  feedbackFormEl.classList.remove("hidden");
+  correctedSqlEl.focus();
+});
+feedbackFormEl.addEventListener("submit", (e) => {
+  e.preventDefault();
+  sendFeedback("down");
+});
+prevPageBtn.addEventListener("click", () => loadResultPage({ offset: Math.max(0, tablePage.offset - PAGE_SIZE) }));
+nextPageBtn.addEventListener("click", () => loadResultPage({ offset: tablePage.offset + PAGE_SIZE }));
+confirmWriteBtn.addEventListener("click", confirmWrite);
+cancelWriteBtn.addEventListener("click", cancelWrite);
+modeEl.addEventListener("change", () => {
+  const writing = modeEl.value === "write";
+  strategyEl.disabled = writing;
+  askBtn.textContent = writing ? "Preview change" : "Ask";
+  questionEl.placeholder = writing ? "e.g., Log 1.5 servings of Veggie Omelet for breakfast today." : askPlaceholder();
+  if (!writing) hideWritePreview();
+});
+
 toggleSqlBtn.addEventListener("click", () => {
   const isHidden = sqlEl.classList.toggle("hidden");
   toggleSqlBtn.textContent = isHidden ? "show" : "hide";
 });
 
-askBtn.addEventListener("click", ask);
+togglePlanBtn.addEventListener("click", () => {
+  const isHidden = planEl.classList.toggle("hidden");
+  togglePlanBtn.textContent = isHidden ? "show" : "hide";
+});
+
+askBtn.addEventListener("click", submitQuestion);
+newConversationBtn.addEventListener("click", resetConversation);
 questionEl.addEventListener("keydown", (e) => {
-  if ((e.metaKey || e.ctrlKey) && e.key === "Enter") ask();
+  if ((e.metaKey || e.ctrlKey) && e.key === "Enter") submitQuestion();
+});
+
+// --- Data sources (/api/datasources) ---
+
+let datasourceList = [];
+
+function currentDatasource() {
+  return datasourceList.find((d) => d.id === datasourceEl.value) || null;
+}
+
+function askPlaceholder() {
+  const ds = currentDatasource();
+  if (ds && !ds.default && ds.example_questions.length === 0) {
+    return ds.tables.length
+      ? `e.g., How many rows are in ${ds.tables[0].name}?`
+      : "Import a CSV or JSON file below, then ask about it.";
+  }
+  return `e.g., ${ds?.example_questions[0] || "Top 5 supplements by vitamin C per 100g."}`;
+}
+
+// select: the data source to show afterwards (default: the default one).
+async function loadDatasources(select = null) {
+  try {
+    const resp = await fetch("/api/datasources");
+    if (!resp.ok) throw new Error(`status ${resp.status}`);
+    const data = await resp.json();
+    datasourceList = data.datasources;
+    datasourceEl.innerHTML = "";
+    for (const ds of datasourceList) {
+      const option = document.createElement("option");
+      option.value = ds.id;
+      option.textContent = ds.name;
+      option.title = ds.description || ds.tables.map((t) => t.name).join(", ");
+      datasourceEl.appendChild(option);
+    }
+    datasourceEl.value = datasourceList.some((d) => d.id === select) ? select : data.default;
+    datasourceEl.disabled = datasourceList.length < 2;
+  } catch (err) {
+    setStatus(`Could not load data sources (${err.message}).`);
+  }
+}
+
+// A conversation stays on one data source, so switching starts a new one. Write mode only works
+// on the default data source.
+datasourceEl.addEventListener("change", () => {
+  const isDefault = Boolean(currentDatasource()?.default);
+  modeEl.querySelector('option[value="write"]').disabled = !isDefault;
+  if (!isDefault && modeEl.value === "write") {
+    modeEl.value = "ask";
+    modeEl.dispatchEvent(new Event("change"));
+  }
+  if (modeEl.value === "ask") questionEl.placeholder = askPlaceholder();
+  if (conversationId || !threadCardEl.classList.contains("hidden")) resetConversation();
 });
+loadDatasources();
+
+// --- Dataset import (/api/imports) ---
+
+const importFileEl = el("importFile");
+const importPreviewBtn = el("importPreviewBtn");
+const importPreviewEl = el("importPreview");
+const importMetaEl = el("importMeta");
+const importWarningsWrapEl = el("importWarningsWrap");
+const importWarningsEl = el("importWarnings");
+const importTableEl = el("importTable");
+const importColumnsEl = el("importColumns");
+const importRowsEl = el("importRows");
+const importReplaceWrapEl = el("importReplaceWrap");
+const importReplaceEl = el("importReplace");
+const importConfirmBtn = el("importConfirmBtn");
+const importCancelBtn = el("importCancelBtn");
+const importStatusEl = el("importStatus");
+const IMPORT_TYPES = ["INTEGER", "REAL", "TEXT"];
+
+let importPreview = null;
+
+function setImportStatus(text) {
+  importStatusEl.textContent = text || "";
+}
+
+function hideImportPreview() {
+  importPreview = null;
+  importPreviewEl.classList.add("hidden");
+}
+
+function cell(tag, content) {
+  const node = document.createElement(tag);
+  if (content instanceof Node) node.appendChild(content);
+  else node.textContent = content === null || content === undefined ? "" : String(content);
+  return node;
+}
+
+function renderImportPreview(data) {
+  importMetaEl.textContent =
+    `${data.filename} · ${data.format.toUpperCase()} · ${data.row_count} row(s) · ` +
+    `${data.columns.length} column(s) → data source "${data.datasource}"`;
+  importWarningsEl.innerHTML = "";
+  for (const w of data.warnings) importWarningsEl.appendChild(cell("li", w));
+  importWarningsWrapEl.classList.toggle("hidden", data.warnings.length === 0);
+  importTableEl.value = data.table;
+  importReplaceEl.checked = false;
+  importReplaceWrapEl.classList.toggle("hidden", !data.can_replace);
+
+  // One row per column: keep it, its name, its type, whether it's the primary key.
+  importColumnsEl.innerHTML = "";
+  const thead = document.createElement("thead");
+  const headings = ["keep", "column", "in the file", "type", "key", "examples"];
+  thead.innerHTML = `<tr>${headings.map((h) => `<th>${h}</th>`).join("")}</tr>`;
+  importColumnsEl.appendChild(thead);
+  const tbody = document.createElement("tbody");
+  for (const c of data.columns) {
+    const tr = document.createElement("tr");
+    const include = document.createElement("input");
+    include.type = "checkbox";
+    include.checked = true;
+    include.dataset.role = "include";
+    const name = document.createElement("input");
+    name.className = "select";
+    name.value = c.name;
+    name.dataset.role = "name";
+    const type = document.createElement("select");
+    type.className = "select";
+    type.dataset.role = "type";
+    for (const t of IMPORT_TYPES) type.appendChild(new Option(t, t, false, t === c.type));
+    const key = document.createElement("input");
+    key.type = "radio";
+    key.name = "importKey";
+    key.value = c.name;
+    key.checked = c.name === data.primary_key;
+    key.disabled = !c.unique || c.type === "REAL";
+    key.title = key.disabled ? "Needs a distinct, non-empty value in every row" : "Use as the primary key";
+    name.addEventListener("input", () => {
+      key.value = name.value.trim();
+    });
+    const examples = c.examples.map((v) => JSON.stringify(v)).join(", ") + (c.nulls ? ` · ${c.nulls} empty` : "");
+    for (const content of [include, name, c.source, type, key, examples]) tr.appendChild(cell("td", content));
+    tbody.appendChild(tr);
+  }
+  importColumnsEl.appendChild(tbody);
+  document.querySelector('input[name="importKey"][value=""]').checked = !data.primary_key;
+
+  importRowsEl.innerHTML = "";
+  const head = document.createElement("tr");
+  for (const c of data.columns) head.appendChild(cell("th", c.name));
+  importRowsEl.appendChild(head);
+  for (const row of data.sample_rows) {
+    const tr = document.createElement("tr");
+    for (const c of data.columns) tr.appendChild(cell("td", row[c.name]));
+    importRowsEl.appendChild(tr);
+  }
+  importPreviewEl.classList.remove("hidden");
+}
+
+async function previewImport() {
+  const file = importFileEl.files[0];
+  if (!file) {
+    setImportStatus("Choose a file first.");
+    return;
+  }
+  if (importPreview) cancelImport({ quiet: true });
+  importPreviewBtn.disabled = true;
+  setImportStatus("Reading the file…");
+  try {
+    const resp = await fetch(`/api/imports?${new URLSearchParams({ filename: file.name })}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream" },
+      body: file
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      setImportStatus(data.error || `Preview failed (${resp.status}).`);
+      return;
+    }
+    importPreview = data;
+    renderImportPreview(data);
+    setImportStatus("Check the column names, types and key, then import.");
+  } catch (err) {
+    setImportStatus(err?.message || String(err));
+  } finally {
+    importPreviewBtn.disabled = false;
+  }
+}
+
+async function confirmImport() {
+  if (!importPreview) return;
+  const columns = [...importColumnsEl.querySelectorAll("tbody tr")].map((tr) => ({
+    include: tr.querySelector('[data-role="include"]').checked,
+    name: tr.querySelector('[data-role="name"]').value.trim(),
+    type: tr.querySelector('[data-role="type"]').value
+  }));
+  const key = document.querySelector('input[name="importKey"]:checked');
+  importConfirmBtn.disabled = true;
+  try {
+    const resp = await fetch(`/api/imports/${encodeURIComponent(importPreview.import_id)}/confirm`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        table: importTableEl.value.trim() || undefined,
+        columns,
+        primary_key: key ? key.value || null : undefined,
+        replace: importReplaceEl.checked
+      })
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      if (resp.status === 409) importReplaceWrapEl.classList.remove("hidden");
+      setImportStatus(data.error || `Import failed (${resp.status}).`);
+      if (resp.status === 404) hideImportPreview();
+      return;
+    }
+    hideImportPreview();
+    importFileEl.value = "";
+    setImportStatus(`Imported ${data.row_count} row(s) into ${data.datasource}.${data.table}. Ask about it above.`);
+    await loadDatasources(data.datasource);
+    datasourceEl.dispatchEvent(new Event("change"));
+    questionEl.value = "";
+    questionEl.placeholder = `e.g., How many rows are in ${data.table}?`;
+  } catch (err) {
+    setImportStatus(err?.message || String(err));
+  } finally {
+    importConfirmBtn.disabled = false;
+  }
+}
+
+function cancelImport({ quiet = false } = {}) {
+  if (importPreview) {
+    fetch(`/api/imports/${encodeURIComponent(importPreview.import_id)}`, { method: "DELETE" }).catch(() => {});
+  }
+  hideImportPreview();
+  if (!quiet) setImportStatus("Import discarded.");
+}
+
+importPreviewBtn.addEventListener("click", previewImport);
+importConfirmBtn.addEventListener("click", confirmImport);
+importCancelBtn.addEventListener("click", () => cancelImport());
 
 // Convenience: put a starter question in the box.
 questionEl.value = "Top 5 supplements by vitamin C per 100g.";
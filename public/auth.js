@@ -0,0 +1,71 @@
+// Sign-in gate (see lib/auth.js). app.js imports this first, and the top-level await holds the rest
+// of the page back until someone is signed in: the session cookie is sent with every API call.
+
+const el = (id) => document.getElementById(id);
+
+const layoutEl = document.querySelector(".layout");
+const authCardEl = el("authCard");
+const authFormEl = el("authForm");
+const authUsernameEl = el("authUsername");
+const authPasswordEl = el("authPassword");
+const signInBtn = el("signInBtn");
+const registerBtn = el("registerBtn");
+const authStatusEl = el("authStatus");
+const accountEl = el("account");
+const accountNameEl = el("accountName");
+const signOutBtn = el("signOutBtn");
+
+async function currentUser() {
+  const resp = await fetch("/api/auth/me");
+  return resp.ok ? resp.json() : null;
+}
+
+// Shows the sign-in form until a login or registration succeeds; resolves to the user.
+function signIn() {
+  layoutEl.classList.add("hidden");
+  authCardEl.classList.remove("hidden");
+  authUsernameEl.focus();
+
+  return new Promise((resolve) => {
+    async function submit(action) {
+      if (!authFormEl.reportValidity()) return;
+      signInBtn.disabled = true;
+      registerBtn.disabled = true;
+      authStatusEl.textContent = action === "register" ? "Creating account…" : "Signing in…";
+      try {
+        const resp = await fetch(`/api/auth/${action}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ username: authUsernameEl.value, password: authPasswordEl.value })
+        });
+        const data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || `HTTP ${resp.status}`);
+        authPasswordEl.value = "";
+        authCardEl.classList.add("hidden");
+        layoutEl.classList.remove("hidden");
+        resolve(data);
+      } catch (err) {
+        authStatusEl.textContent = err?.message || String(err);
+      } finally {
+        signInBtn.disabled = false;
+        registerBtn.disabled = false;
+      }
+    }
+
+    authFormEl.addEventListener("submit", (e) => {
+      e.preventDefault();
+      submit("login");
+    });
+    registerBtn.addEventListener("click", () => submit("register"));
+  });
+}
+
+signOutBtn.addEventListener("click", async () => {
+  await fetch("/api/auth/logout", { method: "POST" }).catch(() => {});
+  // Everything on the page belonged to the previous user.
+  window.location.reload();
+});
+
+export const user = (await currentUser()) || (await signIn());
+accountNameEl.textContent = user.username;
+accountEl.classList.remove("hidden");
@@ -0,0 +1,202 @@
+// Dependency-free SVG charts for the chart specs returned by /api/ask:
+//   { type: "bar" | "line" | "pie" | "scatter", x, y: [columns], data: [{ [x], [y...] }] }
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const WIDTH = 640;
+const HEIGHT = 280;
+const MARGIN = { top: 24, right: 16, bottom: 56, left: 56 };
+const COLORS = ["#7c5cff", "#00d4ff", "#ffb84d", "#ff4d6d", "#4dd599", "#c77dff", "#f7ef81", "#8ecae6"];
+
+function svgEl(tag, attrs = {}, text) {
+  const node = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, String(v));
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function withTitle(node, text) {
+  node.appendChild(svgEl("title", {}, text));
+  return node;
+}
+
+function formatNumber(v) {
+  if (!Number.isFinite(v)) return "";
+  const abs = Math.abs(v);
+  if (abs >= 1e6) return `${(v / 1e6).toFixed(1)}M`;
+  if (abs >= 1e4) return `${(v / 1e3).toFixed(0)}k`;
+  return Number.isInteger(v) ? String(v) : v.toFixed(abs < 10 ? 2 : 1);
+}
+
+function truncate(label, max = 14) {
+  const s = String(label ?? "");
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+// About five round tick values covering [min, max].
+function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    min = Math.min(0, min);
+    max = max === 0 ? 1 : Math.max(0, max);
+  }
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= rough);
+  const ticks = [];
+  for (let t = Math.floor(min / step) * step; t <= max + step * 1e-9; t += step) ticks.push(Number(t.toFixed(10)));
+  if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+  return ticks;
+}
+
+function linearScale(domainMin, domainMax, rangeMin, rangeMax) {
+  const span = domainMax - domainMin || 1;
+  return (v) => rangeMin + ((v - domainMin) / span) * (rangeMax - rangeMin);
+}
+
+function drawYAxis(svg, ticks, y) {
+  for (const t of ticks) {
+    const py = y(t);
+    const x2 = WIDTH - MARGIN.right;
+    svg.appendChild(svgEl("line", { x1: MARGIN.left, x2, y1: py, y2: py, class: "gridline" }));
+    svg.appendChild(
+      svgEl("text", { x: MARGIN.left - 8, y: py + 4, "text-anchor": "end", class: "tick" }, formatNumber(t))
+    );
+  }
+}
+
+function drawXLabel(svg, px, label, rotate) {
+  const py = HEIGHT - MARGIN.bottom + (rotate ? 14 : 18);
+  const attrs = rotate
+    ? { x: px, y: py, "text-anchor": "end", transform: `rotate(-35 ${px} ${py})` }
+    : { x: px, y: py, "text-anchor": "middle" };
+  svg.appendChild(withTitle(svgEl("text", { ...attrs, class: "tick" }, truncate(label)), String(label)));
+}
+
+function numericValues(spec) {
+  return spec.data.flatMap((d) => spec.y.map((c) => d[c])).filter((v) => typeof v === "number");
+}
+
+function drawBar(svg, spec) {
+  const values = numericValues(spec);
+  const ticks = niceTicks(Math.min(0, ...values), Math.max(0, ...values));
+  const y = linearScale(ticks[0], ticks[ticks.length - 1], HEIGHT - MARGIN.bottom, MARGIN.top);
+  drawYAxis(svg, ticks, y);
+
+  const band = (WIDTH - MARGIN.left - MARGIN.right) / spec.data.length;
+  const barWidth = Math.max(2, (band * 0.75) / spec.y.length);
+  const rotate = spec.data.length > 6;
+  spec.data.forEach((d, i) => {
+    const bandStart = MARGIN.left + i * band + band * 0.125;
+    spec.y.forEach((col, j) => {
+      const v = typeof d[col] === "number" ? d[col] : 0;
+      const top = Math.min(y(v), y(0));
+      const rect = svgEl("rect", {
+        x: bandStart + j * barWidth,
+        y: top,
+        width: barWidth - 1,
+        height: Math.abs(y(v) - y(0)),
+        fill: COLORS[j % COLORS.length]
+      });
+      svg.appendChild(withTitle(rect, `${d[spec.x]} · ${col}: ${v}`));
+    });
+    drawXLabel(svg, MARGIN.left + i * band + band / 2, d[spec.x], rotate);
+  });
+}
+
+function drawLine(svg, spec, { points = false } = {}) {
+  const isTime = spec.data.some((d) => typeof d[spec.x] === "string");
+  const xValue = (d) => (isTime ? Date.parse(String(d[spec.x]).replace(" ", "T")) : Number(d[spec.x]));
+  const data = spec.data.filter((d) => Number.isFinite(xValue(d))).sort((a, b) => xValue(a) - xValue(b));
+  if (data.length === 0) return;
+
+  const xs = data.map(xValue);
+  const x = linearScale(Math.min(...xs), Math.max(...xs), MARGIN.left + 8, WIDTH - MARGIN.right - 8);
+  const values = numericValues({ ...spec, data });
+  const ticks = niceTicks(Math.min(...values), Math.max(...values));
+  const y = linearScale(ticks[0], ticks[ticks.length - 1], HEIGHT - MARGIN.bottom, MARGIN.top);
+  drawYAxis(svg, ticks, y);
+
+  // Label at most ~8 points along the x axis.
+  const every = Math.ceil(data.length / 8);
+  data.forEach((d, i) => {
+    if (i % every !== 0) return;
+    const label = isTime ? String(d[spec.x]).slice(0, 16).replace("T", " ") : formatNumber(Number(d[spec.x]));
+    drawXLabel(svg, x(xValue(d)), label, isTime);
+  });
+
+  spec.y.forEach((col, j) => {
+    const color = COLORS[j % COLORS.length];
+    const series = data.filter((d) => typeof d[col] === "number");
+    if (!points) {
+      const path = series.map((d) => `${x(xValue(d)).toFixed(1)},${y(d[col]).toFixed(1)}`).join(" ");
+      svg.appendChild(svgEl("polyline", { points: path, fill: "none", stroke: color, "stroke-width": 2 }));
+    }
+    for (const d of series) {
+      const dot = svgEl("circle", { cx: x(xValue(d)), cy: y(d[col]), r: points ? 4 : 3, fill: color });
+      svg.appendChild(withTitle(dot, `${d[spec.x]} · ${col}: ${d[col]}`));
+    }
+  });
+}
+
+function drawPie(svg, spec) {
+  const col = spec.y[0];
+  const slices = spec.data.filter((d) => typeof d[col] === "number" && d[col] > 0);
+  const total = slices.reduce((sum, d) => sum + d[col], 0);
+  if (total <= 0) return;
+
+  const cx = HEIGHT / 2;
+  const cy = HEIGHT / 2;
+  const r = HEIGHT / 2 - MARGIN.top;
+  let angle = -Math.PI / 2;
+  slices.forEach((d, i) => {
+    const sweep = (d[col] / total) * Math.PI * 2;
+    const color = COLORS[i % COLORS.length];
+    const label = `${d[spec.x]}: ${d[col]} (${((d[col] / total) * 100).toFixed(1)}%)`;
+    let shape;
+    if (slices.length === 1) {
+      shape = svgEl("circle", { cx, cy, r, fill: color });
+    } else {
+      const [x1, y1] = [cx + r * Math.cos(angle), cy + r * Math.sin(angle)];
+      const [x2, y2] = [cx + r * Math.cos(angle + sweep), cy + r * Math.sin(angle + sweep)];
+      const largeArc = sweep > Math.PI ? 1 : 0;
+      shape = svgEl("path", { d: `M${cx},${cy} L${x1},${y1} A${r},${r} 0 ${largeArc} 1 ${x2},${y2} Z`, fill: color });
+    }
+    svg.appendChild(withTitle(shape, label));
+    angle += sweep;
+
+    const ly = MARGIN.top + i * 22;
+    svg.appendChild(svgEl("rect", { x: HEIGHT + 20, y: ly, width: 12, height: 12, fill: color }));
+    svg.appendChild(svgEl("text", { x: HEIGHT + 40, y: ly + 11, class: "legend" }, truncate(label, 48)));
+  });
+}
+
+// Series legend along the top edge (only needed for more than one series).
+function drawLegend(svg, spec) {
+  if (spec.y.length < 2) return;
+  spec.y.forEach((col, j) => {
+    const lx = MARGIN.left + j * 150;
+    svg.appendChild(svgEl("rect", { x: lx, y: 4, width: 10, height: 10, fill: COLORS[j % COLORS.length] }));
+    svg.appendChild(svgEl("text", { x: lx + 14, y: 13, class: "legend" }, truncate(col, 20)));
+  });
+}
+
+// Replace container's contents with the chart; returns false if the spec can't be drawn.
+export function renderChart(container, spec) {
+  container.innerHTML = "";
+  if (!spec || !Array.isArray(spec.data) || spec.data.length === 0) return false;
+
+  const svg = svgEl("svg", {
+    viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+    class: "chart",
+    role: "img",
+    "aria-label": `${spec.type} chart of ${spec.y.join(", ")} by ${spec.x}`
+  });
+  if (spec.type === "bar") drawBar(svg, spec);
+  else if (spec.type === "line") drawLine(svg, spec);
+  else if (spec.type === "scatter") drawLine(svg, spec, { points: true });
+  else if (spec.type === "pie") drawPie(svg, spec);
+  else return false;
+  if (spec.type !== "pie") drawLegend(svg, spec);
+
+  container.appendChild(svg);
+  return true;
+}
@@ -1,397 +1,453 @@
 import "dotenv/config";
-import fs from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import express from "express";
-import OpenAI from "openai";
-import initSqlJs from "sql.js";
+import { createAdminRouter } from "./lib/admin.js";
+import { createAuth, createAuthRouter } from "./lib/auth.js";
+import { createDatasourceRegistry, publicDatasource } from "./lib/datasources.js";
+import { limitCode } from "./lib/executor.js";
+import { EXPORT_FORMATS, csvLines, jsonLines, writeLines, xlsxWorkbook } from "./lib/exporters.js";
+import { createFeedback, createFeedbackRouter } from "./lib/feedback.js";
+import { createHistory, createHistoryRouter } from "./lib/history.js";
+import { createGoalsRouter } from "./lib/goals.js";
+import { createImporter } from "./lib/imports.js";
+import { createLlmProvider } from "./lib/llm.js";
+import { createLogsRouter } from "./lib/logs.js";
+import { createNutritionRouter } from "./lib/nutrition.js";
+import { createQueryRegistry, pageResult } from "./lib/queries.js";
+import { createAskPipeline } from "./lib/pipeline.js";
+import { createSessionStore, publicSession } from "./lib/sessions.js";
+import { sqlGuard } from "./lib/sqlGuard.js";
+import { createWritePipeline } from "./lib/writes.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PORT = Number(process.env.PORT || 3000);
-const MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
 const OPENAI_TIMEOUT_MS = Number(process.env.OPENAI_TIMEOUT_MS || 45000);
 const OPENAI_MAX_RETRIES = Number(process.env.OPENAI_MAX_RETRIES || 1);
+const DATASOURCES_PATH = path.resolve(__dirname, process.env.DATASOURCES_PATH || "db/datasources.json");
+// Overrides the default data source's db_path.
+const DB_PATH = process.env.DB_PATH ? path.resolve(__dirname, process.env.DB_PATH) : null;
+const DB_SAVE_DEBOUNCE_MS = Number(process.env.DB_SAVE_DEBOUNCE_MS || 1000);
+const DB_BACKUPS = Number(process.env.DB_BACKUPS || 5);
+const EXPORT_MAX_ROWS = Number(process.env.EXPORT_MAX_ROWS || 100000);
+const QUERY_WORKERS = Number(process.env.QUERY_WORKERS || 2);
+const QUERY_TIMEOUT_MS = Number(process.env.QUERY_TIMEOUT_MS || 5000);
+const QUERY_MAX_ROWS = Number(process.env.QUERY_MAX_ROWS || 10000);
+const QUERY_MAX_BYTES = Number(process.env.QUERY_MAX_BYTES || 64 * 1024 * 1024);
+const QUERY_PLAN_WARN_ROWS = Number(process.env.QUERY_PLAN_WARN_ROWS || 1000000);
+const QUERY_PLAN_MAX_ROWS = Number(process.env.QUERY_PLAN_MAX_ROWS || 10000000);
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES || 10 * 1024 * 1024);
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 100000);
 
-function sqlGuard(rawSql) {
-  if (typeof rawSql !== "string") return { ok: false, reason: "SQL is not a string." };
-  let sql = rawSql.trim();
-  if (!sql) return { ok: false, reason: "SQL is empty." };
-
-  // Allow a single trailing semicolon (common formatting), but block multi-statement SQL.
-  if (sql.endsWith(";")) sql = sql.slice(0, -1).trimEnd();
-  if (sql.includes(";")) return { ok: false, reason: "Multi-statement SQL is not allowed." };
-  if (sql.includes("--") || sql.includes("/*") || sql.includes("*/")) {
-    return { ok: false, reason: "SQL comments are not allowed." };
-  }
-
-  // Must start with SELECT or WITH (CTE).
-  if (!/^\s*(select|with)\b/i.test(sql)) {
-    return { ok: false, reason: "Only SELECT queries are allowed." };
-  }
-
-  // Block dangerous SQLite keywords/features.
-  const forbidden = [
-    "pragma",
-    "attach",
-    "detach",
-    "vacuum",
-    "drop",
-    "alter",
-    "create",
-    "insert",
-    "update",
-    "delete",
-    "replace",
-    "truncate",
-    "reindex",
-    "analyze",
-    "load_extension"
-  ];
-  const lower = sql.toLowerCase();
-  for (const kw of forbidden) {
-    const re = new RegExp(`\\b${kw}\\b`, "i");
-    if (re.test(lower)) return { ok: false, reason: `Forbidden keyword: ${kw}` };
-  }
-
-  let finalSql = sql;
-  if (!/\blimit\b/i.test(finalSql)) {
-    finalSql = `${finalSql} LIMIT 200`;
+async function createApp() {
+  const { provider: llm, error: llmError } = await createLlmProvider(process.env, {
+    defaultFixturesPath: path.resolve(__dirname, "fixtures/mock_llm.json"),
+    timeoutMs: OPENAI_TIMEOUT_MS,
+    maxRetries: OPENAI_MAX_RETRIES
+  });
+  if (llm) console.log(`[llm] provider=${llm.name} model=${llm.model}`);
+  else console.log(`[llm] ${llmError}`);
+
+  // Generated SQL runs in worker threads against a snapshot of each database, never on the main
+  // thread (lib/executor.js).
+  const datasources = await createDatasourceRegistry({
+    filePath: DATASOURCES_PATH,
+    rootDir: __dirname,
+    dbPath: DB_PATH,
+    executorOptions: {
+      size: QUERY_WORKERS,
+      timeoutMs: QUERY_TIMEOUT_MS,
+      maxRows: QUERY_MAX_ROWS,
+      maxBytes: QUERY_MAX_BYTES
+    },
+    persistence: { debounceMs: DB_SAVE_DEBOUNCE_MS, maxBackups: DB_BACKUPS }
+  });
+  // The default data source also holds history and feedback, and is the one intake logging,
+  // write mode and the admin backups work on.
+  const primary = datasources.default;
+  console.log(`[db] datasources=${datasources.all().map((ds) => ds.id).join(",")} default=${primary.id}`);
+
+  // Write pending changes before exiting.
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => {
+      datasources
+        .flush()
+        .catch((err) => console.error(`[db] save failed: ${err?.message || err}`))
+        .finally(() => process.exit(0));
+    });
   }
-  return { ok: true, sql: finalSql };
-}
-
-function execToRows(db, sql) {
-  const resultSets = db.exec(sql);
-  if (!resultSets || resultSets.length === 0) return { columns: [], rows: [] };
-  const { columns, values } = resultSets[0];
-  const rows = values.map((row) => Object.fromEntries(columns.map((c, i) => [c, row[i]])));
-  return { columns, rows };
-}
-
-function truncateJsonForPrompt(obj, maxChars = 8000) {
-  const s = JSON.stringify(obj);
-  if (s.length <= maxChars) return s;
-  return s.slice(0, maxChars) + "...(truncated)";
-}
-
-function sqlSystemPrompt({ schemaSql }) {
-  return [
-    "You are an expert data analyst that writes SQLite SELECT queries.",
-    "",
-    "Task: Convert the user's question into ONE safe SQLite query.",
-    "",
-    "Rules:",
-    "- Output ONLY the JSON required by the response schema.",
-    "- Use SQLite syntax.",
-    "- Only SELECT (WITH allowed). No mutations, no PRAGMA, no ATTACH, no multiple statements.",
-    "- The `sql` field must contain ONLY SQL (no comments like `-- ...` or `/* ... */`, no explanations).",
-    "- If the question is ambiguous, make a reasonable assumption and proceed.",
-    "- Prefer joining by IDs and using explicit table aliases.",
-    "- Do NOT use SQL keywords as aliases (e.g., do not alias a table as `in`, `on`, `from`, `where`, `select`).",
-    "- Use LIMIT when returning many rows (if unsure, LIMIT 50).",
-    "",
-    "Nutrition notes:",
-    "- All item nutrient amounts are stored per 100g in item_nutrients.amount_per_100g.",
-    "- Recipe nutrient totals can be computed by summing (recipe_items.amount_g * item_nutrients.amount_per_100g / 100.0).",
-    "- Meal log nutrient totals can be computed by multiplying recipe totals by meal_logs.servings_eaten.",
-    "- Use nutrient names exactly as stored in nutrients.name (snake_case like 'vitamin_c_mg', not 'Vitamin C').",
-    "",
-    "SQLite schema (DDL):",
-    schemaSql
-  ].join("\n");
-}
-
-function normalizeSqlForSQLite(rawSql) {
-  let sql = String(rawSql || "");
-
-  // Strip comments if the model included them inside the SQL field.
-  // (We already capture assumptions separately; comments just cause guard rejections.)
-  sql = sql.replace(/--.*$/gm, "");
-  sql = sql.replace(/\/\*[\s\S]*?\*\//g, "");
-
-  // Fix a common model mistake: reserved keyword alias `in`.
-  // Handles: "item_nutrients in" and "item_nutrients AS in"
-  sql = sql.replace(/\bitem_nutrients\b\s+(as\s+)?in\b/gi, "item_nutrients inut");
-  sql = sql.replace(/\bin\./g, "inut.");
-
-  return sql.trim();
-}
+  const pipelines = new Map(
+    datasources.all().map((ds) => [
+      ds.id,
+      createAskPipeline({
+        llm,
+        llmError,
+        datasource: ds,
+        queryPlanLimits: { warnRows: QUERY_PLAN_WARN_ROWS, maxRows: QUERY_PLAN_MAX_ROWS }
+      })
+    ])
+  );
+  // Accounts live in the default data source, which holds the per-user tables (user_tables).
+  const auth = createAuth({
+    db: primary.db,
+    ownedTables: [...primary.schemaCatalog.userTables],
+    onChange: primary.persistence.markDirty
+  });
+  // Before the server listens, so nobody can register first and take the name.
+  await auth.ensureOwner({ username: process.env.OWNER_USERNAME, password: process.env.OWNER_PASSWORD });
+  const sessions = createSessionStore();
+  const queries = createQueryRegistry();
+  const history = createHistory({
+    db: primary.db,
+    defaultDatasource: primary.id,
+    onChange: primary.persistence.markDirty
+  });
+  const feedback = createFeedback({
+    db: primary.db,
+    datasources,
+    history,
+    onChange: primary.persistence.markDirty
+  });
+  const writes = createWritePipeline({
+    llm,
+    llmError,
+    db: primary.db,
+    schemaSql: primary.schemaSql,
+    schemaCatalog: primary.schemaCatalog,
+    onChange: primary.onDataChange
+  });
+  const importer = createImporter({
+    datasources,
+    db: primary.db,
+    onChange: primary.persistence.markDirty,
+    maxRows: IMPORT_MAX_ROWS
+  });
 
-function sqlFewShotExamples() {
-  const examples = [
-    {
-      q: "Top 5 supplements by vitamin C per 100g.",
-      sql: [
-        "SELECT i.name, i.brand, inut.amount_per_100g AS vitamin_c_mg_per_100g",
-        "FROM items i",
-        "JOIN nutrients n ON n.name = 'vitamin_c_mg'",
-        "JOIN item_nutrients inut ON inut.item_id = i.item_id AND inut.nutrient_id = n.nutrient_id",
-        "WHERE i.item_type = 'supplement'",
-        "ORDER BY vitamin_c_mg_per_100g DESC",
-        "LIMIT 5"
-      ].join("\n")
-    },
-    {
-      q: "How many calories did I consume each day in the last 7 days?",
-      sql: [
-        "WITH recipe_kcal AS (",
-        "  SELECT r.recipe_id,",
-        "         SUM(ri.amount_g * inut.amount_per_100g / 100.0) AS kcal_per_recipe",
-        "  FROM recipes r",
-        "  JOIN recipe_items ri ON ri.recipe_id = r.recipe_id",
-        "  JOIN nutrients n ON n.name = 'calories_kcal'",
-        "  JOIN item_nutrients inut ON inut.item_id = ri.item_id AND inut.nutrient_id = n.nutrient_id",
-        "  GROUP BY r.recipe_id",
-        ")",
-        "SELECT date(ml.eaten_at) AS day,",
-        "       SUM(ml.servings_eaten * rk.kcal_per_recipe) AS calories_kcal",
-        "FROM meal_logs ml",
-        "JOIN recipe_kcal rk ON rk.recipe_id = ml.recipe_id",
-        "WHERE ml.eaten_at >= datetime('now', '-7 days')",
-        "GROUP BY date(ml.eaten_at)",
-        "ORDER BY day ASC",
-        "LIMIT 200"
-      ].join("\n")
+  // Runs one question inside a conversation, for the signed-in user. Without a conversation_id a new
+  // conversation is started on reqBody.datasource (default: the default data source); the id is
+  // returned in the body so follow-ups can pass it back, and follow-ups stay on the conversation's
+  // data source. Aborting signal (the client went away) cancels the running query.
+  async function askInConversation(user, reqBody, onEvent, signal) {
+    const userId = user.user_id;
+    let session = null;
+    if (reqBody?.conversation_id) {
+      session = sessions.get(reqBody.conversation_id, userId);
+      if (!session) {
+        return {
+          status: 404,
+          body: { error: "Unknown or expired conversation.", conversation_id: reqBody.conversation_id }
+        };
+      }
+      if (reqBody.datasource && reqBody.datasource !== session.datasource) {
+        return {
+          status: 409,
+          body: {
+            error: `This conversation is about data source "${session.datasource}". Start a new one to switch.`,
+            conversation_id: session.id,
+            datasource: session.datasource
+          }
+        };
+      }
     }
-  ];
-
-  return examples.flatMap((ex) => [
-    { role: "user", content: ex.q },
-    { role: "assistant", content: JSON.stringify({ sql: ex.sql }) }
-  ]);
-}
-
-async function createApp() {
-  const apiKey = process.env.OPENAI_API_KEY;
-  const client = apiKey
-    ? new OpenAI({ apiKey, timeout: OPENAI_TIMEOUT_MS, maxRetries: OPENAI_MAX_RETRIES })
-    : null;
-
-  const schemaSql = await fs.readFile(path.resolve(__dirname, "db/schema.sql"), "utf-8");
-  const dbPath = path.resolve(__dirname, "db/aidb.sqlite");
-
-  let dbBytes;
-  try {
-    dbBytes = await fs.readFile(dbPath);
-  } catch {
-    throw new Error('Missing "db/aidb.sqlite". Run: npm run db:seed');
+    const datasource = datasources.get(session ? session.datasource : reqBody?.datasource);
+    if (!datasource) return { status: 400, body: { error: `Unknown datasource "${reqBody.datasource}".` } };
+    if (!session) session = sessions.create({ datasource: datasource.id, userId });
+
+    const question = String(reqBody?.question || "").trim();
+    const startedAt = Date.now();
+    const { status, body, result } = await pipelines.get(datasource.id).ask({
+      question: reqBody?.question,
+      strategy: reqBody?.strategy, // "zero" | "few" | "retrieval"
+      history: session.turns,
+      clarify: reqBody?.clarify !== false,
+      clarification: reqBody?.clarification,
+      diagnose: reqBody?.diagnose !== false,
+      userId,
+      onEvent,
+      signal
+    });
+    if (result) {
+      body.query_id = queries.register({
+        datasource: datasource.id,
+        userId,
+        question,
+        sql: body.sql,
+        columns: result.columns,
+        rows: result.rows,
+        relaxedSql: body.diagnosis?.relaxed_sql
+      });
+      sessions.appendTurn(session, {
+        question,
+        sql: body.sql,
+        assumptions: body.assumptions,
+        columns: result.columns,
+        rows: result.rows,
+        answer: body.answer
+      });
+    }
+    if (question) {
+      body.history_id = history.record({
+        userId,
+        question,
+        datasource: datasource.id,
+        strategy: reqBody?.strategy,
+        conversationId: session.id,
+        status,
+        body,
+        durationMs: Date.now() - startedAt
+      });
+    }
+    return { status, body: { conversation_id: session.id, datasource: datasource.id, ...body } };
   }
 
-  const sqlJsDist = path.resolve(__dirname, "node_modules/sql.js/dist");
-  const SQL = await initSqlJs({ locateFile: (file) => path.join(sqlJsDist, file) });
-  const db = new SQL.Database(new Uint8Array(dbBytes));
-
   const app = express();
-  app.use(express.json({ limit: "1mb" }));
-  app.use(express.static(path.resolve(__dirname, "public")));
 
   // Lightweight request timing logs (helps diagnose "it's stuck").
   app.use((req, res, next) => {
     const start = Date.now();
+    const reqPath = req.path; // mounted routers rewrite req.url while handling
     res.on("finish", () => {
       const ms = Date.now() - start;
-      if (req.path.startsWith("/api/")) {
-        console.log(`[api] ${req.method} ${req.path} -> ${res.statusCode} (${ms}ms)`);
+      if (reqPath.startsWith("/api/")) {
+        console.log(`[api] ${req.method} ${reqPath} -> ${res.statusCode} (${ms}ms)`);
       }
     });
     next();
   });
 
+  // Dataset upload: the body is the file itself, whatever its content type, so this is read before
+  // the JSON body parser. ?filename=&format=&table=&datasource= (see lib/imports.js); nothing is
+  // created until POST /api/imports/:id/confirm.
+  const readUpload = express.raw({ type: () => true, limit: IMPORT_MAX_BYTES });
+  app.post("/api/imports", auth.requireUser, (req, res) => {
+    readUpload(req, res, (err) => {
+      if (err) {
+        const tooLarge = err.status === 413;
+        return res.status(tooLarge ? 413 : 400).json({
+          error: tooLarge ? `The file is larger than ${IMPORT_MAX_BYTES} bytes (IMPORT_MAX_BYTES).` : err.message
+        });
+      }
+      const { status, body } = importer.preview({ ...req.query, content: req.body, userId: req.user.user_id });
+      return res.status(status).json(body);
+    });
+  });
+
+  app.use(express.json({ limit: "1mb" }));
+  app.use(express.static(path.resolve(__dirname, "public")));
+
+  // An AbortSignal that fires if the client disconnects before the response is finished.
+  function clientGone(res) {
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+    });
+    return controller.signal;
+  }
+
   app.get("/api/health", (_req, res) => {
-    res.json({ ok: true });
+    res.json({ ok: true, llm_provider: llm?.name || null });
   });
 
-  app.post("/api/ask", async (req, res) => {
-    const question = String(req.body?.question || "").trim();
-    const strategy = (req.body?.strategy || "few").toLowerCase(); // "zero" | "few"
+  // Sign-in (lib/auth.js). The admin routes check their own token; every other API route needs a
+  // signed-in user and works on that user's rows.
+  app.use("/api/auth", createAuthRouter({ auth }));
+  app.use(
+    "/api/admin",
+    createAdminRouter({ persistence: primary.persistence, feedback, adminToken: process.env.ADMIN_TOKEN })
+  );
+  app.use("/api", auth.requireUser);
+
+  // The data sources /api/ask can query (see db/datasources.json).
+  app.get("/api/datasources", (_req, res) => {
+    res.json({
+      default: primary.id,
+      datasources: datasources.all().map((ds) => publicDatasource(ds, { isDefault: ds === primary }))
+    });
+  });
 
-    if (!question) return res.status(400).json({ error: "Missing question." });
-    if (!["zero", "few"].includes(strategy)) return res.status(400).json({ error: "Invalid strategy." });
-    if (!client) {
-      return res.status(500).json({
-        error: "Missing OPENAI_API_KEY. Set it in your environment and restart the server."
-      });
-    }
+  // The generated schema catalog the SQL prompt is built from (?format=text for the prompt text),
+  // for ?datasource=<id> or the default data source.
+  app.get("/api/schema", (req, res) => {
+    const ds = datasources.get(req.query.datasource);
+    if (!ds) return res.status(404).json({ error: `Unknown datasource "${req.query.datasource}".` });
+    if (req.query.format === "text") return res.type("text/plain").send(ds.schemaContext.prompt());
+    return res.json(ds.schemaContext.catalog());
+  });
 
+  app.post("/api/ask", async (req, res) => {
     // Don't let requests hang forever at the HTTP layer.
     res.setTimeout(OPENAI_TIMEOUT_MS + 15000);
 
-    console.log(`[ask] strategy=${strategy} q="${question}"`);
-
-    const responseFormatSql = {
-      type: "json_schema",
-      json_schema: {
-        name: "sql_generation",
-        strict: true,
-        schema: {
-          type: "object",
-          properties: {
-            sql: { type: "string" },
-            assumptions: { type: "array", items: { type: "string" } }
-          },
-          required: ["sql", "assumptions"],
-          additionalProperties: false
-        }
-      }
-    };
+    const { status, body } = await askInConversation(req.user, req.body, undefined, clientGone(res));
+    if (res.destroyed) return undefined;
+    return res.status(status).json(body);
+  });
 
-    const responseFormatAnswer = {
-      type: "json_schema",
-      json_schema: {
-        name: "nl_answer",
-        strict: true,
-        schema: {
-          type: "object",
-          properties: {
-            answer: { type: "string" },
-            caveats: { type: "array", items: { type: "string" } }
-          },
-          required: ["answer", "caveats"],
-          additionalProperties: false
-        }
-      }
+  // Same pipeline as /api/ask, streamed as Server-Sent Events so the UI can show the SQL and
+  // rows before the answer is finished. Events: entities_linked, clarification_needed,
+  // repair_attempt, sql_generated, guard_result, plan_ready, exec_error, rows_ready, diagnosis_ready,
+  // answer_token, and finally done { status, body } where body is exactly what /api/ask would have
+  // returned.
+  app.post("/api/ask/stream", async (req, res) => {
+    res.setTimeout(OPENAI_TIMEOUT_MS + 15000);
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+
+    let closed = false;
+    const controller = new AbortController();
+    res.on("close", () => {
+      closed = true;
+      controller.abort();
+    });
+    const send = (type, data) => {
+      if (closed) return;
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
     };
 
-    const baseMessages = [
-      { role: "system", content: sqlSystemPrompt({ schemaSql }) },
-      ...(strategy === "few" ? sqlFewShotExamples() : []),
-      { role: "user", content: question }
-    ];
-
-    let attempts = 0;
-    let generatedSql = "";
-    let assumptions = [];
-    let guardReason = null;
-    let columns = [];
-    let rows = [];
-    let execError = null;
-
-    while (attempts < 3) {
-      attempts += 1;
-      try {
-        const t0 = Date.now();
-        const completion = await client.chat.completions.create({
-          model: MODEL,
-          temperature: 0,
-          messages:
-            attempts === 1
-              ? baseMessages
-              : [
-                  ...baseMessages,
-                  {
-                    role: "user",
-                    content:
-                      `The previous SQL failed to execute in SQLite.\n\n` +
-                      `Previous SQL:\n${generatedSql}\n\n` +
-                      `SQLite error:\n${execError}\n\n` +
-                      `Please return a corrected SQL query for the same question. ` +
-                      `Remember: avoid SQL keyword aliases (do not use alias 'in') and use nutrient names exactly as stored (e.g., 'vitamin_c_mg').`
-                  }
-                ],
-          response_format: responseFormatSql
-        });
-        console.log(`[ask] sql_gen attempt=${attempts} (${Date.now() - t0}ms)`);
-
-        const msg = completion.choices?.[0]?.message;
-        if (!msg?.content) throw new Error("Empty model response.");
-        const parsed = JSON.parse(msg.content);
-        generatedSql = normalizeSqlForSQLite(String(parsed.sql || "").trim());
-        assumptions = Array.isArray(parsed.assumptions) ? parsed.assumptions.map(String) : [];
-
-        const guarded = sqlGuard(generatedSql);
-        if (!guarded.ok) {
-          guardReason = guarded.reason;
-          return res.status(400).json({
-            error: "SQL rejected by guard.",
-            guard_reason: guardReason,
-            sql: generatedSql,
-            assumptions,
-            strategy,
-            attempts
-          });
-        }
-
-        const executed = execToRows(db, guarded.sql);
-        columns = executed.columns;
-        rows = executed.rows;
-        execError = null;
-        break;
-      } catch (err) {
-        execError = err?.message || String(err);
-        console.log(`[ask] sql_gen_or_exec attempt=${attempts} error=${execError}`);
-        if (attempts >= 3) break;
-      }
+    try {
+      const { status, body } = await askInConversation(req.user, req.body, send, controller.signal);
+      send("done", { status, body });
+    } catch (err) {
+      send("done", { status: 500, body: { error: err?.message || String(err) } });
     }
+    res.end();
+  });
 
-    if (execError) {
-      return res.status(500).json({
-        error: "Failed to generate executable SQL.",
-        sql: generatedSql,
-        assumptions,
-        strategy,
-        attempts,
-        exec_error: execError
+  // Pages of a cached result (by query_id), optionally sorted: ?offset=0&limit=20&sort=-calories_kcal
+  app.get("/api/results/:id", (req, res) => {
+    const query = queries.get(req.params.id, req.user.user_id);
+    if (!query) return res.status(404).json({ error: "Unknown or expired result." });
+    const paged = pageResult(query, req.query);
+    if (!paged.ok) return res.status(400).json({ error: paged.error });
+    return res.json({ result_id: query.id, ...paged.page });
+  });
+
+  // Runs the relaxed query proposed by the empty-result diagnosis of a query (see lib/diagnose.js).
+  // The rows are a new result with their own query_id.
+  app.post("/api/queries/:id/relaxed", async (req, res) => {
+    const query = queries.get(req.params.id, req.user.user_id);
+    if (!query) return res.status(404).json({ error: "Unknown or expired query." });
+    if (!query.relaxed_sql) return res.status(404).json({ error: "This query has no relaxed version." });
+    const pipeline = pipelines.get(query.datasource);
+    if (!pipeline) return res.status(404).json({ error: `Unknown datasource "${query.datasource}".` });
+    const { status, body, result } = await pipeline.runSql(query.relaxed_sql, {
+      userId: query.user_id,
+      signal: clientGone(res)
+    });
+    if (res.destroyed) return undefined;
+    if (result) {
+      body.query_id = queries.register({
+        datasource: query.datasource,
+        userId: query.user_id,
+        question: query.question,
+        sql: body.sql,
+        columns: result.columns,
+        rows: result.rows
       });
     }
+    return res.status(status).json(body);
+  });
 
-    const rowsPreview = rows.slice(0, 50);
-    const answerPrompt = [
-      "You are a helpful assistant that answers questions using database query results.",
-      "Answer in English.",
-      "",
-      "If the result rows are empty, say that there was no data matching the query.",
-      "Do not mention that you are an AI model. Do not fabricate data not present in the rows.",
-      "",
-      `User question: ${question}`,
-      "",
-      "SQL used:",
-      generatedSql,
-      "",
-      `Row count: ${rows.length}`,
-      "Rows (JSON preview):",
-      truncateJsonForPrompt(rowsPreview, 8000)
-    ].join("\n");
+  // Re-runs an answered query (by query_id) without the preview LIMIT and downloads every row.
+  app.get("/api/queries/:id/export", async (req, res) => {
+    const query = queries.get(req.params.id, req.user.user_id);
+    if (!query) return res.status(404).json({ error: "Unknown or expired query." });
+    const format = String(req.query.format || "csv").toLowerCase();
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+      const known = Object.keys(EXPORT_FORMATS).join(", ");
+      return res.status(400).json({ error: `Unknown format "${format}". Use one of: ${known}.` });
+    }
 
+    const ds = datasources.get(query.datasource);
+    if (!ds) return res.status(404).json({ error: `Unknown datasource "${query.datasource}".` });
+    const guarded = sqlGuard(query.sql, ds.schemaCatalog, { defaultLimit: EXPORT_MAX_ROWS, userId: query.user_id });
+    if (!guarded.ok) return res.status(400).json({ error: "SQL rejected by guard.", guard_reason: guarded.reason });
+    let columns;
+    let values;
     try {
-      const t1 = Date.now();
-      const completion2 = await client.chat.completions.create({
-        model: MODEL,
-        temperature: 0.2,
-        messages: [{ role: "system", content: answerPrompt }],
-        response_format: responseFormatAnswer
-      });
-      console.log(`[ask] answer_gen (${Date.now() - t1}ms) rows=${rows.length}`);
-      const msg2 = completion2.choices?.[0]?.message;
-      if (!msg2?.content) throw new Error("Empty answer response.");
-      const parsed2 = JSON.parse(msg2.content);
-
-      return res.json({
-        strategy,
-        attempts,
-        sql: generatedSql,
-        assumptions,
-        columns,
-        row_count: rows.length,
-        rows: rows.slice(0, 20),
-        answer: parsed2.answer,
-        caveats: parsed2.caveats
-      });
+      ({ columns, values } = await ds.executor.exec(guarded.sql, {
+        maxRows: EXPORT_MAX_ROWS,
+        signal: clientGone(res)
+      }));
+      if (!columns.length) columns = query.columns;
     } catch (err) {
+      if (res.destroyed) return undefined;
+      const code = limitCode(err);
       return res.status(500).json({
-        error: "Failed to generate natural language answer.",
-        strategy,
-        attempts,
-        sql: generatedSql,
-        assumptions,
-        columns,
-        row_count: rows.length,
-        rows: rows.slice(0, 20),
-        exec_error: execError,
-        answer_error: err?.message || String(err)
+        error: "Export query failed.",
+        exec_error: err?.message || String(err),
+        ...(code ? { exec_error_code: code } : {})
       });
     }
+
+    const slug = query.question.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 48);
+    res.setHeader("Content-Type", spec.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${slug || "query"}.${spec.extension}"`);
+    if (format === "xlsx") return res.send(xlsxWorkbook(columns, values));
+    return writeLines(res, format === "csv" ? csvLines(columns, values) : jsonLines(columns, values));
+  });
+
+  // Meal/supplement intake logging (the only write path into the database).
+  app.use("/api", createLogsRouter({ db: primary.db, onChange: primary.onDataChange }));
+  const { userTables } = primary.schemaCatalog;
+  app.use("/api", createNutritionRouter({ db: primary.db, userTables }));
+  app.use("/api", createGoalsRouter({ db: primary.db, userTables, onChange: primary.onDataChange }));
+  app.use("/api/history", createHistoryRouter({ history }));
+  app.use("/api/feedback", createFeedbackRouter({ feedback }));
+
+  // Natural-language write mode: preview first, nothing changes until the preview is confirmed.
+  app.post("/api/writes", async (req, res) => {
+    res.setTimeout(OPENAI_TIMEOUT_MS + 15000);
+    const { status, body } = await writes.preview({ question: req.body?.question, userId: req.user.user_id });
+    return res.status(status).json(body);
+  });
+
+  app.post("/api/writes/:id/confirm", (req, res) => {
+    const { status, body } = writes.confirm(req.params.id, req.user.user_id);
+    return res.status(status).json(body);
+  });
+
+  app.delete("/api/writes/:id", (req, res) => {
+    const { status, body } = writes.cancel(req.params.id, req.user.user_id);
+    return body ? res.status(status).json(body) : res.status(status).end();
+  });
+
+  // Body (all optional): { table, columns: [{ name, type, include }] (one per previewed column),
+  // primary_key, replace }.
+  app.post("/api/imports/:id/confirm", (req, res) => {
+    const { status, body } = importer.confirm(req.params.id, req.body || {}, req.user.user_id);
+    return res.status(status).json(body);
+  });
+
+  app.delete("/api/imports/:id", (req, res) => {
+    const { status, body } = importer.cancel(req.params.id, req.user.user_id);
+    return body ? res.status(status).json(body) : res.status(status).end();
+  });
+
+  app.post("/api/conversations", (req, res) => {
+    const ds = datasources.get(req.body?.datasource);
+    if (!ds) return res.status(400).json({ error: `Unknown datasource "${req.body.datasource}".` });
+    return res.status(201).json(publicSession(sessions.create({ datasource: ds.id, userId: req.user.user_id })));
+  });
+
+  app.get("/api/conversations/:id", (req, res) => {
+    const session = sessions.get(req.params.id, req.user.user_id);
+    if (!session) return res.status(404).json({ error: "Unknown or expired conversation." });
+    return res.json(publicSession(session));
+  });
+
+  app.delete("/api/conversations/:id", (req, res) => {
+    if (!sessions.delete(req.params.id, req.user.user_id)) {
+      return res.status(404).json({ error: "Unknown or expired conversation." });
+    }
+    return res.status(204).end();
   });
 
   return app;
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { loadSqlJs } from "../lib/db.js";
+import { createImporter } from "../lib/imports.js";
+
+const CSV = Buffer.from("id,name\n1,a\n2,b\n");
+
+let importer;
+beforeEach(async () => {
+  const SQL = await loadSqlJs();
+  const uploads = {
+    id: "uploads",
+    imports: true,
+    db: new SQL.Database(),
+    onDataChange: () => {},
+    schemaContext: { catalog: () => ({ tables: [] }) }
+  };
+  importer = createImporter({
+    datasources: { get: (id) => (id === "uploads" ? uploads : null), all: () => [uploads] },
+    db: new SQL.Database(),
+    log: () => {}
+  });
+});
+
+const stage = (userId, table = "people") =>
+  importer.preview({ filename: "people.csv", table, content: CSV, userId }).body.import_id;
+
+describe("imports", () => {
+  it("only lets the uploader confirm or cancel an import", () => {
+    const id = stage(1);
+    assert.equal(importer.confirm(id, {}, 2).status, 404);
+    assert.equal(importer.cancel(id, 2).status, 404);
+    assert.equal(importer.confirm(id, {}, 1).status, 201);
+  });
+
+  it("only lets the user who imported a table replace it", () => {
+    importer.confirm(stage(1), {}, 1);
+    assert.equal(importer.confirm(stage(2), { replace: true }, 2).status, 403);
+    assert.equal(importer.confirm(stage(1), {}, 1).status, 409);
+    assert.equal(importer.confirm(stage(1), { replace: true }, 1).status, 201);
+  });
+
+  it("keeps the pending-import cap per user", () => {
+    const other = stage(2);
+    const first = stage(1);
+    for (let i = 0; i < 10; i += 1) stage(1);
+    assert.equal(importer.cancel(first, 1).status, 404);
+    assert.equal(importer.cancel(other, 2).status, 204);
+  });
+});
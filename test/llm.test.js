@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { createLlmProvider, createMockProvider } from "../lib/llm.js";
+import { responseFormatAnswer, responseFormatSql, responseFormatWrite } from "../lib/prompts.js";
+
+const FIXTURES_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../fixtures/mock_llm.json");
+const OPTIONS = { defaultFixturesPath: FIXTURES_PATH, timeoutMs: 1000, maxRetries: 0 };
+
+const fixtures = [
+  { question: "How many recipes are there?", sql: "SELECT COUNT(*) AS n FROM recipes", assumptions: [] },
+  {
+    question: "What is the healthiest recipe?",
+    sql: "SELECT name FROM recipes LIMIT 1",
+    clarification: { question: "Healthiest how?", options: ["Most protein", "Fewest calories"] }
+  },
+  {
+    question: "Log a coffee.",
+    write: { intent: "insert", sql: "INSERT INTO items (name) VALUES (?)", params: ["Coffee"], summary: "Add coffee." }
+  }
+];
+
+const ask = (question) => [
+  { role: "system", content: "system prompt" },
+  { role: "user", content: question }
+];
+
+describe("createLlmProvider", () => {
+  it("builds the mock provider from the default fixtures without an API key", async () => {
+    const { provider, error } = await createLlmProvider({ LLM_PROVIDER: "mock" }, OPTIONS);
+    assert.equal(error, null);
+    assert.equal(provider.name, "mock");
+  });
+
+  it("reports a missing OpenAI key instead of throwing", async () => {
+    const { provider, error } = await createLlmProvider({ LLM_PROVIDER: "openai" }, OPTIONS);
+    assert.equal(provider, null);
+    assert.match(error, /OPENAI_API_KEY/);
+  });
+
+  it("rejects an unknown provider", async () => {
+    const { provider, error } = await createLlmProvider({ LLM_PROVIDER: "nope" }, OPTIONS);
+    assert.equal(provider, null);
+    assert.match(error, /Unknown LLM_PROVIDER "nope"/);
+  });
+});
+
+describe("mock provider", () => {
+  const llm = createMockProvider({ fixtures });
+
+  it("replays recorded SQL, matching questions case- and punctuation-insensitively", async () => {
+    const messages = ask("how many RECIPES are there");
+    const content = await llm.complete({ messages, responseFormat: responseFormatSql });
+    assert.deepEqual(JSON.parse(content), { sql: fixtures[0].sql, assumptions: [], clarification: null });
+  });
+
+  it("throws for a question with no fixture", async () => {
+    await assert.rejects(
+      llm.complete({ messages: ask("Something else?"), responseFormat: responseFormatSql }),
+      /no recorded SQL/
+    );
+  });
+
+  it("asks the recorded clarification only when clarify is set", async () => {
+    const messages = ask("What is the healthiest recipe?");
+    const asked = JSON.parse(await llm.complete({ messages, responseFormat: responseFormatSql, clarify: true }));
+    assert.deepEqual(asked, { sql: "", assumptions: [], clarification: fixtures[1].clarification });
+    const answered = JSON.parse(await llm.complete({ messages, responseFormat: responseFormatSql }));
+    assert.equal(answered.sql, fixtures[1].sql);
+    assert.equal(answered.clarification, null);
+  });
+
+  it("answers from the row count when the fixture has no answer", async () => {
+    const messages = [{ role: "system", content: "Row count: 0" }, ...ask("How many recipes are there?").slice(1)];
+    const { answer } = JSON.parse(await llm.complete({ messages, responseFormat: responseFormatAnswer }));
+    assert.equal(answer, "There was no data matching the query.");
+  });
+
+  it("replays write plans", async () => {
+    const content = await llm.complete({ messages: ask("Log a coffee."), responseFormat: responseFormatWrite });
+    const plan = JSON.parse(content);
+    assert.deepEqual(plan, { assumptions: [], ...fixtures[2].write });
+  });
+
+  it("streams the same content through onDelta", async () => {
+    let streamed = "";
+    const content = await llm.complete({
+      messages: ask("How many recipes are there?"),
+      responseFormat: responseFormatSql,
+      onDelta: (delta) => (streamed += delta)
+    });
+    assert.equal(streamed, content);
+  });
+});
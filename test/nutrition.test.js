@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { loadSqlJs } from "../lib/db.js";
+import { intakeNutrition, recipeNutrition, withBlock } from "../lib/nutrition.js";
+
+const SCHEMA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../db/schema.sql");
+const userTables = new Set(["meal_logs", "supplement_logs", "nutrient_goals"]);
+
+let db;
+before(async () => {
+  const SQL = await loadSqlJs();
+  db = new SQL.Database();
+  db.run(fs.readFileSync(SCHEMA_PATH, "utf-8"));
+  db.run(`
+    INSERT INTO nutrients (nutrient_id, name, unit) VALUES (1, 'protein_g', 'g');
+    INSERT INTO items (item_id, name, item_type) VALUES (1, 'Lentils', 'ingredient');
+    INSERT INTO item_nutrients (item_id, nutrient_id, amount_per_100g) VALUES (1, 1, 25);
+    INSERT INTO recipes (recipe_id, name, servings) VALUES (1, 'Soup', 2);
+    INSERT INTO recipe_items (recipe_id, item_id, amount_g) VALUES (1, 1, 200);
+    INSERT INTO meal_logs (eaten_at, recipe_id, servings_eaten, user_id) VALUES
+      ('2026-01-01T12:00:00', 1, 1, 1),
+      ('2026-01-01T19:00:00', 1, 2, 2);
+  `);
+});
+
+describe("building blocks", () => {
+  it("computes recipe totals without a user", () => {
+    const { nutrients } = recipeNutrition(db, 1);
+    assert.deepEqual(nutrients, [{ nutrient: "protein_g", unit: "g", total: 50, per_serving: 25 }]);
+  });
+
+  it("only counts the given user's logs", () => {
+    const intake = (userId) => intakeNutrition(db, { userTables, userId, groupBy: "none" }).totals;
+    assert.deepEqual(intake(1), [{ nutrient: "protein_g", unit: "g", amount: 50 }]);
+    assert.deepEqual(intake(2), [{ nutrient: "protein_g", unit: "g", amount: 100 }]);
+  });
+
+  it("throws instead of reading every user's rows without a userId", () => {
+    for (const name of ["intake_nutrition", "goal_adherence"]) {
+      assert.throws(() => withBlock(name, `SELECT * FROM ${name}`, { userTables }), /needs a userId/);
+    }
+  });
+});
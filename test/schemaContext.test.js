@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { loadSqlJs } from "../lib/db.js";
+import { buildSchemaContext, renderSchemaContext } from "../lib/schemaContext.js";
+import { parseSchemaCatalog } from "../lib/sqlGuard.js";
+
+const SCHEMA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../db/schema.sql");
+const schemaSql = fs.readFileSync(SCHEMA_PATH, "utf-8");
+
+let context;
+before(async () => {
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database();
+  db.run(schemaSql);
+  db.run("INSERT INTO recipes (recipe_id, name, servings) VALUES (1, 'Soup', 2), (2, 'Salad', 1)");
+  db.run(`INSERT INTO meal_logs (eaten_at, recipe_id, servings_eaten, user_id) VALUES
+    ('2026-01-01T12:00:00', 1, 1.5, 1),
+    ('2026-03-09T19:00:00', 2, 3, 2)`);
+  const schemaCatalog = { ...parseSchemaCatalog(schemaSql), userTables: new Set(["meal_logs"]) };
+  context = buildSchemaContext({ db, schemaSql, schemaCatalog });
+});
+
+describe("buildSchemaContext", () => {
+  it("profiles shared tables from the live data", () => {
+    const recipes = context.tables.find((t) => t.name === "recipes");
+    assert.equal(recipes.row_count, 2);
+    assert.deepEqual(recipes.all_rows.map((r) => r.name), ["Salad", "Soup"]);
+  });
+
+  it("leaves per-user tables without row counts or value hints", () => {
+    const mealLogs = context.tables.find((t) => t.name === "meal_logs");
+    assert.equal(mealLogs.row_count, null);
+    assert.ok(mealLogs.columns.every((c) => c.profile === undefined));
+    const text = renderSchemaContext(context);
+    assert.match(text, /TABLE meal_logs \(the signed-in user's rows\)/);
+    assert.doesNotMatch(text, /2026-0[13]/);
+  });
+});
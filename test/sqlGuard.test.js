@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { parseSchemaCatalog, sqlGuard } from "../lib/sqlGuard.js";
+
+const SCHEMA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../db/schema.sql");
+const catalog = parseSchemaCatalog(fs.readFileSync(SCHEMA_PATH, "utf-8"));
+
+const accepts = (sql, options) => {
+  const result = sqlGuard(sql, catalog, options);
+  assert.equal(result.ok, true, result.reason);
+  return result.sql;
+};
+const rejects = (sql, reason, options) => {
+  const result = sqlGuard(sql, catalog, options);
+  assert.equal(result.ok, false, `accepted: ${result.sql}`);
+  assert.match(result.reason, reason);
+};
+
+describe("sqlGuard", () => {
+  it("accepts a SELECT on allow-listed tables and appends the default LIMIT", () => {
+    assert.equal(accepts("SELECT name FROM recipes ORDER BY name"), "SELECT name FROM recipes ORDER BY name LIMIT 200");
+  });
+
+  it("rejects writes, multiple statements and comments", () => {
+    rejects("DELETE FROM recipes", /Only SELECT queries are allowed/);
+    rejects("SELECT 1; SELECT 2", /Multi-statement SQL is not allowed/);
+    rejects("SELECT 1 -- hi", /comments are not allowed/);
+  });
+
+  it("rejects tables and columns outside the allow-list", () => {
+    rejects("SELECT name FROM sqlite_master", /"sqlite_master" is not in the schema allow-list/);
+    rejects("SELECT password FROM recipes", /Unknown column "password"/);
+  });
+
+  describe("IN <table>", () => {
+    it("checks the table against the allow-list", () => {
+      rejects("SELECT value FROM json_each('[1]') WHERE value IN sqlite_master", /"sqlite_master" is not in the/);
+      accepts("SELECT name FROM recipes WHERE recipe_id IN recipes");
+    });
+
+    it("rejects schema-qualified tables", () => {
+      rejects("SELECT name FROM recipes WHERE recipe_id IN main.recipes", /can't be schema-qualified/);
+    });
+
+    it("only allows the safe table-valued functions", () => {
+      rejects("SELECT name FROM recipes WHERE name IN pragma_table_info('recipes')", /"pragma_table_info" is not/);
+      accepts("SELECT name FROM recipes WHERE recipe_id IN json_each('[1, 2]')");
+    });
+
+    it("still accepts value lists and subqueries", () => {
+      accepts("SELECT name FROM recipes WHERE recipe_id IN (1, 2)");
+      accepts("SELECT name FROM recipes WHERE recipe_id NOT IN (SELECT recipe_id FROM recipe_items)");
+    });
+  });
+
+  it("only accepts the columns a table-valued function returns", () => {
+    accepts("SELECT j.value, j.fullkey FROM json_each('[1]') AS j");
+    rejects("SELECT j.name FROM json_each('[1]') AS j", /Unknown column "j.name"/);
+    rejects("SELECT name FROM json_each('[1]')", /Unknown column "name"/);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { loadSqlJs, queryAll } from "../lib/db.js";
+import { parseSchemaCatalog, sqlGuard } from "../lib/sqlGuard.js";
+
+// Per-user scoping of generated SQL, checked by running the guarded SQL on a small database.
+const SCHEMA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../db/schema.sql");
+const schemaSql = fs.readFileSync(SCHEMA_PATH, "utf-8");
+const catalog = {
+  ...parseSchemaCatalog(schemaSql),
+  userTables: new Set(["meal_logs", "supplement_logs", "nutrient_goals"])
+};
+
+let db;
+before(async () => {
+  const SQL = await loadSqlJs();
+  db = new SQL.Database();
+  db.run(schemaSql);
+  db.run("INSERT INTO recipes (recipe_id, name, servings) VALUES (1, 'Soup', 2), (2, 'Salad', 1), (3, 'Stew', 4)");
+  db.run(`INSERT INTO meal_logs (log_id, eaten_at, recipe_id, servings_eaten, user_id) VALUES
+    (1, '2026-01-01T12:00:00', 1, 1, 1),
+    (2, '2026-01-02T12:00:00', 3, 1, 1),
+    (3, '2026-01-03T12:00:00', 2, 1, 2)`);
+});
+
+const run = (sql, userId) => {
+  const result = sqlGuard(sql, catalog, { userId });
+  assert.equal(result.ok, true, result.reason);
+  return queryAll(db, result.sql);
+};
+
+describe("per-user scoping", () => {
+  it("only returns the signed-in user's rows", () => {
+    assert.deepEqual(run("SELECT log_id FROM meal_logs ORDER BY log_id", 2), [{ log_id: 3 }]);
+    assert.deepEqual(run("SELECT COUNT(*) AS n FROM meal_logs", 1), [{ n: 2 }]);
+  });
+
+  it("scopes tables read through IN <table>", () => {
+    const sql =
+      "SELECT log_id FROM meal_logs WHERE (log_id, eaten_at, recipe_id, servings_eaten, user_id) IN meal_logs";
+    assert.deepEqual(run(sql, 2), [{ log_id: 3 }]);
+    const other = "SELECT r.value FROM json_each('[1,2,3]') r WHERE (r.value,'2026-01-01T12:00:00',1,1,1) IN meal_logs";
+    assert.deepEqual(run(other, 2), []);
+  });
+
+  it("rejects reading main.<per-user table> through IN", () => {
+    const sql =
+      "SELECT r.value FROM json_each('[1,2,3,4]') r, (SELECT 1 AS meal_logs) AS main " +
+      "WHERE (r.value,'2026-01-01',3,1,1) IN main.meal_logs";
+    const result = sqlGuard(sql, catalog, { userId: 2 });
+    assert.equal(result.ok, false);
+    assert.match(result.reason, /can't be schema-qualified/);
+  });
+
+  it("rejects per-user tables without a signed-in user, in FROM and in IN", () => {
+    for (const sql of ["SELECT log_id FROM meal_logs", "SELECT name FROM recipes WHERE recipe_id IN meal_logs"]) {
+      const result = sqlGuard(sql, catalog);
+      assert.equal(result.ok, false);
+      assert.match(result.reason, /holds per-user rows/);
+    }
+  });
+});
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { loadSqlJs } from "../lib/db.js";
+import { createMockProvider } from "../lib/llm.js";
+import { parseSchemaCatalog } from "../lib/sqlGuard.js";
+import { createWritePipeline } from "../lib/writes.js";
+
+const SCHEMA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../db/schema.sql");
+const schemaSql = fs.readFileSync(SCHEMA_PATH, "utf-8");
+
+const write = (question, sql, params) => ({
+  question,
+  write: { intent: "insert", sql, params, summary: question, assumptions: [] }
+});
+const LOG_SUPPLEMENT = "INSERT INTO supplement_logs (taken_at, item_id, servings_taken) VALUES (?, ?, ?)";
+const fixtures = [
+  write("Log one vitamin C.", LOG_SUPPLEMENT, ["2026-01-01T08:00", 2, 1]),
+  write("Log spinach as a supplement.", LOG_SUPPLEMENT, ["2026-01-01T08:00", 1, 1]),
+  write("Log lots of vitamin C.", LOG_SUPPLEMENT, ["2026-01-01T08:00", 2, "lots"]),
+  write("Log soup.", "INSERT INTO meal_logs (eaten_at, recipe_id, servings_eaten) VALUES (?, ?, ?)", [
+    "2026-01-01T12:00",
+    1,
+    "-1"
+  ]),
+  write("Add zinc.", "INSERT INTO items (name, item_type, brand, serving_size_g) VALUES (?, ?, ?, ?)", [
+    "Zinc",
+    "supplement",
+    null,
+    null
+  ])
+];
+
+let writes;
+before(async () => {
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database();
+  db.run(schemaSql);
+  db.run("INSERT INTO items (item_id, name, item_type) VALUES (1, 'Spinach', 'ingredient'), (2, 'C', 'supplement')");
+  db.run("INSERT INTO recipes (recipe_id, name, servings) VALUES (1, 'Soup', 2)");
+  writes = createWritePipeline({
+    llm: createMockProvider({ fixtures }),
+    db,
+    schemaSql,
+    schemaCatalog: parseSchemaCatalog(schemaSql),
+    log: () => {}
+  });
+});
+
+describe("write mode preview", () => {
+  it("previews a valid supplement log for the signed-in user", async () => {
+    const { status, body } = await writes.preview({ question: "Log one vitamin C.", userId: 3 });
+    assert.equal(status, 200, body.error);
+    assert.equal(body.diff.after.user_id, 3);
+    assert.equal(body.diff.after.taken_at, "2026-01-01T08:00:00");
+  });
+
+  it("rejects a supplement log for an item that isn't a supplement", async () => {
+    const { status, body } = await writes.preview({ question: "Log spinach as a supplement.", userId: 3 });
+    assert.equal(status, 400);
+    assert.equal(body.field, "item_id");
+  });
+
+  it("rejects amounts that aren't positive numbers", async () => {
+    for (const [question, field] of [
+      ["Log lots of vitamin C.", "servings_taken"],
+      ["Log soup.", "servings_eaten"]
+    ]) {
+      const { status, body } = await writes.preview({ question, userId: 3 });
+      assert.equal(status, 400);
+      assert.equal(body.field, field);
+    }
+  });
+
+  it("lets a nullable amount stay NULL", async () => {
+    const { status, body } = await writes.preview({ question: "Add zinc.", userId: 3 });
+    assert.equal(status, 200, body.error);
+    assert.equal(body.diff.after.serving_size_g, null);
+  });
+});